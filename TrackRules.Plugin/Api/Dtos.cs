@@ -3,6 +3,7 @@ using System.Collections.Generic;
 using System.ComponentModel.DataAnnotations;
 using System.Linq;
 using Jellyfin.Plugin.TrackRules.Core;
+using MediaBrowser.Model.Entities;
 
 namespace Jellyfin.Plugin.TrackRules.Api;
 
@@ -16,6 +17,60 @@ public sealed class UserRulesDto
     [Required]
     public Guid UserId { get; set; }
 
+    /// <summary>
+    /// Revision the client loaded. When sent back on PUT (or as an If-Match header), a stale save is rejected with 409.
+    /// </summary>
+    public long? Revision { get; set; }
+
+    public List<TrackRuleDto> Rules { get; set; } = new();
+
+    /// <summary>
+    /// Whether the server default rules apply when none of the user's rules match.
+    /// Left unset, the stored value is kept.
+    /// </summary>
+    public bool? UseServerDefaults { get; set; }
+
+    /// <summary>
+    /// Warnings about the saved rules, returned by PUT. Ignored on input.
+    /// </summary>
+    public List<RuleValidationIssueDto>? Issues { get; set; }
+}
+
+/// <summary>
+/// A validation error or warning for one submitted rule.
+/// </summary>
+public sealed class RuleValidationIssueDto
+{
+    /// <summary>
+    /// Position of the rule in the submitted list.
+    /// </summary>
+    public int Index { get; set; }
+
+    /// <summary>
+    /// Name of the rule field the issue applies to, e.g. <c>targetId</c> or <c>audio</c>.
+    /// </summary>
+    public string Field { get; set; } = string.Empty;
+
+    public RuleIssueSeverityDto Severity { get; set; }
+
+    public string Message { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Body of a 400 response for rules that failed validation.
+/// </summary>
+public sealed class RuleValidationProblemDto
+{
+    public string Message { get; set; } = string.Empty;
+
+    public List<RuleValidationIssueDto> Issues { get; set; } = new();
+}
+
+/// <summary>
+/// Server-wide default rules.
+/// </summary>
+public sealed class DefaultRulesDto
+{
     public List<TrackRuleDto> Rules { get; set; } = new();
 }
 
@@ -28,29 +83,479 @@ public sealed class TrackRuleDto
 
     public Guid? TargetId { get; set; }
 
+    /// <summary>
+    /// Tag, genre or studio name for metadata scopes; empty for every other scope.
+    /// </summary>
+    public string? TargetValue { get; set; }
+
     public List<string> Audio { get; set; } = new();
 
     public List<string> Subs { get; set; } = new();
 
     public SubtitleModeDto SubsMode { get; set; } = SubtitleModeDto.Default;
 
-    public bool DontTranscode { get; set; }
+    public SubtitleFormatPreferenceDto SubsFormat { get; set; }
+
+    public SubtitleSourcePreferenceDto SubsSource { get; set; }
+
+    public bool DontTranscode { get; set; }
+
+    public TranscodeFallbackDto TranscodeFallback { get; set; } = TranscodeFallbackDto.Skip;
+
+    /// <summary>
+    /// Audio codecs in order of preference; null or empty keeps the built-in ranking.
+    /// </summary>
+    public List<string>? AudioCodecs { get; set; }
+
+    public int? MaxChannels { get; set; }
+
+    public int? PreferredChannels { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether lossless audio tracks rank above lossy ones.
+    /// </summary>
+    public bool PreferLossless { get; set; }
+
+    /// <summary>
+    /// Title patterns that rank an audio track first within its language: plain text, or /regex/flags.
+    /// </summary>
+    public List<string>? AudioTitleInclude { get; set; }
+
+    /// <summary>
+    /// Title patterns of audio tracks that are never picked.
+    /// </summary>
+    public List<string>? AudioTitleExclude { get; set; }
+
+    public List<string>? SubsTitleInclude { get; set; }
+
+    public List<string>? SubsTitleExclude { get; set; }
+
+    public bool Enabled { get; set; } = true;
+
+    /// <summary>
+    /// Name of the target when the rule was last saved. Refreshed by the server; clients only echo it back.
+    /// </summary>
+    public string? TargetName { get; set; }
+
+    /// <summary>
+    /// Provider IDs of the target when the rule was last saved, used to re-link orphaned rules.
+    /// </summary>
+    public Dictionary<string, string>? TargetProviderIds { get; set; }
+}
+
+/// <summary>
+/// Portable copy of a user's rules, as written to an export file.
+/// </summary>
+public sealed class RuleSetExportDto
+{
+    public int Version { get; set; } = RuleSchema.CurrentVersion;
+
+    public Guid SourceUserId { get; set; }
+
+    public DateTime ExportedAt { get; set; }
+
+    public List<TrackRuleDto> Rules { get; set; } = new();
+}
+
+/// <summary>
+/// A rule together with the user it belongs to, as listed across users.
+/// </summary>
+public sealed class UserTrackRuleDto
+{
+    public Guid UserId { get; set; }
+
+    public string? UserName { get; set; }
+
+    public TrackRuleDto Rule { get; set; } = new();
+}
+
+/// <summary>
+/// Request body for resolving rule targets to display names in one round trip.
+/// </summary>
+public sealed class RuleTargetRequestDto
+{
+    [Required]
+    [MaxLength(500)]
+    public List<Guid> Ids { get; set; } = new();
+}
+
+/// <summary>
+/// Display details of a rule target.
+/// </summary>
+public sealed class RuleTargetDto
+{
+    public Guid Id { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the target still exists on this server.
+    /// </summary>
+    public bool Exists { get; set; }
+
+    public string? Name { get; set; }
+
+    /// <summary>
+    /// Series name for seasons and episodes, so "Season 1" is not ambiguous.
+    /// </summary>
+    public string? SeriesName { get; set; }
+
+    public string? Type { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the target has a primary image to show as a poster.
+    /// </summary>
+    public bool HasPrimaryImage { get; set; }
+}
+
+/// <summary>
+/// A rule whose target no longer exists.
+/// </summary>
+public sealed class OrphanedRuleDto
+{
+    public Guid UserId { get; set; }
+
+    public string? UserName { get; set; }
+
+    public TrackRuleDto Rule { get; set; } = new();
+
+    /// <summary>
+    /// The re-added item this rule would be re-linked to, when exactly one was found.
+    /// </summary>
+    public Guid? RelinkTargetId { get; set; }
+
+    public string? RelinkTargetName { get; set; }
+}
+
+/// <summary>
+/// Identifies one user's rule by scope and target.
+/// </summary>
+public sealed class RuleKeyDto
+{
+    [Required]
+    public Guid UserId { get; set; }
+
+    public RuleScopeDto Scope { get; set; }
+
+    public Guid? TargetId { get; set; }
+}
+
+/// <summary>
+/// Request body for deleting orphaned rules in bulk.
+/// </summary>
+public sealed class OrphanDeleteRequestDto
+{
+    [Required]
+    [MinLength(1)]
+    public List<RuleKeyDto> Rules { get; set; } = new();
+}
+
+/// <summary>
+/// Outcome of a bulk orphan deletion.
+/// </summary>
+public sealed class OrphanDeleteResultDto
+{
+    public int Removed { get; set; }
+}
+
+/// <summary>
+/// Request body for importing rules into a user's rule set.
+/// </summary>
+public sealed class RuleImportRequestDto
+{
+    /// <summary>
+    /// Schema version of the imported file; files from a newer plugin are rejected.
+    /// </summary>
+    public int Version { get; set; } = RuleSchema.CurrentVersion;
+
+    [Required]
+    public List<TrackRuleDto> Rules { get; set; } = new();
+
+    public RuleImportModeDto Mode { get; set; } = RuleImportModeDto.Merge;
+
+    /// <summary>
+    /// When true, only the diff is computed and nothing is written.
+    /// </summary>
+    public bool DryRun { get; set; }
+
+    /// <summary>
+    /// Revision the previewed diff was computed against (or an If-Match header). When the rules have moved on since,
+    /// the import is rejected with 409 instead of applying a diff nobody reviewed.
+    /// </summary>
+    public long? ExpectedRevision { get; set; }
+}
+
+/// <summary>
+/// Outcome (or dry-run preview) of an import.
+/// </summary>
+public sealed class RuleImportResultDto
+{
+    public bool Applied { get; set; }
+
+    public RuleImportModeDto Mode { get; set; }
+
+    public List<TrackRuleDto> Added { get; set; } = new();
+
+    public List<RuleChangeDto> Changed { get; set; } = new();
+
+    public List<TrackRuleDto> Removed { get; set; } = new();
+
+    public int Unchanged { get; set; }
+
+    /// <summary>
+    /// Revision the diff was computed against, or the new revision once applied.
+    /// </summary>
+    public long Revision { get; set; }
+
+    /// <summary>
+    /// Imported rules that were skipped, e.g. because their target does not exist on this server.
+    /// </summary>
+    public List<RuleImportIssueDto> Issues { get; set; } = new();
+}
+
+/// <summary>
+/// Before and after state of a rule touched by an import.
+/// </summary>
+public sealed class RuleChangeDto
+{
+    public TrackRuleDto Before { get; set; } = new();
+
+    public TrackRuleDto After { get; set; } = new();
+}
+
+/// <summary>
+/// Describes an imported rule that could not be used.
+/// </summary>
+public sealed class RuleImportIssueDto
+{
+    /// <summary>
+    /// Position of the rule in the imported list.
+    /// </summary>
+    public int Index { get; set; }
+
+    public RuleScopeDto Scope { get; set; }
+
+    public Guid? TargetId { get; set; }
+
+    public string Message { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Request body for copying one user's rules to other users.
+/// </summary>
+public sealed class RuleCopyRequestDto
+{
+    [Required]
+    public Guid SourceUserId { get; set; }
+
+    [Required]
+    [MinLength(1)]
+    public List<Guid> TargetUserIds { get; set; } = new();
+
+    /// <summary>
+    /// Scopes to copy; an empty list copies every rule.
+    /// </summary>
+    public List<RuleScopeDto> Scopes { get; set; } = new();
+}
+
+/// <summary>
+/// Outcome of a rule copy across users.
+/// </summary>
+public sealed class RuleCopyResultDto
+{
+    public Guid SourceUserId { get; set; }
+
+    /// <summary>
+    /// Number of source rules that matched the scope filter.
+    /// </summary>
+    public int RuleCount { get; set; }
+
+    public List<RuleCopyUserResultDto> Users { get; set; } = new();
+}
+
+/// <summary>
+/// Per-user counts for a rule copy.
+/// </summary>
+public sealed class RuleCopyUserResultDto
+{
+    public Guid UserId { get; set; }
+
+    public int Added { get; set; }
+
+    public int Changed { get; set; }
+
+    public int Unchanged { get; set; }
+}
+
+/// <summary>
+/// Request body for creating one Series rule per series, chosen explicitly or by genre/tag.
+/// </summary>
+public sealed class BulkSeriesRuleRequestDto
+{
+    [MaxLength(500)]
+    public List<Guid> SeriesIds { get; set; } = new();
+
+    /// <summary>
+    /// Adds every series with any of these genres.
+    /// </summary>
+    public List<string> Genres { get; set; } = new();
+
+    /// <summary>
+    /// Adds every series with any of these tags.
+    /// </summary>
+    public List<string> Tags { get; set; } = new();
+
+    /// <summary>
+    /// Languages and options applied to each series; scope and target are ignored.
+    /// </summary>
+    [Required]
+    public TrackRuleDto Rule { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether series that already have a rule get it replaced; otherwise they are skipped.
+    /// </summary>
+    public bool OverwriteExisting { get; set; } = true;
+
+    /// <summary>
+    /// When true, only the outcome is computed and nothing is written.
+    /// </summary>
+    public bool DryRun { get; set; }
+}
+
+/// <summary>
+/// Outcome (or dry-run preview) of a bulk series rule update.
+/// </summary>
+public sealed class BulkSeriesRuleResultDto
+{
+    public bool Applied { get; set; }
+
+    public int Created { get; set; }
+
+    public int Updated { get; set; }
+
+    public int Skipped { get; set; }
+
+    public List<BulkSeriesRuleEntryDto> Series { get; set; } = new();
+}
+
+/// <summary>
+/// What a bulk update did (or would do) for one series.
+/// </summary>
+public sealed class BulkSeriesRuleEntryDto
+{
+    public Guid SeriesId { get; set; }
+
+    public string? Name { get; set; }
+
+    public BulkRuleOutcomeDto Outcome { get; set; }
+
+    /// <summary>
+    /// Why the series was skipped, if it was.
+    /// </summary>
+    public string? Reason { get; set; }
+}
+
+/// <summary>
+/// One entry in a user's rule history.
+/// </summary>
+public sealed class RuleRevisionSummaryDto
+{
+    public long Revision { get; set; }
+
+    public DateTime SavedAt { get; set; }
+
+    public Guid? ActorUserId { get; set; }
+
+    public string? ActorName { get; set; }
+
+    public RuleChangeSourceDto Source { get; set; }
+
+    public int RuleCount { get; set; }
+}
+
+/// <summary>
+/// A past revision of a user's rules, including the rules themselves.
+/// </summary>
+public sealed class RuleRevisionDto
+{
+    public long Revision { get; set; }
+
+    public DateTime SavedAt { get; set; }
+
+    public Guid? ActorUserId { get; set; }
+
+    public string? ActorName { get; set; }
+
+    public RuleChangeSourceDto Source { get; set; }
+
+    public bool UseServerDefaults { get; set; }
+
+    public List<TrackRuleDto> Rules { get; set; } = new();
+}
+
+/// <summary>
+/// Differences between two revisions of a user's rules.
+/// </summary>
+public sealed class RuleRevisionDiffDto
+{
+    public long From { get; set; }
+
+    public long To { get; set; }
+
+    public List<TrackRuleDto> Added { get; set; } = new();
+
+    public List<RuleChangeDto> Changed { get; set; } = new();
+
+    public List<TrackRuleDto> Removed { get; set; } = new();
+
+    public int Unchanged { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the server default opt-in differs between the two revisions.
+    /// </summary>
+    public bool UseServerDefaultsChanged { get; set; }
+}
+
+/// <summary>
+/// Aggregated language options for a series.
+/// </summary>
+public sealed class SeriesLanguageOptionsDto
+{
+    public Guid SeriesId { get; set; }
+
+    public Guid? PreviewItemId { get; set; }
+
+    public List<LanguageOptionDto> Audio { get; set; } = new();
+
+    public List<LanguageOptionDto> Subtitles { get; set; } = new();
+
+    public List<SeasonOptionDto> Seasons { get; set; } = new();
+}
+
+/// <summary>
+/// Language options for a single movie, episode or video.
+/// </summary>
+public sealed class ItemLanguageOptionsDto
+{
+    public Guid ItemId { get; set; }
+
+    public Guid? PreviewItemId { get; set; }
+
+    public List<LanguageOptionDto> Audio { get; set; } = new();
 
-    public bool Enabled { get; set; } = true;
+    public List<LanguageOptionDto> Subtitles { get; set; } = new();
 }
 
 /// <summary>
-/// Aggregated language options for a series.
+/// Season entry that can receive its own rule override.
 /// </summary>
-public sealed class SeriesLanguageOptionsDto
+public sealed class SeasonOptionDto
 {
-    public Guid SeriesId { get; set; }
+    public Guid SeasonId { get; set; }
 
-    public Guid? PreviewItemId { get; set; }
+    public string Name { get; set; } = string.Empty;
 
-    public List<LanguageOptionDto> Audio { get; set; } = new();
+    public int? IndexNumber { get; set; }
 
-    public List<LanguageOptionDto> Subtitles { get; set; } = new();
+    public Guid? PreviewItemId { get; set; }
 }
 
 /// <summary>
@@ -65,6 +570,40 @@ public sealed class LanguageOptionDto
     public int StreamCount { get; set; }
 }
 
+/// <summary>
+/// One ISO 639 language offered by the language pickers.
+/// </summary>
+public sealed class LanguageDto
+{
+    /// <summary>
+    /// Code rules store for this language: ISO 639-2/T when it has one, otherwise ISO 639-3.
+    /// Regional variants append their subtag, e.g. "por-br".
+    /// </summary>
+    public string Code { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Language a regional variant falls back to, e.g. "por" for "por-br"; null for base languages.
+    /// </summary>
+    public string? BaseCode { get; set; }
+
+    public string Name { get; set; } = string.Empty;
+
+    public string? NativeName { get; set; }
+
+    /// <summary>
+    /// Further English names, e.g. "Flemish" for Dutch.
+    /// </summary>
+    public List<string> OtherNames { get; set; } = new();
+
+    public string? Part1 { get; set; }
+
+    public string? Part2B { get; set; }
+
+    public string? Part2T { get; set; }
+
+    public string? Part3 { get; set; }
+}
+
 /// <summary>
 /// DTO describing a preview request payload.
 /// </summary>
@@ -80,6 +619,82 @@ public sealed class PreviewRequestDto
     /// Optional rule override used when previewing unsaved changes.
     /// </summary>
     public TrackRuleDto? OverrideRule { get; set; }
+
+    /// <summary>
+    /// Optional session whose device profile is used for the transcode check.
+    /// Defaults to the user's most recently active session that reported one.
+    /// </summary>
+    public string? SessionId { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the result should explain how the rule and streams were chosen.
+    /// </summary>
+    public bool IncludeTrace { get; set; }
+}
+
+/// <summary>
+/// DTO describing a series-wide preview request.
+/// </summary>
+public sealed class SeriesPreviewRequestDto
+{
+    [Required]
+    public Guid UserId { get; set; }
+
+    [Required]
+    public Guid SeriesId { get; set; }
+
+    /// <summary>
+    /// Optional rule override used when previewing unsaved changes.
+    /// </summary>
+    public TrackRuleDto? OverrideRule { get; set; }
+}
+
+/// <summary>
+/// Per-episode resolution outcome grouped by season.
+/// </summary>
+public sealed class SeriesPreviewResultDto
+{
+    public Guid SeriesId { get; set; }
+
+    public List<SeasonPreviewDto> Seasons { get; set; } = new();
+}
+
+/// <summary>
+/// Episodes of one season in a series-wide preview.
+/// </summary>
+public sealed class SeasonPreviewDto
+{
+    public Guid? SeasonId { get; set; }
+
+    public string Name { get; set; } = string.Empty;
+
+    public int? IndexNumber { get; set; }
+
+    public List<EpisodePreviewDto> Episodes { get; set; } = new();
+}
+
+/// <summary>
+/// Resolution outcome for a single episode.
+/// </summary>
+public sealed class EpisodePreviewDto
+{
+    public Guid ItemId { get; set; }
+
+    public string Name { get; set; } = string.Empty;
+
+    public int? IndexNumber { get; set; }
+
+    public RuleScopeDto? Scope { get; set; }
+
+    public PreviewStreamDto? Audio { get; set; }
+
+    public PreviewStreamDto? Subtitle { get; set; }
+
+    public bool AudioFallback { get; set; }
+
+    public bool SubtitleFallback { get; set; }
+
+    public string? Reason { get; set; }
 }
 
 /// <summary>
@@ -96,6 +711,147 @@ public sealed class PreviewResultDto
     public string? Reason { get; set; }
 
     public bool TranscodeRisk { get; set; }
+
+    /// <summary>
+    /// Why the target streams would transcode, or why the risk could not be evaluated.
+    /// </summary>
+    public string? TranscodeRiskReason { get; set; }
+
+    /// <summary>
+    /// Name of the client whose device profile was used for the transcode check.
+    /// </summary>
+    public string? TranscodeDevice { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the shown streams are a direct-play fallback for the preferred ones.
+    /// </summary>
+    public bool CompatibleFallback { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the applied rule comes from the server default template.
+    /// </summary>
+    public bool ServerDefault { get; set; }
+
+    /// <summary>
+    /// Audio stream that will play once the rule is applied.
+    /// </summary>
+    public PreviewStreamDto? Audio { get; set; }
+
+    /// <summary>
+    /// Subtitle stream that will be shown once the rule is applied; null when subtitles are off.
+    /// </summary>
+    public PreviewStreamDto? Subtitle { get; set; }
+
+    public PreviewStreamDto? CurrentAudio { get; set; }
+
+    public PreviewStreamDto? CurrentSubtitle { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the top audio preference is missing and the resolver fell back.
+    /// </summary>
+    public bool AudioFallback { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the top subtitle preference is missing and the resolver fell back.
+    /// </summary>
+    public bool SubtitleFallback { get; set; }
+
+    /// <summary>
+    /// Step-by-step explanation of the decision; only filled when the request asked for it.
+    /// </summary>
+    public DecisionTraceDto? Trace { get; set; }
+}
+
+/// <summary>
+/// Explains a preview: the steps taken, every rule considered and every stream scored.
+/// </summary>
+public sealed class DecisionTraceDto
+{
+    public List<string> Steps { get; set; } = new();
+
+    public List<RuleTraceDto> Rules { get; set; } = new();
+
+    public List<StreamTraceDto> Audio { get; set; } = new();
+
+    public List<StreamTraceDto> Subtitles { get; set; } = new();
+}
+
+/// <summary>
+/// One rule the resolver considered and why it did or did not apply.
+/// </summary>
+public sealed class RuleTraceDto
+{
+    public TrackRuleDto Rule { get; set; } = new();
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the rule comes from the server default template.
+    /// </summary>
+    public bool ServerDefault { get; set; }
+
+    public RuleTraceOutcomeDto Outcome { get; set; }
+
+    public string Reason { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// One stream the resolver scored and why it was or was not picked.
+/// </summary>
+public sealed class StreamTraceDto
+{
+    public int Index { get; set; }
+
+    public string? Language { get; set; }
+
+    /// <summary>
+    /// Language code the resolver read from the stream's tag; empty when it has none.
+    /// </summary>
+    public string NormalizedLanguage { get; set; } = string.Empty;
+
+    public string? Codec { get; set; }
+
+    public string? Title { get; set; }
+
+    public int Score { get; set; }
+
+    public string ScoreDetail { get; set; } = string.Empty;
+
+    /// <summary>
+    /// 1-based position of the first preference the stream matches; null when none does.
+    /// </summary>
+    public int? PreferenceRank { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether this is the stream the resolver picked.
+    /// </summary>
+    public bool Selected { get; set; }
+
+    public string Reason { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Describes a single stream surfaced by the preview endpoint.
+/// </summary>
+public sealed class PreviewStreamDto
+{
+    public int Index { get; set; }
+
+    public string Language { get; set; } = string.Empty;
+
+    public string LanguageName { get; set; } = string.Empty;
+
+    public string? Title { get; set; }
+
+    public string? Codec { get; set; }
+
+    public int? Channels { get; set; }
+
+    public string? ChannelLayout { get; set; }
+
+    public bool IsDefault { get; set; }
+
+    public bool IsForced { get; set; }
+
+    public bool IsExternal { get; set; }
 }
 
 /// <summary>
@@ -118,7 +874,13 @@ public enum RuleScopeDto
 {
     Global = 0,
     Library = 1,
-    Series = 2
+    Series = 2,
+    Season = 3,
+    Item = 4,
+    Collection = 5,
+    Tag = 6,
+    Genre = 7,
+    Studio = 8
 }
 
 /// <summary>
@@ -133,6 +895,89 @@ public enum SubtitleModeDto
     OnlyIfAudioNotPreferred = 4
 }
 
+/// <summary>
+/// Public counterpart of <see cref="SubtitleFormatPreference"/>.
+/// </summary>
+public enum SubtitleFormatPreferenceDto
+{
+    None = 0,
+    PreferText = 1,
+    AvoidImage = 2
+}
+
+/// <summary>
+/// Public counterpart of <see cref="SubtitleSourcePreference"/>.
+/// </summary>
+public enum SubtitleSourcePreferenceDto
+{
+    None = 0,
+    PreferExternal = 1,
+    PreferEmbedded = 2
+}
+
+/// <summary>
+/// Public counterpart of <see cref="TranscodeFallback"/>.
+/// </summary>
+public enum TranscodeFallbackDto
+{
+    Skip = 0,
+    Compatible = 1
+}
+
+/// <summary>
+/// Public counterpart of <see cref="RuleMergeMode"/>.
+/// </summary>
+public enum RuleImportModeDto
+{
+    Merge = 0,
+    Replace = 1
+}
+
+/// <summary>
+/// What a bulk update did to one target's rule.
+/// </summary>
+public enum BulkRuleOutcomeDto
+{
+    Created = 0,
+    Updated = 1,
+    Skipped = 2
+}
+
+/// <summary>
+/// Public counterpart of <see cref="RuleTraceOutcome"/>.
+/// </summary>
+public enum RuleTraceOutcomeDto
+{
+    Selected = 0,
+    Shadowed = 1,
+    NotMatched = 2,
+    Disabled = 3
+}
+
+/// <summary>
+/// Public counterpart of <see cref="RuleIssueSeverity"/>.
+/// </summary>
+public enum RuleIssueSeverityDto
+{
+    Warning = 0,
+    Error = 1
+}
+
+/// <summary>
+/// Public counterpart of <see cref="RuleChangeSource"/>.
+/// </summary>
+public enum RuleChangeSourceDto
+{
+    Unknown = 0,
+    Api = 1,
+    Dashboard = 2,
+    Widget = 3,
+    Import = 4,
+    Copy = 5,
+    Restore = 6,
+    Maintenance = 7
+}
+
 /// <summary>
 /// Utility helpers used to convert model objects to public DTOs and back.
 /// </summary>
@@ -146,7 +991,9 @@ internal static class TrackRuleDtoMapper
         {
             Version = domain.Version,
             UserId = domain.UserId,
-            Rules = domain.Rules.Select(ToDto).ToList()
+            Revision = domain.Revision,
+            Rules = domain.Rules.Select(ToDto).ToList(),
+            UseServerDefaults = domain.UseServerDefaults
         };
     }
 
@@ -158,13 +1005,119 @@ internal static class TrackRuleDtoMapper
         {
             UserId = dto.UserId,
             Version = dto.Version,
-            Rules = dto.Rules.Select(ToDomainRule).ToList()
+            Rules = dto.Rules.Select(ToDomainRule).ToList(),
+            UseServerDefaults = dto.UseServerDefaults ?? true
         };
 
         return ruleSet;
     }
 
-    private static TrackRuleDto ToDto(TrackRule rule)
+    public static RuleRevisionSummaryDto ToSummaryDto(RuleRevision revision)
+    {
+        ArgumentNullException.ThrowIfNull(revision);
+
+        return new RuleRevisionSummaryDto
+        {
+            Revision = revision.Revision,
+            SavedAt = revision.SavedAt,
+            ActorUserId = revision.ActorUserId,
+            ActorName = revision.ActorName,
+            Source = (RuleChangeSourceDto)revision.Source,
+            RuleCount = revision.Rules.Rules.Count
+        };
+    }
+
+    public static RuleRevisionDto ToDto(RuleRevision revision)
+    {
+        ArgumentNullException.ThrowIfNull(revision);
+
+        return new RuleRevisionDto
+        {
+            Revision = revision.Revision,
+            SavedAt = revision.SavedAt,
+            ActorUserId = revision.ActorUserId,
+            ActorName = revision.ActorName,
+            Source = (RuleChangeSourceDto)revision.Source,
+            UseServerDefaults = revision.Rules.UseServerDefaults,
+            Rules = revision.Rules.Rules.Select(ToDto).ToList()
+        };
+    }
+
+    public static RuleValidationIssueDto ToDto(RuleValidationIssue issue)
+    {
+        return new RuleValidationIssueDto
+        {
+            Index = issue.Index,
+            Field = issue.Field,
+            Severity = (RuleIssueSeverityDto)issue.Severity,
+            Message = issue.Message
+        };
+    }
+
+    public static LanguageDto ToDto(LanguageInfo language)
+    {
+        ArgumentNullException.ThrowIfNull(language);
+
+        return new LanguageDto
+        {
+            Code = language.Code,
+            BaseCode = LanguageVariants.GetVariant(language.Code) is null ? null : LanguageVariants.GetBase(language.Code),
+            Name = language.Name,
+            NativeName = language.NativeName,
+            OtherNames = language.Names.Skip(1).ToList(),
+            Part1 = language.Part1,
+            Part2B = language.Part2B,
+            Part2T = language.Part2T,
+            Part3 = language.Part3
+        };
+    }
+
+    public static DecisionTraceDto ToDto(ResolutionTrace trace)
+    {
+        ArgumentNullException.ThrowIfNull(trace);
+
+        return new DecisionTraceDto
+        {
+            Steps = trace.Steps.ToList(),
+            Rules = trace.Rules.Select(rule => new RuleTraceDto
+            {
+                Rule = ToDto(rule.Rule),
+                ServerDefault = rule.ServerDefault,
+                Outcome = (RuleTraceOutcomeDto)rule.Outcome,
+                Reason = rule.Reason
+            }).ToList(),
+            Audio = trace.Streams.Where(stream => stream.Type == MediaStreamType.Audio).Select(ToDto).ToList(),
+            Subtitles = trace.Streams.Where(stream => stream.Type == MediaStreamType.Subtitle).Select(ToDto).ToList()
+        };
+    }
+
+    public static StreamTraceDto ToDto(StreamTrace stream)
+    {
+        return new StreamTraceDto
+        {
+            Index = stream.Index,
+            Language = stream.Language,
+            NormalizedLanguage = stream.NormalizedLanguage,
+            Codec = stream.Codec,
+            Title = stream.Title,
+            Score = stream.Score,
+            ScoreDetail = stream.ScoreDetail,
+            PreferenceRank = stream.PreferenceRank,
+            Selected = stream.Selected,
+            Reason = stream.Reason
+        };
+    }
+
+    public static RuleChangeDto ToDto(RuleChange change)
+    {
+        return new RuleChangeDto
+        {
+            Before = ToDto(change.Before),
+            After = ToDto(change.After)
+        };
+    }
+
+    public static TrackRuleDto ToDto(TrackRule rule)
     {
         return new TrackRuleDto
         {
@@ -173,8 +1126,22 @@ internal static class TrackRuleDtoMapper
             Audio = rule.Audio?.ToList() ?? new List<string>(),
             Subs = rule.Subs?.ToList() ?? new List<string>(),
             SubsMode = (SubtitleModeDto)rule.SubsMode,
+            SubsFormat = (SubtitleFormatPreferenceDto)rule.SubsFormat,
+            SubsSource = (SubtitleSourcePreferenceDto)rule.SubsSource,
             DontTranscode = rule.DontTranscode,
-            Enabled = rule.Enabled
+            TranscodeFallback = (TranscodeFallbackDto)rule.TranscodeFallback,
+            AudioCodecs = rule.AudioCodecs?.ToList(),
+            MaxChannels = rule.MaxChannels,
+            PreferredChannels = rule.PreferredChannels,
+            PreferLossless = rule.PreferLossless,
+            AudioTitleInclude = rule.AudioTitleInclude?.ToList(),
+            AudioTitleExclude = rule.AudioTitleExclude?.ToList(),
+            SubsTitleInclude = rule.SubsTitleInclude?.ToList(),
+            SubsTitleExclude = rule.SubsTitleExclude?.ToList(),
+            Enabled = rule.Enabled,
+            TargetValue = rule.TargetValue,
+            TargetName = rule.TargetName,
+            TargetProviderIds = rule.TargetProviderIds is null ? null : new Dictionary<string, string>(rule.TargetProviderIds)
         };
     }
 
@@ -187,11 +1154,48 @@ internal static class TrackRuleDtoMapper
             Audio = NormalizeList(dto.Audio, RuleKeywords.Any),
             Subs = NormalizeList(dto.Subs, RuleKeywords.None),
             SubsMode = (SubtitleMode)dto.SubsMode,
+            SubsFormat = (SubtitleFormatPreference)dto.SubsFormat,
+            SubsSource = (SubtitleSourcePreference)dto.SubsSource,
             DontTranscode = dto.DontTranscode,
-            Enabled = dto.Enabled
+            TranscodeFallback = (TranscodeFallback)dto.TranscodeFallback,
+            AudioCodecs = NormalizeCodecs(dto.AudioCodecs),
+            MaxChannels = dto.MaxChannels,
+            PreferredChannels = dto.PreferredChannels,
+            PreferLossless = dto.PreferLossless,
+            AudioTitleInclude = NormalizePatterns(dto.AudioTitleInclude),
+            AudioTitleExclude = NormalizePatterns(dto.AudioTitleExclude),
+            SubsTitleInclude = NormalizePatterns(dto.SubsTitleInclude),
+            SubsTitleExclude = NormalizePatterns(dto.SubsTitleExclude),
+            Enabled = dto.Enabled,
+            TargetValue = string.IsNullOrWhiteSpace(dto.TargetValue) ? null : dto.TargetValue.Trim(),
+            TargetName = dto.TargetName,
+            TargetProviderIds = dto.TargetProviderIds is null ? null : new Dictionary<string, string>(dto.TargetProviderIds)
         };
     }
 
+    private static List<string>? NormalizeCodecs(List<string>? values)
+    {
+        var codecs = (values ?? new List<string>())
+            .Where(value => !string.IsNullOrWhiteSpace(value))
+            .Select(value => value.Trim().ToLowerInvariant())
+            .Distinct()
+            .ToList();
+
+        return codecs.Count == 0 ? null : codecs;
+    }
+
+    // Unlike codecs, patterns keep their case: regular expressions without the i flag are case-sensitive.
+    private static List<string>? NormalizePatterns(List<string>? values)
+    {
+        var patterns = (values ?? new List<string>())
+            .Where(value => !string.IsNullOrWhiteSpace(value))
+            .Select(value => value.Trim())
+            .Distinct(StringComparer.Ordinal)
+            .ToList();
+
+        return patterns.Count == 0 ? null : patterns;
+    }
+
     private static List<string> NormalizeList(List<string>? values, string fallback)
     {
         if (values is null || values.Count == 0)
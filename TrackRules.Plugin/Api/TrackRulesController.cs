@@ -7,6 +7,7 @@ using System.Security.Claims;
 using System.Threading;
 using System.Threading.Tasks;
 using Jellyfin.Data.Enums;
+using Jellyfin.Plugin.TrackRules.Configuration;
 using Jellyfin.Plugin.TrackRules.Core;
 using MediaBrowser.Controller.Dto;
 using MediaBrowser.Controller.Entities;
@@ -33,6 +34,7 @@ public sealed class TrackRulesController : ControllerBase
 {
     private const string UserIdClaimType = "Jellyfin-UserId";
     private const string AdministratorRole = "Administrator";
+    private const int MaxLanguageSearchResults = 100;
 
     private readonly IRuleStore _ruleStore;
     private readonly ITrackRuleResolver _resolver;
@@ -40,6 +42,12 @@ public sealed class TrackRulesController : ControllerBase
     private readonly IMediaSourceManager _mediaSourceManager;
     private readonly ISessionManager _sessionManager;
     private readonly ILanguageNormalizer _languageNormalizer;
+    private readonly ITranscodeGuard _transcodeGuard;
+    private readonly IUserManager _userManager;
+    private readonly IRuleTemplateProvider _templateProvider;
+    private readonly IRuleValidator _ruleValidator;
+    private readonly IOrphanedRuleService _orphanedRules;
+    private readonly IItemMetadataReader _metadataReader;
     private readonly ILogger<TrackRulesController> _logger;
 
     /// <summary>
@@ -52,6 +60,12 @@ public sealed class TrackRulesController : ControllerBase
         IMediaSourceManager mediaSourceManager,
         ISessionManager sessionManager,
         ILanguageNormalizer languageNormalizer,
+        ITranscodeGuard transcodeGuard,
+        IUserManager userManager,
+        IRuleTemplateProvider templateProvider,
+        IRuleValidator ruleValidator,
+        IOrphanedRuleService orphanedRules,
+        IItemMetadataReader metadataReader,
         ILogger<TrackRulesController> logger)
     {
         _ruleStore = ruleStore;
@@ -60,6 +74,12 @@ public sealed class TrackRulesController : ControllerBase
         _mediaSourceManager = mediaSourceManager;
         _sessionManager = sessionManager;
         _languageNormalizer = languageNormalizer;
+        _transcodeGuard = transcodeGuard;
+        _userManager = userManager;
+        _templateProvider = templateProvider;
+        _ruleValidator = ruleValidator;
+        _orphanedRules = orphanedRules;
+        _metadataReader = metadataReader;
         _logger = logger;
     }
 
@@ -79,6 +99,7 @@ public sealed class TrackRulesController : ControllerBase
         }
 
         var rules = await _ruleStore.GetAsync(userId, cancellationToken).ConfigureAwait(false);
+        SetRevisionHeader(rules.Revision);
         return Ok(TrackRuleDtoMapper.ToDto(rules));
     }
 
@@ -89,9 +110,11 @@ public sealed class TrackRulesController : ControllerBase
     [ProducesResponseType(StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
     [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
     public async Task<ActionResult<UserRulesDto>> UpsertUserRules(
         [FromRoute] Guid userId,
         [FromBody] UserRulesDto payload,
+        [FromQuery] string? source,
         CancellationToken cancellationToken)
     {
         if (!ModelState.IsValid)
@@ -117,10 +140,986 @@ public sealed class TrackRulesController : ControllerBase
         payload.UserId = userId;
         payload.Rules ??= new List<TrackRuleDto>();
 
+        // Clients that predate the opt-out (or only edit rules) leave it unset; keep the stored choice.
+        if (!payload.UseServerDefaults.HasValue)
+        {
+            var existing = await _ruleStore.GetAsync(userId, cancellationToken).ConfigureAwait(false);
+            payload.UseServerDefaults = existing.UseServerDefaults;
+        }
+
         var domainRules = TrackRuleDtoMapper.ToDomain(payload);
-        await _ruleStore.SaveAsync(domainRules, cancellationToken).ConfigureAwait(false);
+        var issues = _ruleValidator.Validate(domainRules.Rules);
+        if (issues.Any(issue => issue.IsError))
+        {
+            return BadRequest(ToValidationProblem(issues));
+        }
+
+        _orphanedRules.StampTargets(domainRules.Rules);
+        try
+        {
+            var expectedRevision = ReadIfMatchRevision() ?? payload.Revision;
+            await _ruleStore.SaveAsync(domainRules, expectedRevision, DescribeChange(ParseChangeSource(source)), cancellationToken).ConfigureAwait(false);
+        }
+        catch (RuleConflictException ex)
+        {
+            SetRevisionHeader(ex.Current.Revision);
+            return Conflict(TrackRuleDtoMapper.ToDto(ex.Current));
+        }
+
+        SetRevisionHeader(domainRules.Revision);
+        var saved = TrackRuleDtoMapper.ToDto(domainRules);
+        saved.Issues = issues.Select(TrackRuleDtoMapper.ToDto).ToList();
+        return Ok(saved);
+    }
+
+    /// <summary>
+    /// Returns a single rule of a user. Global rules have no target; tag, genre and studio rules name theirs
+    /// with <c>?value=</c>.
+    /// </summary>
+    [HttpGet("user/{userId:guid}/rules/{scope}/{targetId:guid?}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<TrackRuleDto>> GetUserRule(
+        [FromRoute] Guid userId,
+        [FromRoute] RuleScopeDto scope,
+        [FromRoute] Guid? targetId,
+        [FromQuery] string? value,
+        CancellationToken cancellationToken)
+    {
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        var problem = ValidateRuleKey(scope, targetId, value);
+        if (problem is not null)
+        {
+            return BadRequest(problem);
+        }
+
+        var rules = await _ruleStore.GetAsync(userId, cancellationToken).ConfigureAwait(false);
+        var rule = rules.Rules.FirstOrDefault(candidate => IsRuleKey(candidate, scope, targetId, value));
+        if (rule is null)
+        {
+            return NotFound($"No {scope} rule exists for this target.");
+        }
+
+        SetRevisionHeader(rules.Revision);
+        return Ok(TrackRuleDtoMapper.ToDto(rule));
+    }
+
+    /// <summary>
+    /// Creates or replaces a single rule without touching the user's other rules.
+    /// </summary>
+    [HttpPut("user/{userId:guid}/rules/{scope}/{targetId:guid?}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<TrackRuleDto>> PutUserRule(
+        [FromRoute] Guid userId,
+        [FromRoute] RuleScopeDto scope,
+        [FromRoute] Guid? targetId,
+        [FromQuery] string? value,
+        [FromBody] TrackRuleDto payload,
+        [FromQuery] string? source,
+        CancellationToken cancellationToken)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        if (payload is null)
+        {
+            return BadRequest("Payload is required.");
+        }
+
+        // The route names the rule; a body that names a different one is almost certainly a client bug.
+        if ((payload.Scope != scope && payload.Scope != RuleScopeDto.Global) ||
+            (payload.TargetId.HasValue && payload.TargetId != targetId) ||
+            (!string.IsNullOrWhiteSpace(payload.TargetValue) &&
+                !string.Equals(payload.TargetValue.Trim(), value?.Trim(), StringComparison.OrdinalIgnoreCase)))
+        {
+            return BadRequest("Scope or target mismatch between route and payload.");
+        }
+
+        payload.Scope = scope;
+        payload.TargetId = targetId;
+        payload.TargetValue = value;
+
+        var problem = ValidateRuleKey(scope, targetId, value);
+        if (problem is not null)
+        {
+            return BadRequest(problem);
+        }
+
+        var rule = TrackRuleDtoMapper.ToDomainRule(payload);
+        var issues = _ruleValidator.ValidateRule(rule, 0);
+        if (issues.Any(issue => issue.IsError))
+        {
+            return BadRequest(ToValidationProblem(issues));
+        }
+
+        _orphanedRules.StampTargets(new[] { rule });
+
+        UserRuleSet saved;
+        try
+        {
+            saved = await _ruleStore.UpdateAsync(
+                userId,
+                ReadIfMatchRevision(),
+                ruleSet =>
+                {
+                    ruleSet.Rules = RuleSetMerge.Merge(ruleSet.Rules, new[] { rule }, RuleMergeMode.Merge);
+                    return true;
+                },
+                DescribeChange(ParseChangeSource(source)),
+                cancellationToken).ConfigureAwait(false);
+        }
+        catch (RuleConflictException ex)
+        {
+            SetRevisionHeader(ex.Current.Revision);
+            return Conflict(TrackRuleDtoMapper.ToDto(ex.Current));
+        }
+
+        SetRevisionHeader(saved.Revision);
+        return Ok(TrackRuleDtoMapper.ToDto(rule));
+    }
+
+    /// <summary>
+    /// Deletes a single rule, leaving the user's other rules as they are.
+    /// </summary>
+    [HttpDelete("user/{userId:guid}/rules/{scope}/{targetId:guid?}")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult> DeleteUserRule(
+        [FromRoute] Guid userId,
+        [FromRoute] RuleScopeDto scope,
+        [FromRoute] Guid? targetId,
+        [FromQuery] string? value,
+        [FromQuery] string? source,
+        CancellationToken cancellationToken)
+    {
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        var problem = ValidateRuleKey(scope, targetId, value);
+        if (problem is not null)
+        {
+            return BadRequest(problem);
+        }
+
+        var removed = false;
+        UserRuleSet saved;
+        try
+        {
+            saved = await _ruleStore.UpdateAsync(
+                userId,
+                ReadIfMatchRevision(),
+                ruleSet =>
+                {
+                    removed = ruleSet.Rules.RemoveAll(candidate => IsRuleKey(candidate, scope, targetId, value)) > 0;
+                    return removed;
+                },
+                DescribeChange(ParseChangeSource(source)),
+                cancellationToken).ConfigureAwait(false);
+        }
+        catch (RuleConflictException ex)
+        {
+            SetRevisionHeader(ex.Current.Revision);
+            return Conflict(TrackRuleDtoMapper.ToDto(ex.Current));
+        }
+
+        SetRevisionHeader(saved.Revision);
+        return removed ? NoContent() : NotFound($"No {scope} rule exists for this target.");
+    }
+
+    /// <summary>
+    /// Creates or updates a Series rule with the same settings for many series at once, picked by id, genre or tag.
+    /// </summary>
+    [HttpPost("user/{userId:guid}/bulk/series")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<BulkSeriesRuleResultDto>> BulkSeriesRules(
+        [FromRoute] Guid userId,
+        [FromBody] BulkSeriesRuleRequestDto request,
+        [FromQuery] string? source,
+        CancellationToken cancellationToken)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        if (request?.Rule is null)
+        {
+            return BadRequest("Request payload is required.");
+        }
+
+        if (request.SeriesIds.Count == 0 && request.Genres.Count == 0 && request.Tags.Count == 0)
+        {
+            return BadRequest("Choose series, a genre or a tag.");
+        }
+
+        var result = new BulkSeriesRuleResultDto();
+        var series = ResolveBulkSeries(request, result.Series);
+        if (series.Count == 0)
+        {
+            result.Skipped = result.Series.Count;
+            return result.Series.Count == 0 ? BadRequest("No series matched the selection.") : Ok(result);
+        }
+
+        // Every generated rule differs only in its target, so validating one of them covers the rest.
+        var template = request.Rule;
+        template.Scope = RuleScopeDto.Series;
+        template.TargetId = series[0].Id;
+        var issues = _ruleValidator.ValidateRule(TrackRuleDtoMapper.ToDomainRule(template), 0);
+        if (issues.Any(issue => issue.IsError))
+        {
+            return BadRequest(ToValidationProblem(issues));
+        }
+
+        List<BulkSeriesRuleEntryDto> Plan(List<TrackRule> rules)
+        {
+            var entries = new List<BulkSeriesRuleEntryDto>();
+            foreach (var item in series)
+            {
+                template.TargetId = item.Id;
+                var rule = TrackRuleDtoMapper.ToDomainRule(template);
+                var entry = new BulkSeriesRuleEntryDto { SeriesId = item.Id, Name = item.Name };
+                var index = rules.FindIndex(existing => RuleSetMerge.SameTarget(existing, rule));
+
+                if (index < 0)
+                {
+                    _orphanedRules.StampTargets(new[] { rule });
+                    rules.Add(rule);
+                    entry.Outcome = BulkRuleOutcomeDto.Created;
+                }
+                else if (RuleSetMerge.SameSettings(rules[index], rule))
+                {
+                    entry.Outcome = BulkRuleOutcomeDto.Skipped;
+                    entry.Reason = "Already has these settings.";
+                }
+                else if (!request.OverwriteExisting)
+                {
+                    entry.Outcome = BulkRuleOutcomeDto.Skipped;
+                    entry.Reason = "Already has a rule.";
+                }
+                else
+                {
+                    _orphanedRules.StampTargets(new[] { rule });
+                    rules[index] = rule;
+                    entry.Outcome = BulkRuleOutcomeDto.Updated;
+                }
+
+                entries.Add(entry);
+            }
+
+            return entries;
+        }
+
+        List<BulkSeriesRuleEntryDto> planned;
+        if (request.DryRun)
+        {
+            var current = await _ruleStore.GetAsync(userId, cancellationToken).ConfigureAwait(false);
+            planned = Plan(current.Rules.ToList());
+            SetRevisionHeader(current.Revision);
+        }
+        else
+        {
+            planned = new List<BulkSeriesRuleEntryDto>();
+            UserRuleSet saved;
+            try
+            {
+                saved = await _ruleStore.UpdateAsync(
+                    userId,
+                    ReadIfMatchRevision(),
+                    ruleSet =>
+                    {
+                        planned = Plan(ruleSet.Rules);
+                        return planned.Any(entry => entry.Outcome != BulkRuleOutcomeDto.Skipped);
+                    },
+                    DescribeChange(ParseChangeSource(source)),
+                    cancellationToken).ConfigureAwait(false);
+            }
+            catch (RuleConflictException ex)
+            {
+                SetRevisionHeader(ex.Current.Revision);
+                return Conflict(TrackRuleDtoMapper.ToDto(ex.Current));
+            }
+
+            SetRevisionHeader(saved.Revision);
+            result.Applied = true;
+        }
+
+        result.Series.AddRange(planned);
+        result.Created = result.Series.Count(entry => entry.Outcome == BulkRuleOutcomeDto.Created);
+        result.Updated = result.Series.Count(entry => entry.Outcome == BulkRuleOutcomeDto.Updated);
+        result.Skipped = result.Series.Count(entry => entry.Outcome == BulkRuleOutcomeDto.Skipped);
+
+        if (result.Applied)
+        {
+            _logger.LogInformation(
+                "Bulk series rules for user {UserId}: {Created} created, {Updated} updated, {Skipped} skipped.",
+                userId,
+                result.Created,
+                result.Updated,
+                result.Skipped);
+        }
+
+        return Ok(result);
+    }
+
+    /// <summary>
+    /// Lists rules across every user, optionally only those with a given scope, target or tag/genre/studio value.
+    /// Administrators only.
+    /// </summary>
+    [HttpGet("rules")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<ActionResult<List<UserTrackRuleDto>>> ListAllRules(
+        [FromQuery] RuleScopeDto? scope,
+        [FromQuery] Guid? targetId,
+        [FromQuery] string? value,
+        CancellationToken cancellationToken)
+    {
+        if (!IsAdministrator())
+        {
+            return Forbid();
+        }
+
+        var result = new List<UserTrackRuleDto>();
+        foreach (var user in _userManager.Users.OrderBy(user => user.Username, StringComparer.CurrentCultureIgnoreCase))
+        {
+            var rules = await _ruleStore.GetAsync(user.Id, cancellationToken).ConfigureAwait(false);
+            result.AddRange(rules.Rules
+                .Where(rule => !scope.HasValue || rule.Scope == (RuleScope)scope.Value)
+                .Where(rule => !targetId.HasValue || rule.TargetId == targetId)
+                .Where(rule => string.IsNullOrWhiteSpace(value) ||
+                    string.Equals(rule.TargetValue, value.Trim(), StringComparison.OrdinalIgnoreCase))
+                .Select(rule => new UserTrackRuleDto
+                {
+                    UserId = user.Id,
+                    UserName = user.Username,
+                    Rule = TrackRuleDtoMapper.ToDto(rule)
+                }));
+        }
+
+        return Ok(result);
+    }
+
+    /// <summary>
+    /// Resolves rule targets (libraries, series, seasons, items) to names and poster availability in one request.
+    /// Items the caller cannot see are reported as missing.
+    /// </summary>
+    [HttpPost("targets")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public ActionResult<List<RuleTargetDto>> ResolveTargets([FromBody] RuleTargetRequestDto request)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (request is null)
+        {
+            return BadRequest("Request payload is required.");
+        }
+
+        // Administrators see every target; anyone else only learns about items their library access and parental
+        // controls let them see, and everything else reads as missing.
+        var restricted = !IsAdministrator();
+        var viewer = restricted ? _userManager.GetUserById(GetAuthenticatedUserId()) : null;
+
+        var targets = request.Ids
+            .Where(id => id != Guid.Empty)
+            .Distinct()
+            .Select(id =>
+            {
+                var item = _libraryManager.GetItemById(id);
+                if (item is null || (restricted && (viewer is null || !item.IsVisibleStandalone(viewer))))
+                {
+                    return new RuleTargetDto { Id = id };
+                }
+
+                return new RuleTargetDto
+                {
+                    Id = id,
+                    Exists = true,
+                    Name = item.Name,
+                    SeriesName = item switch
+                    {
+                        Season season => season.SeriesName,
+                        Episode episode => episode.SeriesName,
+                        _ => null
+                    },
+                    Type = item.GetClientTypeName(),
+                    HasPrimaryImage = item.HasImage(ImageType.Primary)
+                };
+            })
+            .ToList();
+
+        return Ok(targets);
+    }
+
+    /// <summary>
+    /// Lists rules of every user whose target no longer exists, with re-link suggestions. Administrators only.
+    /// </summary>
+    [HttpGet("orphans")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<ActionResult<List<OrphanedRuleDto>>> GetOrphanedRules(CancellationToken cancellationToken)
+    {
+        if (!IsAdministrator())
+        {
+            return Forbid();
+        }
+
+        var orphans = await _orphanedRules.ScanAsync(cancellationToken).ConfigureAwait(false);
+        return Ok(orphans.Select(ToOrphanDto).ToList());
+    }
+
+    /// <summary>
+    /// Re-links every orphaned rule that has a unique match. Administrators only.
+    /// </summary>
+    [HttpPost("orphans/relink")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<ActionResult<List<OrphanedRuleDto>>> RelinkOrphanedRules(CancellationToken cancellationToken)
+    {
+        if (!IsAdministrator())
+        {
+            return Forbid();
+        }
+
+        var relinked = await _orphanedRules
+            .RelinkAsync(DescribeChange(RuleChangeSource.Maintenance), cancellationToken)
+            .ConfigureAwait(false);
+        return Ok(relinked.Select(ToOrphanDto).ToList());
+    }
+
+    /// <summary>
+    /// Deletes the given orphaned rules across users. Rules whose target exists again are left alone. Administrators only.
+    /// </summary>
+    [HttpPost("orphans/delete")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<ActionResult<OrphanDeleteResultDto>> DeleteOrphanedRules(
+        [FromBody] OrphanDeleteRequestDto request,
+        CancellationToken cancellationToken)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (!IsAdministrator())
+        {
+            return Forbid();
+        }
+
+        if (request is null)
+        {
+            return BadRequest("Request payload is required.");
+        }
+
+        var orphans = (await _orphanedRules.ScanAsync(cancellationToken).ConfigureAwait(false))
+            .Select(orphan => new RuleKey(orphan.UserId, orphan.Rule.Scope, orphan.Rule.TargetId))
+            .ToHashSet();
+        var keys = request.Rules
+            .Select(key => new RuleKey(key.UserId, (RuleScope)key.Scope, key.TargetId))
+            .Where(orphans.Contains)
+            .ToHashSet();
+
+        var removed = await _orphanedRules
+            .RemoveAsync(keys, DescribeChange(RuleChangeSource.Maintenance), cancellationToken)
+            .ConfigureAwait(false);
+
+        _logger.LogInformation("Deleted {Count} orphaned Track Rules.", removed);
+        return Ok(new OrphanDeleteResultDto { Removed = removed });
+    }
+
+    /// <summary>
+    /// Returns the server-wide default rules applied to users without a matching rule of their own.
+    /// </summary>
+    [HttpGet("defaults")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public ActionResult<DefaultRulesDto> GetDefaultRules()
+    {
+        return Ok(new DefaultRulesDto
+        {
+            Rules = _templateProvider.GetDefaultRules().Select(TrackRuleDtoMapper.ToDto).ToList()
+        });
+    }
+
+    /// <summary>
+    /// Replaces the server-wide default rules. Administrators only.
+    /// </summary>
+    [HttpPut("defaults")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status500InternalServerError)]
+    public ActionResult<DefaultRulesDto> UpdateDefaultRules([FromBody] DefaultRulesDto payload)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (!IsAdministrator())
+        {
+            return Forbid();
+        }
+
+        if (payload is null)
+        {
+            return BadRequest("Payload is required.");
+        }
+
+        var plugin = Plugin.Instance;
+        if (plugin is null)
+        {
+            _logger.LogError("Cannot save default Track Rules: the plugin instance is not available.");
+            return StatusCode(StatusCodes.Status500InternalServerError, "The Track Rules plugin is not loaded; default rules were not saved.");
+        }
+
+        var rules = (payload.Rules ?? new List<TrackRuleDto>())
+            .Select(dto =>
+            {
+                if (dto.Scope == RuleScopeDto.Global)
+                {
+                    dto.TargetId = null;
+                }
+
+                return TrackRuleDtoMapper.ToDomainRule(dto);
+            })
+            .ToList();
+
+        var issues = _ruleValidator.Validate(rules);
+        if (issues.Any(issue => issue.IsError))
+        {
+            return BadRequest(ToValidationProblem(issues));
+        }
+
+        plugin.Configuration.DefaultRules = rules.Select(DefaultRuleEntry.FromRule).ToArray();
+        plugin.SaveConfiguration();
+
+        _logger.LogInformation("Server default Track Rules updated ({Count} rule(s)).", rules.Count);
+        return Ok(new DefaultRulesDto
+        {
+            Rules = rules.Select(TrackRuleDtoMapper.ToDto).ToList()
+        });
+    }
+
+    /// <summary>
+    /// Exports a user's rules in the format accepted by the import endpoint.
+    /// </summary>
+    [HttpGet("user/{userId:guid}/export")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<ActionResult<RuleSetExportDto>> ExportUserRules(
+        [FromRoute] Guid userId,
+        CancellationToken cancellationToken)
+    {
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        var rules = await _ruleStore.GetAsync(userId, cancellationToken).ConfigureAwait(false);
+        return Ok(new RuleSetExportDto
+        {
+            Version = rules.Version,
+            SourceUserId = userId,
+            ExportedAt = DateTime.UtcNow,
+            Rules = rules.Rules.Select(TrackRuleDtoMapper.ToDto).ToList()
+        });
+    }
+
+    /// <summary>
+    /// Merges or replaces a user's rules with imported ones, or previews the diff when <c>dryRun</c> is set.
+    /// </summary>
+    [HttpPost("user/{userId:guid}/import")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<RuleImportResultDto>> ImportUserRules(
+        [FromRoute] Guid userId,
+        [FromBody] RuleImportRequestDto request,
+        CancellationToken cancellationToken)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
 
-        return Ok(TrackRuleDtoMapper.ToDto(domainRules));
+        if (request is null)
+        {
+            return BadRequest("Request payload is required.");
+        }
+
+        if (request.Version > RuleSchema.CurrentVersion)
+        {
+            return BadRequest($"Import uses schema version {request.Version}; this server supports up to {RuleSchema.CurrentVersion}.");
+        }
+
+        var issues = new List<RuleImportIssueDto>();
+        var incoming = new List<TrackRule>();
+        for (var i = 0; i < request.Rules.Count; i++)
+        {
+            var dto = request.Rules[i];
+            if (dto is null)
+            {
+                issues.Add(new RuleImportIssueDto { Index = i, Message = "Rule is empty." });
+                continue;
+            }
+
+            if (dto.Scope == RuleScopeDto.Global)
+            {
+                dto.TargetId = null;
+            }
+
+            // Rules for targets this server doesn't have come from another server's export; skip them.
+            var rule = TrackRuleDtoMapper.ToDomainRule(dto);
+            var problem = _ruleValidator
+                .ValidateRule(rule, i)
+                .FirstOrDefault(issue => issue.IsError || issue.Field == "targetId")?.Message;
+            if (problem is null)
+            {
+                if (incoming.Any(existing => RuleSetMerge.SameTarget(existing, rule)))
+                {
+                    problem = "Another imported rule already targets this scope; only the first one is kept.";
+                }
+                else
+                {
+                    incoming.Add(rule);
+                }
+            }
+
+            if (problem is not null)
+            {
+                issues.Add(new RuleImportIssueDto
+                {
+                    Index = i,
+                    Scope = dto.Scope,
+                    TargetId = dto.TargetId,
+                    Message = problem
+                });
+            }
+        }
+
+        _orphanedRules.StampTargets(incoming);
+        var ruleSet = await _ruleStore.GetAsync(userId, cancellationToken).ConfigureAwait(false);
+        var merged = RuleSetMerge.Merge(ruleSet.Rules, incoming, (RuleMergeMode)request.Mode);
+        var diff = RuleSetMerge.Diff(ruleSet.Rules, merged);
+
+        var result = new RuleImportResultDto
+        {
+            Mode = request.Mode,
+            Added = diff.Added.Select(TrackRuleDtoMapper.ToDto).ToList(),
+            Changed = diff.Changed
+                .Select(change => new RuleChangeDto
+                {
+                    Before = TrackRuleDtoMapper.ToDto(change.Before),
+                    After = TrackRuleDtoMapper.ToDto(change.After)
+                })
+                .ToList(),
+            Removed = diff.Removed.Select(TrackRuleDtoMapper.ToDto).ToList(),
+            Unchanged = diff.Unchanged,
+            Revision = ruleSet.Revision,
+            Issues = issues
+        };
+
+        if (request.DryRun || diff.IsEmpty)
+        {
+            SetRevisionHeader(ruleSet.Revision);
+            return Ok(result);
+        }
+
+        try
+        {
+            // Without a revision from the preview, at least guard against writes racing this request.
+            var expectedRevision = ReadIfMatchRevision() ?? request.ExpectedRevision ?? ruleSet.Revision;
+            ruleSet.Rules = merged;
+            await _ruleStore.SaveAsync(ruleSet, expectedRevision, DescribeChange(RuleChangeSource.Import), cancellationToken).ConfigureAwait(false);
+        }
+        catch (RuleConflictException ex)
+        {
+            SetRevisionHeader(ex.Current.Revision);
+            return Conflict("The rules changed since the import was previewed. Preview the import again.");
+        }
+
+        SetRevisionHeader(ruleSet.Revision);
+        result.Revision = ruleSet.Revision;
+        result.Applied = true;
+
+        _logger.LogInformation(
+            "Imported Track Rules for user {UserId} ({Mode}): {Added} added, {Changed} changed, {Removed} removed, {Skipped} skipped.",
+            userId,
+            request.Mode,
+            diff.Added.Count,
+            diff.Changed.Count,
+            diff.Removed.Count,
+            issues.Count);
+
+        return Ok(result);
+    }
+
+    /// <summary>
+    /// Copies a user's rules (optionally only some scopes) into other users' rule sets in one atomic update.
+    /// </summary>
+    [HttpPost("copy")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<ActionResult<RuleCopyResultDto>> CopyRulesAsync(
+        [FromBody] RuleCopyRequestDto request,
+        CancellationToken cancellationToken)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (request is null)
+        {
+            return BadRequest("Request payload is required.");
+        }
+
+        var targetUserIds = request.TargetUserIds
+            .Where(id => id != Guid.Empty && id != request.SourceUserId)
+            .Distinct()
+            .ToList();
+
+        if (targetUserIds.Count == 0)
+        {
+            return BadRequest("Select at least one user other than the source.");
+        }
+
+        if (!CanAccessUser(request.SourceUserId) || targetUserIds.Any(id => !CanAccessUser(id)))
+        {
+            return Forbid();
+        }
+
+        var unknownUser = targetUserIds.FirstOrDefault(id => _userManager.GetUserById(id) is null);
+        if (unknownUser != Guid.Empty)
+        {
+            return BadRequest($"User {unknownUser:N} does not exist.");
+        }
+
+        var scopes = request.Scopes.Select(scope => (RuleScope)scope).ToHashSet();
+        var source = await _ruleStore.GetAsync(request.SourceUserId, cancellationToken).ConfigureAwait(false);
+        var rules = source.Rules
+            .Where(rule => scopes.Count == 0 || scopes.Contains(rule.Scope))
+            .ToList();
+
+        if (rules.Count == 0)
+        {
+            return BadRequest("The source user has no rules in the selected scopes.");
+        }
+
+        var result = new RuleCopyResultDto
+        {
+            SourceUserId = request.SourceUserId,
+            RuleCount = rules.Count
+        };
+
+        // Each target gets its own copies so later edits to one user never leak into another.
+        await _ruleStore.UpdateManyAsync(
+            targetUserIds,
+            ruleSet =>
+            {
+                var copies = rules.Select(rule => TrackRuleDtoMapper.ToDomainRule(TrackRuleDtoMapper.ToDto(rule))).ToList();
+                var merged = RuleSetMerge.Merge(ruleSet.Rules, copies, RuleMergeMode.Merge);
+                var diff = RuleSetMerge.Diff(ruleSet.Rules, merged);
+                ruleSet.Rules = merged;
+
+                result.Users.Add(new RuleCopyUserResultDto
+                {
+                    UserId = ruleSet.UserId,
+                    Added = diff.Added.Count,
+                    Changed = diff.Changed.Count,
+                    Unchanged = diff.Unchanged
+                });
+
+                // Targets that already have these rules keep their revision, so nobody editing them gets a conflict.
+                return diff.Added.Count + diff.Changed.Count > 0;
+            },
+            DescribeChange(RuleChangeSource.Copy),
+            cancellationToken).ConfigureAwait(false);
+
+        _logger.LogInformation(
+            "Copied {Count} Track Rules from user {SourceUserId} to {TargetCount} user(s).",
+            rules.Count,
+            request.SourceUserId,
+            targetUserIds.Count);
+
+        return Ok(result);
+    }
+
+    /// <summary>
+    /// Lists the retained revisions of a user's rules, newest first.
+    /// </summary>
+    [HttpGet("user/{userId:guid}/history")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    public async Task<ActionResult<List<RuleRevisionSummaryDto>>> GetRuleHistory(
+        [FromRoute] Guid userId,
+        CancellationToken cancellationToken)
+    {
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        var history = await _ruleStore.GetHistoryAsync(userId, cancellationToken).ConfigureAwait(false);
+        return Ok(history.Select(TrackRuleDtoMapper.ToSummaryDto).ToList());
+    }
+
+    /// <summary>
+    /// Returns one past revision of a user's rules.
+    /// </summary>
+    [HttpGet("user/{userId:guid}/history/{revision:long}")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<RuleRevisionDto>> GetRuleRevision(
+        [FromRoute] Guid userId,
+        [FromRoute] long revision,
+        CancellationToken cancellationToken)
+    {
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        var entry = await _ruleStore.GetRevisionAsync(userId, revision, cancellationToken).ConfigureAwait(false);
+        return entry is null
+            ? NotFound($"Revision {revision} is not in the history.")
+            : Ok(TrackRuleDtoMapper.ToDto(entry));
+    }
+
+    /// <summary>
+    /// Compares two revisions of a user's rules.
+    /// </summary>
+    [HttpGet("user/{userId:guid}/history/diff")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<RuleRevisionDiffDto>> DiffRuleRevisions(
+        [FromRoute] Guid userId,
+        [FromQuery] long from,
+        [FromQuery] long to,
+        CancellationToken cancellationToken)
+    {
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        var before = await _ruleStore.GetRevisionAsync(userId, from, cancellationToken).ConfigureAwait(false);
+        if (before is null)
+        {
+            return NotFound($"Revision {from} is not in the history.");
+        }
+
+        var after = await _ruleStore.GetRevisionAsync(userId, to, cancellationToken).ConfigureAwait(false);
+        if (after is null)
+        {
+            return NotFound($"Revision {to} is not in the history.");
+        }
+
+        var diff = RuleSetMerge.Diff(before.Rules.Rules, after.Rules.Rules);
+        return Ok(new RuleRevisionDiffDto
+        {
+            From = from,
+            To = to,
+            Added = diff.Added.Select(TrackRuleDtoMapper.ToDto).ToList(),
+            Changed = diff.Changed.Select(TrackRuleDtoMapper.ToDto).ToList(),
+            Removed = diff.Removed.Select(TrackRuleDtoMapper.ToDto).ToList(),
+            Unchanged = diff.Unchanged,
+            UseServerDefaultsChanged = before.Rules.UseServerDefaults != after.Rules.UseServerDefaults
+        });
+    }
+
+    /// <summary>
+    /// Rolls a user's rules back to a past revision. The restore is saved as a new revision, so it can be undone too.
+    /// </summary>
+    [HttpPost("user/{userId:guid}/history/{revision:long}/restore")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<UserRulesDto>> RestoreRuleRevision(
+        [FromRoute] Guid userId,
+        [FromRoute] long revision,
+        CancellationToken cancellationToken)
+    {
+        if (!CanAccessUser(userId))
+        {
+            return Forbid();
+        }
+
+        var entry = await _ruleStore.GetRevisionAsync(userId, revision, cancellationToken).ConfigureAwait(false);
+        if (entry is null)
+        {
+            return NotFound($"Revision {revision} is not in the history.");
+        }
+
+        var restored = new UserRuleSet
+        {
+            UserId = userId,
+            Rules = entry.Rules.Rules,
+            UseServerDefaults = entry.Rules.UseServerDefaults
+        };
+
+        try
+        {
+            await _ruleStore.SaveAsync(restored, ReadIfMatchRevision(), DescribeChange(RuleChangeSource.Restore), cancellationToken).ConfigureAwait(false);
+        }
+        catch (RuleConflictException ex)
+        {
+            SetRevisionHeader(ex.Current.Revision);
+            return Conflict(TrackRuleDtoMapper.ToDto(ex.Current));
+        }
+
+        _logger.LogInformation(
+            "Restored Track Rules for user {UserId} to revision {Revision} as revision {NewRevision}.",
+            userId,
+            revision,
+            restored.Revision);
+
+        SetRevisionHeader(restored.Revision);
+        return Ok(TrackRuleDtoMapper.ToDto(restored));
     }
 
     /// <summary>
@@ -137,76 +1136,348 @@ public sealed class TrackRulesController : ControllerBase
     {
         if (!ModelState.IsValid)
         {
-            return ValidationProblem(ModelState);
+            return ValidationProblem(ModelState);
+        }
+
+        if (request is null)
+        {
+            return BadRequest("Request payload is required.");
+        }
+
+        if (!CanAccessUser(request.UserId))
+        {
+            return Forbid();
+        }
+
+        var item = _libraryManager.GetItemById(request.ItemId);
+        if (item is null)
+        {
+            return NotFound($"Item {request.ItemId} was not found.");
+        }
+
+        var ruleSet = await _ruleStore.GetAsync(request.UserId, cancellationToken).ConfigureAwait(false);
+
+        if (request.OverrideRule is not null)
+        {
+            var overrideRule = TrackRuleDtoMapper.ToDomainRule(request.OverrideRule);
+            ApplyOverrideRule(ruleSet, overrideRule);
+        }
+
+        var deviceSession = FindPreviewSession(request.UserId, request.SessionId);
+        return Ok(BuildPreview(ruleSet, item, deviceSession, request.IncludeTrace));
+    }
+
+    /// <summary>
+    /// Resolves the rule set (plus an optional unsaved rule) against every episode of a series.
+    /// </summary>
+    [HttpPost("preview/series")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<SeriesPreviewResultDto>> PreviewSeriesAsync(
+        [FromBody] SeriesPreviewRequestDto request,
+        CancellationToken cancellationToken)
+    {
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(ModelState);
+        }
+
+        if (request is null)
+        {
+            return BadRequest("Request payload is required.");
+        }
+
+        if (!CanAccessUser(request.UserId))
+        {
+            return Forbid();
+        }
+
+        var series = _libraryManager.GetItemById(request.SeriesId);
+        if (series is null)
+        {
+            return NotFound($"Series {request.SeriesId} was not found.");
+        }
+
+        var ruleSet = await _ruleStore.GetAsync(request.UserId, cancellationToken).ConfigureAwait(false);
+
+        if (request.OverrideRule is not null)
+        {
+            var overrideRule = TrackRuleDtoMapper.ToDomainRule(request.OverrideRule);
+            ApplyOverrideRule(ruleSet, overrideRule);
+        }
+
+        var seasons = new Dictionary<Guid, SeasonPreviewDto>();
+        var result = new SeriesPreviewResultDto { SeriesId = request.SeriesId };
+
+        foreach (var episode in GetSeriesEpisodes(request.SeriesId).OfType<Episode>())
+        {
+            var seasonId = episode.FindSeasonId();
+            if (!seasons.TryGetValue(seasonId, out var season))
+            {
+                season = new SeasonPreviewDto
+                {
+                    SeasonId = seasonId == Guid.Empty ? null : seasonId,
+                    Name = string.IsNullOrWhiteSpace(episode.SeasonName) ? "Unknown season" : episode.SeasonName,
+                    IndexNumber = episode.ParentIndexNumber
+                };
+                seasons[seasonId] = season;
+            }
+
+            var preview = BuildPreview(ruleSet, episode, deviceSession: null);
+            season.Episodes.Add(new EpisodePreviewDto
+            {
+                ItemId = episode.Id,
+                Name = episode.Name ?? string.Empty,
+                IndexNumber = episode.IndexNumber,
+                Scope = preview.Scope,
+                Audio = preview.Audio,
+                Subtitle = preview.Subtitle,
+                AudioFallback = preview.AudioFallback,
+                SubtitleFallback = preview.SubtitleFallback,
+                Reason = preview.Reason
+            });
+        }
+
+        result.Seasons = seasons.Values
+            .OrderBy(season => season.IndexNumber ?? int.MaxValue)
+            .ToList();
+
+        foreach (var season in result.Seasons)
+        {
+            season.Episodes = season.Episodes
+                .OrderBy(episode => episode.IndexNumber ?? int.MaxValue)
+                .ToList();
+        }
+
+        return Ok(result);
+    }
+
+    private PreviewResultDto BuildPreview(UserRuleSet ruleSet, BaseItem item, SessionInfo? deviceSession, bool includeTrace = false)
+    {
+        var mediaStreams = _mediaSourceManager.GetMediaStreams(item.Id);
+        if (mediaStreams.Count == 0)
+        {
+            return new PreviewResultDto
+            {
+                Reason = "Item has no media streams."
+            };
+        }
+
+        var currentAudio = FindDefaultStream(mediaStreams, MediaStreamType.Audio);
+        var currentSubtitle = FindDefaultStream(mediaStreams, MediaStreamType.Subtitle);
+        var preview = new PreviewResultDto
+        {
+            CurrentAudio = ToStreamDto(currentAudio),
+            CurrentSubtitle = ToStreamDto(currentSubtitle),
+            Audio = ToStreamDto(currentAudio),
+            Subtitle = ToStreamDto(currentSubtitle)
+        };
+
+        if (ruleSet.Rules.Count == 0 && !ruleSet.UseServerDefaults)
+        {
+            preview.Reason = "User has no Track Rules configured and does not use the server defaults.";
+            return preview;
         }
 
-        if (request is null)
+        var context = new ResolutionContext(
+            ruleSet.UserId,
+            item.Id,
+            ResolveSeriesId(item),
+            ResolveSeasonId(item),
+            ResolveLibraryId(item),
+            mediaStreams,
+            currentAudio?.Index,
+            currentSubtitle?.Index ?? -1,
+            _metadataReader.Read(item));
+
+        var trace = includeTrace ? new ResolutionTrace() : null;
+        var resolution = _resolver.Resolve(ruleSet, context, trace);
+        if (resolution.AppliedRule is null)
         {
-            return BadRequest("Request payload is required.");
+            preview.Reason = "No matching rule for this item.";
+            preview.Trace = trace is null ? null : TrackRuleDtoMapper.ToDto(trace);
+            return preview;
         }
 
-        if (!CanAccessUser(request.UserId))
+        if (resolution.HasChanges)
         {
-            return Forbid();
+            EvaluateTranscodeRisk(preview, item, deviceSession, currentAudio, currentSubtitle, resolution);
+            if (trace is not null && preview.TranscodeRiskReason is not null)
+            {
+                trace.Steps.Add($"Transcode check: {preview.TranscodeRiskReason}");
+            }
         }
 
-        var item = _libraryManager.GetItemById(request.ItemId);
-        if (item is null)
+        var rule = resolution.AppliedRule;
+        var profile = deviceSession?.Capabilities?.DeviceProfile;
+        if (preview.TranscodeRisk && rule.DontTranscode && rule.TranscodeFallback == TranscodeFallback.Compatible && profile is not null)
         {
-            return NotFound($"Item {request.ItemId} was not found.");
+            // ResolveCompatible resolves again from scratch; trace that run instead so nothing is listed twice.
+            trace = includeTrace ? new ResolutionTrace() : null;
+            var assess = _transcodeGuard.CreateAssessor(new TranscodeSimulation(
+                profile,
+                item,
+                MediaSourceId: null,
+                deviceSession!.DeviceId,
+                currentAudio?.Index,
+                currentSubtitle?.Index ?? -1,
+                TargetAudioStreamIndex: null,
+                TargetSubtitleStreamIndex: null));
+            resolution = _resolver.ResolveCompatible(
+                ruleSet,
+                context,
+                (audio, subtitle) => !assess(audio, subtitle).DropsToTranscode,
+                trace);
+            preview.CompatibleFallback = resolution.CompatibleFallback;
         }
 
-        var mediaStreams = _mediaSourceManager.GetMediaStreams(request.ItemId);
-        if (mediaStreams.Count == 0)
+        preview.Scope = resolution.Scope.HasValue ? (RuleScopeDto)resolution.Scope.Value : null;
+        preview.ServerDefault = resolution.ServerDefault;
+        preview.AudioStreamIndex = resolution.AudioStreamIndex;
+        preview.SubtitleStreamIndex = resolution.SubtitleStreamIndex;
+        preview.Reason = resolution.HasChanges
+            ? DescribeScope(resolution.Scope, resolution.ServerDefault)
+            : $"{DescribeScope(resolution.Scope, resolution.ServerDefault)}; the default tracks already match.";
+        if (preview.CompatibleFallback)
         {
-            return Ok(new PreviewResultDto
-            {
-                Reason = "Item has no media streams."
-            });
+            preview.Reason = resolution.HasChanges
+                ? $"{DescribeScope(resolution.Scope, resolution.ServerDefault)}; fell back to tracks that play without transcoding."
+                : $"{DescribeScope(resolution.Scope, resolution.ServerDefault)}; no alternative plays without transcoding, so the current tracks are kept.";
         }
+        preview.AudioFallback = resolution.AudioFallback;
+        preview.SubtitleFallback = resolution.SubtitleFallback;
 
-        var ruleSet = await _ruleStore.GetAsync(request.UserId, cancellationToken).ConfigureAwait(false);
+        if (resolution.AudioStreamIndex.HasValue)
+        {
+            preview.Audio = ToStreamDto(FindStream(mediaStreams, resolution.AudioStreamIndex.Value));
+        }
 
-        if (request.OverrideRule is not null)
+        if (resolution.SubtitleStreamIndex.HasValue)
         {
-            var overrideRule = TrackRuleDtoMapper.ToDomainRule(request.OverrideRule);
-            ApplyOverrideRule(ruleSet, overrideRule);
+            preview.Subtitle = resolution.SubtitleStreamIndex.Value < 0
+                ? null
+                : ToStreamDto(FindStream(mediaStreams, resolution.SubtitleStreamIndex.Value));
         }
-        if (ruleSet.Rules.Count == 0)
+
+        preview.Trace = trace is null ? null : TrackRuleDtoMapper.ToDto(trace);
+        return preview;
+    }
+
+    private void EvaluateTranscodeRisk(
+        PreviewResultDto preview,
+        BaseItem item,
+        SessionInfo? deviceSession,
+        MediaStream? currentAudio,
+        MediaStream? currentSubtitle,
+        ResolutionResult resolution)
+    {
+        var profile = deviceSession?.Capabilities?.DeviceProfile;
+        if (deviceSession is null || profile is null)
         {
-            return Ok(new PreviewResultDto
-            {
-                Reason = "User has no Track Rules configured."
-            });
+            preview.TranscodeRiskReason = "No client has reported a device profile yet; start playback on the target device to enable this check.";
+            return;
         }
 
-        var context = new ResolutionContext(
-            request.UserId,
-            ResolveSeriesId(item),
-            ResolveLibraryId(item),
-            mediaStreams,
-            currentAudioStreamIndex: null,
-            currentSubtitleStreamIndex: null);
+        var simulation = new TranscodeSimulation(
+            profile,
+            item,
+            MediaSourceId: null,
+            deviceSession.DeviceId,
+            currentAudio?.Index,
+            currentSubtitle?.Index ?? -1,
+            resolution.AudioStreamIndex ?? currentAudio?.Index,
+            resolution.SubtitleStreamIndex ?? currentSubtitle?.Index ?? -1);
+
+        var assessment = _transcodeGuard.Assess(simulation);
+        preview.TranscodeDevice = deviceSession.DeviceName ?? deviceSession.Client;
+        preview.TranscodeRisk = assessment.DropsToTranscode;
+        if (assessment.DropsToTranscode)
+        {
+            preview.TranscodeRiskReason = assessment.Reason;
+        }
+        else if (assessment.TargetMethod is null)
+        {
+            preview.TranscodeRiskReason = "Playback could not be simulated for this item.";
+        }
+    }
 
-        var resolution = _resolver.Resolve(ruleSet, context);
-        if (!resolution.HasChanges)
+    private SessionInfo? FindPreviewSession(Guid userId, string? sessionId)
+    {
+        if (!string.IsNullOrWhiteSpace(sessionId))
         {
-            return Ok(new PreviewResultDto
-            {
-                Reason = "No matching rule for this item."
-            });
+            var session = FindSession(sessionId);
+            return session is not null && CanAccessUser(session.UserId) ? session : null;
         }
 
-        var preview = new PreviewResultDto
+        return _sessionManager
+            .Sessions
+            .Where(session => session.UserId == userId && session.Capabilities?.DeviceProfile is not null)
+            .OrderByDescending(session => session.LastActivityDate)
+            .FirstOrDefault();
+    }
+
+    /// <summary>
+    /// Lists ISO 639 languages for the language pickers. Without a search term only languages with an ISO 639-1
+    /// or 639-2 code are returned, since those are the ones media files are tagged with; a search covers the whole
+    /// table by code and English or native name. The known regional variants (pt-BR, es-419, ...) are listed
+    /// as languages of their own, right after their base language.
+    /// </summary>
+    [HttpGet("languages")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public ActionResult<List<LanguageDto>> GetLanguages([FromQuery] string? search)
+    {
+        var variants = LanguageVariants.Known
+            .Select(variant => _languageNormalizer.Describe(variant.Code))
+            .OfType<LanguageInfo>()
+            .ToList();
+
+        if (string.IsNullOrWhiteSpace(search))
         {
-            Scope = resolution.Scope.HasValue ? (RuleScopeDto)resolution.Scope.Value : null,
-            AudioStreamIndex = resolution.AudioStreamIndex,
-            SubtitleStreamIndex = resolution.SubtitleStreamIndex,
-            Reason = DescribeScope(resolution.Scope),
-            TranscodeRisk = false
-        };
+            return Ok(Iso639.Languages
+                .Where(language => language.IsCommon)
+                .Concat(variants)
+                .OrderBy(language => language.Code, StringComparer.Ordinal)
+                .Select(TrackRuleDtoMapper.ToDto)
+                .ToList());
+        }
+
+        var term = search.Trim();
+        var normalizedTerm = _languageNormalizer.Normalize(term);
+        var matches = Iso639.Languages
+            .Concat(variants)
+            .Select(language => (Language: language, Rank: RankLanguageMatch(language, term, normalizedTerm)))
+            .Where(match => match.Rank < int.MaxValue)
+            .OrderBy(match => match.Rank)
+            .ThenBy(match => match.Language.IsCommon ? 0 : 1)
+            .ThenBy(match => match.Language.Name, StringComparer.OrdinalIgnoreCase)
+            .Take(MaxLanguageSearchResults)
+            .Select(match => TrackRuleDtoMapper.ToDto(match.Language))
+            .ToList();
+
+        return Ok(matches);
+    }
+
+    /// <summary>
+    /// Reads one typed code or name the way rules read it ("pt_BR", "fre", "Flemish"), so pickers can reject typos
+    /// before they are saved. The "any"/"none" keywords are not languages and are not found here.
+    /// </summary>
+    [HttpGet("languages/resolve")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public ActionResult<LanguageDto> ResolveLanguage([FromQuery] string? value)
+    {
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            return BadRequest("A language code or name is required.");
+        }
 
-        return Ok(preview);
+        var language = _languageNormalizer.Describe(value);
+        return language is null
+            ? NotFound($"'{value.Trim()}' is not a known language.")
+            : Ok(TrackRuleDtoMapper.ToDto(language));
     }
 
     /// <summary>
@@ -227,6 +1498,33 @@ public sealed class TrackRulesController : ControllerBase
         return Ok(options);
     }
 
+    /// <summary>
+    /// Lists the languages of a single item to populate the item widget.
+    /// </summary>
+    [HttpGet("item/{itemId:guid}/languages")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public ActionResult<ItemLanguageOptionsDto> GetItemLanguages([FromRoute] Guid itemId)
+    {
+        var item = _libraryManager.GetItemById(itemId);
+        if (item is null)
+        {
+            return NotFound();
+        }
+
+        var aggregate = new LanguageAggregate();
+        var streams = _mediaSourceManager.GetMediaStreams(itemId);
+        AddStreamLanguages(aggregate, streams);
+
+        return Ok(new ItemLanguageOptionsDto
+        {
+            ItemId = itemId,
+            PreviewItemId = streams.Count == 0 ? null : itemId,
+            Audio = aggregate.GetAudioOptions(),
+            Subtitles = aggregate.GetSubtitleOptions()
+        });
+    }
+
     /// <summary>
     /// Applies the supplied indices to an active session immediately.
     /// </summary>
@@ -310,33 +1608,26 @@ public sealed class TrackRulesController : ControllerBase
             return;
         }
 
-        if (overrideRule.Scope != RuleScope.Global && overrideRule.TargetId is null)
+        if (RuleScopes.IsMetadata(overrideRule.Scope)
+            ? string.IsNullOrWhiteSpace(overrideRule.TargetValue)
+            : overrideRule.Scope != RuleScope.Global && overrideRule.TargetId is null)
         {
             return;
         }
 
-        ruleSet.Rules.RemoveAll(rule =>
-            rule.Scope == overrideRule.Scope &&
-            Nullable.Equals(rule.TargetId, overrideRule.TargetId));
+        ruleSet.Rules.RemoveAll(rule => RuleSetMerge.SameTarget(rule, overrideRule));
 
-        ruleSet.Rules.Add(overrideRule);
+        // First in the list, so it also wins over other tag or genre rules the previewed item matches.
+        ruleSet.Rules.Insert(0, overrideRule);
     }
 
     private SeriesLanguageOptionsDto AggregateSeriesLanguages(Guid seriesId)
     {
         var aggregate = new LanguageAggregate();
+        var seasons = new Dictionary<Guid, SeasonOptionDto>();
         Guid? previewItemId = null;
 
-        var query = new InternalItemsQuery
-        {
-            ParentId = seriesId,
-            Recursive = true,
-            IncludeItemTypes = new[] { BaseItemKind.Episode }
-        };
-
-        var items = _libraryManager.GetItemList(query);
-
-        foreach (var item in items)
+        foreach (var item in GetSeriesEpisodes(seriesId))
         {
             var streams = _mediaSourceManager.GetMediaStreams(item.Id);
             if (streams.Count == 0)
@@ -346,19 +1637,12 @@ public sealed class TrackRulesController : ControllerBase
 
             previewItemId ??= item.Id;
 
-            foreach (var audioStream in streams.Where(stream => stream.Type == MediaStreamType.Audio))
+            if (item is Episode episode)
             {
-                var code = NormalizeLanguage(audioStream.Language);
-                var label = ResolveLanguageLabel(code, audioStream.Title ?? audioStream.Language);
-                aggregate.AddAudio(code, label);
+                TrackSeason(seasons, episode);
             }
 
-            foreach (var subtitleStream in streams.Where(stream => stream.Type == MediaStreamType.Subtitle))
-            {
-                var code = NormalizeLanguage(subtitleStream.Language);
-                var label = ResolveLanguageLabel(code, subtitleStream.Title ?? subtitleStream.Language);
-                aggregate.AddSubtitle(code, label);
-            }
+            AddStreamLanguages(aggregate, streams);
         }
 
         return new SeriesLanguageOptionsDto
@@ -366,17 +1650,137 @@ public sealed class TrackRulesController : ControllerBase
             SeriesId = seriesId,
             PreviewItemId = previewItemId,
             Audio = aggregate.GetAudioOptions(),
-            Subtitles = aggregate.GetSubtitleOptions()
+            Subtitles = aggregate.GetSubtitleOptions(),
+            Seasons = seasons.Values
+                .OrderBy(season => season.IndexNumber ?? int.MaxValue)
+                .ThenBy(season => season.Name, StringComparer.CurrentCultureIgnoreCase)
+                .ToList()
+        };
+    }
+
+    private void AddStreamLanguages(LanguageAggregate aggregate, IEnumerable<MediaStream> streams)
+    {
+        foreach (var stream in streams)
+        {
+            if (stream.Type != MediaStreamType.Audio && stream.Type != MediaStreamType.Subtitle)
+            {
+                continue;
+            }
+
+            var code = NormalizeLanguage(stream);
+            var label = ResolveLanguageLabel(code, stream.Title ?? stream.Language);
+            if (stream.Type == MediaStreamType.Audio)
+            {
+                aggregate.AddAudio(code, label);
+            }
+            else
+            {
+                aggregate.AddSubtitle(code, label);
+            }
+        }
+    }
+
+    private IReadOnlyList<BaseItem> GetSeriesEpisodes(Guid seriesId)
+    {
+        var query = new InternalItemsQuery
+        {
+            ParentId = seriesId,
+            Recursive = true,
+            IncludeItemTypes = new[] { BaseItemKind.Episode }
+        };
+
+        return _libraryManager.GetItemList(query);
+    }
+
+    private static void TrackSeason(Dictionary<Guid, SeasonOptionDto> seasons, Episode episode)
+    {
+        var seasonId = episode.FindSeasonId();
+        if (seasonId == Guid.Empty || seasons.ContainsKey(seasonId))
+        {
+            return;
+        }
+
+        var name = episode.SeasonName;
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            name = episode.ParentIndexNumber.HasValue
+                ? string.Format(CultureInfo.InvariantCulture, "Season {0}", episode.ParentIndexNumber.Value)
+                : "Unknown season";
+        }
+
+        seasons[seasonId] = new SeasonOptionDto
+        {
+            SeasonId = seasonId,
+            Name = name,
+            IndexNumber = episode.ParentIndexNumber,
+            PreviewItemId = episode.Id
+        };
+    }
+
+    private static MediaStream? FindDefaultStream(IReadOnlyList<MediaStream> streams, MediaStreamType type)
+    {
+        var candidates = streams.Where(stream => stream.Type == type).ToList();
+        var flagged = candidates.FirstOrDefault(stream => stream.IsDefault);
+
+        // Players fall back to the first audio track, but leave subtitles off unless one is flagged.
+        return type == MediaStreamType.Audio ? flagged ?? candidates.FirstOrDefault() : flagged;
+    }
+
+    private static MediaStream? FindStream(IReadOnlyList<MediaStream> streams, int index)
+    {
+        return streams.FirstOrDefault(stream => stream.Index == index);
+    }
+
+    private PreviewStreamDto? ToStreamDto(MediaStream? stream)
+    {
+        if (stream is null)
+        {
+            return null;
+        }
+
+        var code = NormalizeLanguage(stream);
+        return new PreviewStreamDto
+        {
+            Index = stream.Index,
+            Language = code,
+            LanguageName = ResolveLanguageName(code),
+            Title = stream.Title,
+            Codec = stream.Codec,
+            Channels = stream.Channels,
+            ChannelLayout = stream.ChannelLayout,
+            IsDefault = stream.IsDefault,
+            IsForced = stream.IsForced,
+            IsExternal = stream.IsExternal
         };
     }
 
-    private string NormalizeLanguage(string? language)
+    private string NormalizeLanguage(MediaStream stream)
     {
-        var normalized = _languageNormalizer.Normalize(language);
+        var normalized = _languageNormalizer.NormalizeStream(stream.Language, stream.Title);
         return string.IsNullOrEmpty(normalized) ? "und" : normalized;
     }
 
-    private static string ResolveLanguageLabel(string code, string? preferred)
+    // Exact code first (including spellings like "pt-BR" that normalize to it), then names starting with the term,
+    // then names containing it.
+    private static int RankLanguageMatch(LanguageInfo language, string term, string normalizedTerm)
+    {
+        var codes = new[] { language.Code, language.Part1, language.Part2B, language.Part2T, language.Part3 };
+        if (language.Code.Equals(normalizedTerm, StringComparison.OrdinalIgnoreCase) ||
+            codes.Any(code => string.Equals(code, term, StringComparison.OrdinalIgnoreCase)))
+        {
+            return 0;
+        }
+
+        var names = language.Names.Append(language.NativeName).OfType<string>().ToList();
+        if (names.Any(name => name.StartsWith(term, StringComparison.OrdinalIgnoreCase)))
+        {
+            return 1;
+        }
+
+        return names.Any(name => name.Contains(term, StringComparison.OrdinalIgnoreCase)) ? 2 : int.MaxValue;
+    }
+
+    private string ResolveLanguageLabel(string code, string? preferred)
     {
         if (!string.IsNullOrWhiteSpace(preferred))
         {
@@ -388,25 +1792,18 @@ public sealed class TrackRulesController : ControllerBase
             return "Unknown / Unspecified";
         }
 
-        try
-        {
-            var culture = CultureInfo
-                .GetCultures(CultureTypes.AllCultures)
-                .FirstOrDefault(c =>
-                    string.Equals(c.ThreeLetterISOLanguageName, code, StringComparison.OrdinalIgnoreCase) ||
-                    string.Equals(c.TwoLetterISOLanguageName, code, StringComparison.OrdinalIgnoreCase));
+        var language = _languageNormalizer.Describe(code);
+        return language?.NativeName ?? language?.Name ?? code.ToUpperInvariant();
+    }
 
-            if (culture is not null)
-            {
-                return culture.NativeName;
-            }
-        }
-        catch (CultureNotFoundException)
+    private string ResolveLanguageName(string code)
+    {
+        if (string.IsNullOrWhiteSpace(code) || code.Equals("und", StringComparison.OrdinalIgnoreCase))
         {
-            // Ignore and fall back to the code.
+            return "Unknown language";
         }
 
-        return code.ToUpperInvariant();
+        return _languageNormalizer.Describe(code)?.Name ?? code.ToUpperInvariant();
     }
 
     private static Guid? ResolveSeriesId(BaseItem item)
@@ -420,6 +1817,22 @@ public sealed class TrackRulesController : ControllerBase
         return null;
     }
 
+    private static Guid? ResolveSeasonId(BaseItem item)
+    {
+        if (item is Episode episode)
+        {
+            var seasonId = episode.FindSeasonId();
+            return seasonId == Guid.Empty ? null : seasonId;
+        }
+
+        if (item is Season season)
+        {
+            return season.Id;
+        }
+
+        return null;
+    }
+
     private Guid? ResolveLibraryId(BaseItem item)
     {
         var folder = _libraryManager
@@ -443,7 +1856,61 @@ public sealed class TrackRulesController : ControllerBase
             return true;
         }
 
-        return User?.IsInRole(AdministratorRole) == true;
+        return IsAdministrator();
+    }
+
+    private long? ReadIfMatchRevision()
+    {
+        var header = Request?.Headers.IfMatch.ToString();
+        if (string.IsNullOrWhiteSpace(header) || header.Trim() == "*")
+        {
+            return null;
+        }
+
+        var value = header.Trim();
+        if (value.StartsWith("W/", StringComparison.Ordinal))
+        {
+            value = value[2..];
+        }
+
+        return long.TryParse(value.Trim('"'), NumberStyles.Integer, CultureInfo.InvariantCulture, out var revision)
+            ? revision
+            : null;
+    }
+
+    private void SetRevisionHeader(long revision)
+    {
+        if (Response is not null)
+        {
+            Response.Headers.ETag = $"\"{revision.ToString(CultureInfo.InvariantCulture)}\"";
+        }
+    }
+
+    private RuleChangeInfo DescribeChange(RuleChangeSource source)
+    {
+        var actorId = GetAuthenticatedUserId();
+        if (actorId == Guid.Empty)
+        {
+            return new RuleChangeInfo(source, null, null);
+        }
+
+        return new RuleChangeInfo(source, actorId, _userManager.GetUserById(actorId)?.Username);
+    }
+
+    private static RuleChangeSource ParseChangeSource(string? source)
+    {
+        // Only the plugin's own UIs identify themselves; anything else is a direct API call.
+        return source?.Trim().ToLowerInvariant() switch
+        {
+            "dashboard" => RuleChangeSource.Dashboard,
+            "widget" => RuleChangeSource.Widget,
+            _ => RuleChangeSource.Api
+        };
+    }
+
+    private bool IsAdministrator()
+    {
+        return GetAuthenticatedUserId() == Guid.Empty || User?.IsInRole(AdministratorRole) == true;
     }
 
     private Guid GetAuthenticatedUserId()
@@ -526,15 +1993,125 @@ public sealed class TrackRulesController : ControllerBase
         }
     }
 
-    private string? DescribeScope(RuleScope? scope)
+    private static string? ValidateRuleKey(RuleScopeDto scope, Guid? targetId, string? value)
+    {
+        if (!Enum.IsDefined(scope))
+        {
+            return $"Unknown scope {(int)scope}.";
+        }
+
+        if (scope == RuleScopeDto.Global)
+        {
+            return targetId.HasValue || !string.IsNullOrWhiteSpace(value) ? "Global rules have no target." : null;
+        }
+
+        if (RuleScopes.IsMetadata((RuleScope)scope))
+        {
+            return !targetId.HasValue && !string.IsNullOrWhiteSpace(value) ? null : $"{scope} rules need a value and no target id.";
+        }
+
+        return targetId.HasValue && targetId.Value != Guid.Empty && string.IsNullOrWhiteSpace(value)
+            ? null
+            : $"{scope} rules need a target id.";
+    }
+
+    /// <summary>
+    /// Expands the picked ids, genres and tags into distinct series, ordered by name.
+    /// Picked ids that are not series are reported in <paramref name="skipped"/>.
+    /// </summary>
+    private List<BaseItem> ResolveBulkSeries(BulkSeriesRuleRequestDto request, List<BulkSeriesRuleEntryDto> skipped)
+    {
+        var series = new Dictionary<Guid, BaseItem>();
+        foreach (var id in request.SeriesIds.Distinct())
+        {
+            if (_libraryManager.GetItemById(id) is Series item)
+            {
+                series[item.Id] = item;
+            }
+            else
+            {
+                skipped.Add(new BulkSeriesRuleEntryDto
+                {
+                    SeriesId = id,
+                    Outcome = BulkRuleOutcomeDto.Skipped,
+                    Reason = "Not a series on this server."
+                });
+            }
+        }
+
+        var genres = request.Genres.Where(genre => !string.IsNullOrWhiteSpace(genre)).Select(genre => genre.Trim()).ToArray();
+        if (genres.Length > 0)
+        {
+            AddSeries(series, new InternalItemsQuery { IncludeItemTypes = new[] { BaseItemKind.Series }, Genres = genres, Recursive = true });
+        }
+
+        var tags = request.Tags.Where(tag => !string.IsNullOrWhiteSpace(tag)).Select(tag => tag.Trim()).ToArray();
+        if (tags.Length > 0)
+        {
+            AddSeries(series, new InternalItemsQuery { IncludeItemTypes = new[] { BaseItemKind.Series }, Tags = tags, Recursive = true });
+        }
+
+        return series.Values
+            .OrderBy(item => item.Name, StringComparer.CurrentCultureIgnoreCase)
+            .ToList();
+    }
+
+    private void AddSeries(Dictionary<Guid, BaseItem> series, InternalItemsQuery query)
+    {
+        foreach (var item in _libraryManager.GetItemList(query))
+        {
+            series[item.Id] = item;
+        }
+    }
+
+    private static bool IsRuleKey(TrackRule rule, RuleScopeDto scope, Guid? targetId, string? value)
+    {
+        return rule.Scope == (RuleScope)scope &&
+            Nullable.Equals(rule.TargetId, targetId) &&
+            string.Equals(rule.TargetValue, value?.Trim(), StringComparison.OrdinalIgnoreCase);
+    }
+
+    private OrphanedRuleDto ToOrphanDto(OrphanedRule orphan)
+    {
+        return new OrphanedRuleDto
+        {
+            UserId = orphan.UserId,
+            UserName = _userManager.GetUserById(orphan.UserId)?.Username,
+            Rule = TrackRuleDtoMapper.ToDto(orphan.Rule),
+            RelinkTargetId = orphan.RelinkTargetId,
+            RelinkTargetName = orphan.RelinkTargetName
+        };
+    }
+
+    private static RuleValidationProblemDto ToValidationProblem(IReadOnlyList<RuleValidationIssue> issues)
+    {
+        var errors = issues.Count(issue => issue.IsError);
+        return new RuleValidationProblemDto
+        {
+            Message = errors == 1 ? "1 rule problem must be fixed before saving." : $"{errors} rule problems must be fixed before saving.",
+            Issues = issues.Select(TrackRuleDtoMapper.ToDto).ToList()
+        };
+    }
+
+    private string? DescribeScope(RuleScope? scope, bool serverDefault = false)
     {
-        return scope switch
+        var description = scope switch
         {
+            RuleScope.Item => "Item rule applied",
+            RuleScope.Season => "Season rule applied",
             RuleScope.Series => "Series rule applied",
+            RuleScope.Collection => "Collection rule applied",
+            RuleScope.Tag => "Tag rule applied",
+            RuleScope.Genre => "Genre rule applied",
+            RuleScope.Studio => "Studio rule applied",
             RuleScope.Library => "Library rule applied",
             RuleScope.Global => "Global rule applied",
             _ => "Rule applied"
         };
+
+        return serverDefault
+            ? $"Server default {char.ToLowerInvariant(description[0])}{description[1..]}"
+            : description;
     }
 
     private Task SendGeneralCommandAsync(
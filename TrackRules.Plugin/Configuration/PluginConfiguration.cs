@@ -1,10 +1,115 @@
+using System;
+using System.Linq;
+using Jellyfin.Plugin.TrackRules.Core;
 using MediaBrowser.Model.Plugins;
 
 namespace Jellyfin.Plugin.TrackRules.Configuration;
 
 /// <summary>
-/// Empty plugin configuration placeholder.
+/// Server-wide Track Rules settings.
 /// </summary>
 public class PluginConfiguration : BasePluginConfiguration
 {
+    /// <summary>
+    /// Gets or sets the baseline rules used when none of a user's own rules match.
+    /// </summary>
+    public DefaultRuleEntry[] DefaultRules { get; set; } = Array.Empty<DefaultRuleEntry>();
+}
+
+/// <summary>
+/// XML-friendly copy of a <see cref="TrackRule"/>. Arrays keep the serializer from appending to pre-filled lists.
+/// </summary>
+public class DefaultRuleEntry
+{
+    public RuleScope Scope { get; set; }
+
+    public Guid? TargetId { get; set; }
+
+    public string? TargetValue { get; set; }
+
+    public string[] Audio { get; set; } = Array.Empty<string>();
+
+    public string[] Subs { get; set; } = Array.Empty<string>();
+
+    public SubtitleMode SubsMode { get; set; } = SubtitleMode.Default;
+
+    public SubtitleFormatPreference SubsFormat { get; set; }
+
+    public SubtitleSourcePreference SubsSource { get; set; }
+
+    public bool DontTranscode { get; set; }
+
+    public TranscodeFallback TranscodeFallback { get; set; } = TranscodeFallback.Skip;
+
+    public string[] AudioCodecs { get; set; } = Array.Empty<string>();
+
+    public int? MaxChannels { get; set; }
+
+    public int? PreferredChannels { get; set; }
+
+    public bool PreferLossless { get; set; }
+
+    public string[] AudioTitleInclude { get; set; } = Array.Empty<string>();
+
+    public string[] AudioTitleExclude { get; set; } = Array.Empty<string>();
+
+    public string[] SubsTitleInclude { get; set; } = Array.Empty<string>();
+
+    public string[] SubsTitleExclude { get; set; } = Array.Empty<string>();
+
+    public bool Enabled { get; set; } = true;
+
+    public static DefaultRuleEntry FromRule(TrackRule rule)
+    {
+        ArgumentNullException.ThrowIfNull(rule);
+
+        return new DefaultRuleEntry
+        {
+            Scope = rule.Scope,
+            TargetId = rule.TargetId,
+            TargetValue = rule.TargetValue,
+            Audio = rule.Audio?.ToArray() ?? Array.Empty<string>(),
+            Subs = rule.Subs?.ToArray() ?? Array.Empty<string>(),
+            SubsMode = rule.SubsMode,
+            SubsFormat = rule.SubsFormat,
+            SubsSource = rule.SubsSource,
+            DontTranscode = rule.DontTranscode,
+            TranscodeFallback = rule.TranscodeFallback,
+            AudioCodecs = rule.AudioCodecs?.ToArray() ?? Array.Empty<string>(),
+            MaxChannels = rule.MaxChannels,
+            PreferredChannels = rule.PreferredChannels,
+            PreferLossless = rule.PreferLossless,
+            AudioTitleInclude = rule.AudioTitleInclude?.ToArray() ?? Array.Empty<string>(),
+            AudioTitleExclude = rule.AudioTitleExclude?.ToArray() ?? Array.Empty<string>(),
+            SubsTitleInclude = rule.SubsTitleInclude?.ToArray() ?? Array.Empty<string>(),
+            SubsTitleExclude = rule.SubsTitleExclude?.ToArray() ?? Array.Empty<string>(),
+            Enabled = rule.Enabled
+        };
+    }
+
+    public TrackRule ToRule()
+    {
+        return new TrackRule
+        {
+            Scope = Scope,
+            TargetId = TargetId,
+            TargetValue = TargetValue,
+            Audio = Audio.Length == 0 ? new() { RuleKeywords.Any } : Audio.ToList(),
+            Subs = Subs.Length == 0 ? new() { RuleKeywords.None } : Subs.ToList(),
+            SubsMode = SubsMode,
+            SubsFormat = SubsFormat,
+            SubsSource = SubsSource,
+            DontTranscode = DontTranscode,
+            TranscodeFallback = TranscodeFallback,
+            AudioCodecs = AudioCodecs.Length == 0 ? null : AudioCodecs.ToList(),
+            MaxChannels = MaxChannels,
+            PreferredChannels = PreferredChannels,
+            PreferLossless = PreferLossless,
+            AudioTitleInclude = AudioTitleInclude.Length == 0 ? null : AudioTitleInclude.ToList(),
+            AudioTitleExclude = AudioTitleExclude.Length == 0 ? null : AudioTitleExclude.ToList(),
+            SubsTitleInclude = SubsTitleInclude.Length == 0 ? null : SubsTitleInclude.ToList(),
+            SubsTitleExclude = SubsTitleExclude.Length == 0 ? null : SubsTitleExclude.ToList(),
+            Enabled = Enabled
+        };
+    }
 }
@@ -0,0 +1,185 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using MediaBrowser.Model.Entities;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// Ranks audio streams that satisfy the same language preference. Language always comes first; the rule's
+/// title, codec, channel and lossless settings only decide between tracks of the language that won.
+/// </summary>
+public static class AudioScoring
+{
+    /// <summary>
+    /// Largest codec list a rule may carry; keeps the weights below from overlapping.
+    /// </summary>
+    public const int MaxCodecPreferences = 16;
+
+    /// <summary>
+    /// Largest channel count accepted for the channel settings.
+    /// </summary>
+    public const int MaxChannelCount = 32;
+
+    // Weights are ordered so each setting only breaks ties of the ones above it:
+    // channel limit > title include > codec ranking > lossless > preferred channels > default flag > channel count
+    // > built-in codec order.
+    private const int OverChannelLimitPenalty = -1_000_000;
+    private const int TitleMatchBonus = 500_000;
+    private const int RankedCodecWeight = 10_000;
+    private const int LosslessBonus = 5_000;
+    private const int PreferredChannelsBase = 3_000;
+    private const int PreferredChannelsStep = 100;
+    private const int DefaultBonus = 1_000;
+    private const int ChannelWeight = 10;
+
+    /// <summary>
+    /// Codec order used when a rule does not rank codecs itself.
+    /// </summary>
+    public static readonly IReadOnlyList<string> DefaultCodecRanking =
+    [
+        "eac3",
+        "truehd",
+        "dts",
+        "dtshd",
+        "ac3",
+        "aac",
+        "flac",
+        "opus",
+        "vorbis",
+        "pcm",
+        "mp3"
+    ];
+
+    /// <summary>
+    /// Codec names a rule can rank. "dtshd" covers DTS-HD MA and HRA; "pcm" covers every PCM sample format.
+    /// </summary>
+    public static readonly IReadOnlySet<string> KnownCodecs = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+    {
+        "aac", "ac3", "eac3", "truehd", "dts", "dtshd", "flac", "alac", "opus", "vorbis", "pcm", "mp3", "mp2", "wmapro", "wmav2"
+    };
+
+    private static readonly HashSet<string> _losslessCodecs = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "truehd", "mlp", "flac", "alac", "pcm"
+    };
+
+    public static int Score(MediaStream stream, TrackRule rule)
+    {
+        return GetParts(stream, rule).Sum(part => part.Points);
+    }
+
+    /// <summary>
+    /// Explains <see cref="Score"/> part by part, e.g. "default +1000, 6 ch +60, codec eac3 +11".
+    /// </summary>
+    public static string Describe(MediaStream stream, TrackRule rule)
+    {
+        return string.Join(
+            ", ",
+            GetParts(stream, rule).Select(part => string.Format(CultureInfo.InvariantCulture, "{0} {1:+0;-0;+0}", part.Label, part.Points)));
+    }
+
+    /// <summary>
+    /// Returns the name a rule's codec list matches the stream by: PCM sample formats collapse to "pcm" and
+    /// DTS streams with an HD profile to "dtshd".
+    /// </summary>
+    public static string GetCodecKey(MediaStream stream)
+    {
+        ArgumentNullException.ThrowIfNull(stream);
+
+        var codec = (stream.Codec ?? string.Empty).Trim().ToLowerInvariant();
+        if (codec.StartsWith("pcm", StringComparison.Ordinal))
+        {
+            return "pcm";
+        }
+
+        if (codec == "dts" && (stream.Profile ?? string.Empty).Contains("HD", StringComparison.OrdinalIgnoreCase))
+        {
+            return "dtshd";
+        }
+
+        return codec;
+    }
+
+    public static bool IsLossless(MediaStream stream)
+    {
+        var key = GetCodecKey(stream);
+
+        // DTS-HD High Resolution is lossy; only Master Audio counts.
+        return _losslessCodecs.Contains(key) ||
+            (key == "dtshd" && (stream.Profile ?? string.Empty).Contains("MA", StringComparison.OrdinalIgnoreCase));
+    }
+
+    private static List<(string Label, int Points)> GetParts(MediaStream stream, TrackRule rule)
+    {
+        ArgumentNullException.ThrowIfNull(stream);
+        ArgumentNullException.ThrowIfNull(rule);
+
+        var parts = new List<(string Label, int Points)>();
+        var channels = stream.Channels ?? 0;
+        var codec = GetCodecKey(stream);
+
+        if (rule.MaxChannels.HasValue && channels > rule.MaxChannels.Value)
+        {
+            parts.Add(($"over {rule.MaxChannels.Value} ch", OverChannelLimitPenalty));
+        }
+
+        var titles = TitlePatterns.ForAudio(rule);
+        if (titles.HasInclude && titles.IsIncluded(stream))
+        {
+            parts.Add(("title", TitleMatchBonus));
+        }
+
+        if (rule.AudioCodecs is { Count: > 0 } ranking)
+        {
+            var position = IndexOf(codec, ranking);
+            parts.Add(($"codec {DescribeCodec(codec)}", (ranking.Count - position) * RankedCodecWeight));
+        }
+
+        if (rule.PreferLossless && IsLossless(stream))
+        {
+            parts.Add(("lossless", LosslessBonus));
+        }
+
+        if (stream.IsDefault)
+        {
+            parts.Add(("default", DefaultBonus));
+        }
+
+        if (rule.PreferredChannels.HasValue)
+        {
+            var distance = Math.Abs(channels - rule.PreferredChannels.Value);
+            parts.Add(($"{channels} ch", PreferredChannelsBase - (distance * PreferredChannelsStep)));
+        }
+        else
+        {
+            parts.Add(($"{channels} ch", channels * ChannelWeight));
+        }
+
+        if (rule.AudioCodecs is not { Count: > 0 })
+        {
+            parts.Add(($"codec {DescribeCodec(codec)}", DefaultCodecRanking.Count - IndexOf(codec, DefaultCodecRanking)));
+        }
+
+        return parts;
+    }
+
+    private static string DescribeCodec(string codec)
+    {
+        return codec.Length == 0 ? "unknown" : codec;
+    }
+
+    private static int IndexOf(string value, IReadOnlyList<string> list)
+    {
+        for (var i = 0; i < list.Count; i++)
+        {
+            if (string.Equals(list[i], value, StringComparison.OrdinalIgnoreCase))
+            {
+                return i;
+            }
+        }
+
+        return list.Count;
+    }
+}
@@ -0,0 +1,141 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Linq;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// One ISO 639 language.
+/// </summary>
+/// <param name="Code">Canonical code stored in rules: ISO 639-2/T when the language has one, otherwise ISO 639-3.</param>
+/// <param name="Names">English names, most common first (e.g. "Dutch", "Flemish").</param>
+/// <param name="NativeName">The language's name for itself, when known.</param>
+public sealed record LanguageInfo(
+    string Code,
+    string? Part1,
+    string? Part2B,
+    string? Part2T,
+    string? Part3,
+    IReadOnlyList<string> Names,
+    string? NativeName)
+{
+    public string Name => Names.Count > 0 ? Names[0] : Code;
+
+    /// <summary>
+    /// Gets a value indicating whether the language has an ISO 639-1 or 639-2 code, i.e. one media containers use.
+    /// </summary>
+    public bool IsCommon => Part1 is not null || Part2T is not null;
+}
+
+/// <summary>
+/// The ISO 639-1/2B/2T/3 table shipped with the plugin (Core/iso-639.tsv).
+/// </summary>
+public static class Iso639
+{
+    private static readonly Lazy<Catalog> _catalog = new(Load);
+
+    /// <summary>
+    /// Gets every language in the table, ordered by code.
+    /// </summary>
+    public static IReadOnlyList<LanguageInfo> Languages => _catalog.Value.Languages;
+
+    /// <summary>
+    /// Finds a language by any of its codes, or by English or native name for languages with an ISO 639-1/2 code.
+    /// Names of the thousands of 639-3-only languages are skipped; too many of them are ordinary words.
+    /// </summary>
+    public static bool TryFind(string? value, out LanguageInfo language)
+    {
+        language = null!;
+        if (string.IsNullOrWhiteSpace(value))
+        {
+            return false;
+        }
+
+        var key = value.Trim();
+        var catalog = _catalog.Value;
+        if (catalog.ByCode.TryGetValue(key, out var byCode))
+        {
+            language = byCode;
+            return true;
+        }
+
+        if (catalog.ByName.TryGetValue(key, out var byName))
+        {
+            language = byName;
+            return true;
+        }
+
+        return false;
+    }
+
+    private static Catalog Load()
+    {
+        var resource = $"{typeof(Iso639).Namespace}.iso-639.tsv";
+        using var stream = typeof(Iso639).Assembly.GetManifestResourceStream(resource)
+            ?? throw new InvalidOperationException($"Embedded language table {resource} is missing.");
+        using var reader = new StreamReader(stream);
+
+        var languages = new List<LanguageInfo>();
+        string? line;
+        while ((line = reader.ReadLine()) is not null)
+        {
+            if (line.Length == 0 || line[0] == '#')
+            {
+                continue;
+            }
+
+            var fields = line.Split('\t');
+            if (fields.Length < 6)
+            {
+                continue;
+            }
+
+            var part2T = NullIfEmpty(fields[2]);
+            var part3 = NullIfEmpty(fields[0]);
+            languages.Add(new LanguageInfo(
+                part2T ?? part3 ?? string.Empty,
+                NullIfEmpty(fields[3]),
+                NullIfEmpty(fields[1]),
+                part2T,
+                part3,
+                fields[4].Split("; ", StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries),
+                NullIfEmpty(fields[5])));
+        }
+
+        var byCode = new Dictionary<string, LanguageInfo>(StringComparer.OrdinalIgnoreCase);
+        var byName = new Dictionary<string, LanguageInfo>(StringComparer.OrdinalIgnoreCase);
+        foreach (var language in languages)
+        {
+            foreach (var code in new[] { language.Part1, language.Part2B, language.Part2T, language.Part3 })
+            {
+                if (code is not null)
+                {
+                    byCode.TryAdd(code, language);
+                }
+            }
+
+            if (!language.IsCommon)
+            {
+                continue;
+            }
+
+            foreach (var name in language.Names.Append(language.NativeName).OfType<string>())
+            {
+                byName.TryAdd(name, language);
+            }
+        }
+
+        return new Catalog(languages, byCode, byName);
+    }
+
+    private static string? NullIfEmpty(string value)
+    {
+        return value.Length == 0 ? null : value;
+    }
+
+    private sealed record Catalog(
+        IReadOnlyList<LanguageInfo> Languages,
+        IReadOnlyDictionary<string, LanguageInfo> ByCode,
+        IReadOnlyDictionary<string, LanguageInfo> ByName);
+}
@@ -0,0 +1,104 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using Jellyfin.Data.Enums;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.Movies;
+using MediaBrowser.Controller.Library;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// Tags, genres, studios and collections of an item, matched by the metadata rule scopes.
+/// </summary>
+public sealed class ItemMetadata
+{
+    public static readonly ItemMetadata Empty = new(
+        Array.Empty<string>(),
+        Array.Empty<string>(),
+        Array.Empty<string>(),
+        () => Array.Empty<Guid>());
+
+    private readonly Lazy<IReadOnlyCollection<Guid>> _collectionIds;
+
+    public ItemMetadata(
+        IReadOnlyCollection<string> tags,
+        IReadOnlyCollection<string> genres,
+        IReadOnlyCollection<string> studios,
+        Func<IReadOnlyCollection<Guid>> collectionIds)
+    {
+        Tags = tags;
+        Genres = genres;
+        Studios = studios;
+        _collectionIds = new Lazy<IReadOnlyCollection<Guid>>(collectionIds);
+    }
+
+    public IReadOnlyCollection<string> Tags { get; }
+
+    public IReadOnlyCollection<string> Genres { get; }
+
+    public IReadOnlyCollection<string> Studios { get; }
+
+    /// <summary>
+    /// Gets the ids of the BoxSets containing the item. Looked up on first use only, because it means
+    /// walking every collection on the server and most rule sets have no collection rules.
+    /// </summary>
+    public IReadOnlyCollection<Guid> CollectionIds => _collectionIds.Value;
+}
+
+public interface IItemMetadataReader
+{
+    ItemMetadata Read(BaseItem? item);
+}
+
+/// <summary>
+/// Reads an item's metadata together with its series', since tags and genres of episodes usually live on the show.
+/// </summary>
+public sealed class ItemMetadataReader : IItemMetadataReader
+{
+    private readonly ILibraryManager _libraryManager;
+
+    public ItemMetadataReader(ILibraryManager libraryManager)
+    {
+        _libraryManager = libraryManager;
+    }
+
+    public ItemMetadata Read(BaseItem? item)
+    {
+        if (item is null)
+        {
+            return ItemMetadata.Empty;
+        }
+
+        var sources = new List<BaseItem> { item };
+        if (item is IHasSeries hasSeries && _libraryManager.GetItemById(hasSeries.FindSeriesId()) is { } series)
+        {
+            sources.Add(series);
+        }
+
+        return new ItemMetadata(
+            Collect(sources, source => source.Tags),
+            Collect(sources, source => source.Genres),
+            Collect(sources, source => source.Studios),
+            () => FindCollections(sources));
+    }
+
+    private static HashSet<string> Collect(IEnumerable<BaseItem> sources, Func<BaseItem, string[]?> select)
+    {
+        return sources
+            .SelectMany(source => select(source) ?? Array.Empty<string>())
+            .Where(value => !string.IsNullOrWhiteSpace(value))
+            .ToHashSet(StringComparer.OrdinalIgnoreCase);
+    }
+
+    private HashSet<Guid> FindCollections(IReadOnlyList<BaseItem> sources)
+    {
+        // An episode counts as a member when its series was added to the collection.
+        return _libraryManager
+            .GetItemList(new InternalItemsQuery { IncludeItemTypes = new[] { BaseItemKind.BoxSet }, Recursive = true })
+            .OfType<BoxSet>()
+            .Where(boxSet => sources.Any(source => boxSet.ContainsLinkedChildByItemId(source.Id)))
+            .Select(boxSet => boxSet.Id)
+            .ToHashSet();
+    }
+}
@@ -1,7 +1,6 @@
 using System;
 using System.Collections.Generic;
 using System.Collections.Immutable;
-using System.Globalization;
 using System.Linq;
 
 namespace Jellyfin.Plugin.TrackRules.Core;
@@ -11,65 +10,49 @@ public interface ILanguageNormalizer
     string Normalize(string? value);
 
     IReadOnlyList<string> NormalizeMany(IEnumerable<string> values);
+
+    /// <summary>
+    /// Normalizes a stream's language tag and, when the tag has no region, adds the variant its title names
+    /// (e.g. "por" titled "Português (Brasil)" becomes "por-br").
+    /// </summary>
+    string NormalizeStream(string? language, string? title);
+
+    /// <summary>
+    /// Whether the value normalizes to a rule keyword, a recognised ISO 639 language or a regional variant of one.
+    /// </summary>
+    bool IsKnown(string? value);
+
+    /// <summary>
+    /// Looks up the ISO 639 entry for any code or name <see cref="Normalize"/> accepts; null for keywords and unknown values.
+    /// Regional variants get their base language's entry under the variant's code and name.
+    /// </summary>
+    LanguageInfo? Describe(string? value);
 }
 
 /// <summary>
-/// Coerces user provided language codes into ISO639-3 form.
+/// Coerces user provided language codes and names into the canonical ISO 639-2/T (or 639-3) code,
+/// so "fr", "fre", "fra" and "French" all match each other. Regional tags keep their subtag: "pt-BR" becomes "por-br".
 /// </summary>
 public sealed class LanguageNormalizer : ILanguageNormalizer
 {
+    private static readonly char[] _subtagSeparators = ['-', '_'];
+
+    // Spellings seen in the wild that are not ISO 639 codes or names, plus the rule keywords.
     private static readonly ImmutableDictionary<string, string> _aliases = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
     {
-        ["english"] = "eng",
-        ["eng"] = "eng",
-        ["en"] = "eng",
-        ["enus"] = "eng",
+        ["enus"] = "eng-us",
         ["jp"] = "jpn",
-        ["jpn"] = "jpn",
-        ["japanese"] = "jpn",
-        ["ja"] = "jpn",
-        ["fr"] = "fra",
-        ["fra"] = "fra",
-        ["fre"] = "fra",
-        ["french"] = "fra",
-        ["es"] = "spa",
-        ["spa"] = "spa",
-        ["spanish"] = "spa",
-        ["latin spanish"] = "spa",
-        ["castilian"] = "spa",
-        ["de"] = "deu",
-        ["ger"] = "deu",
-        ["deu"] = "deu",
-        ["german"] = "deu",
-        ["it"] = "ita",
-        ["ita"] = "ita",
-        ["italian"] = "ita",
-        ["ko"] = "kor",
-        ["kor"] = "kor",
-        ["korean"] = "kor",
-        ["zh"] = "zho",
-        ["zho"] = "zho",
-        ["chi"] = "zho",
-        ["chinese"] = "zho",
-        ["pt"] = "por",
-        ["por"] = "por",
-        ["portuguese"] = "por",
-        ["br"] = "por",
-        ["pb"] = "por",
-        ["ptbr"] = "por",
-        ["ru"] = "rus",
-        ["rus"] = "rus",
-        ["russian"] = "rus",
-        ["pl"] = "pol",
-        ["pol"] = "pol",
-        ["polish"] = "pol",
-        ["sv"] = "swe",
-        ["swe"] = "swe",
-        ["swedish"] = "swe",
+        ["latin spanish"] = "spa-419",
+        ["latino"] = "spa-419",
+        ["castilian"] = "spa-es",
+        ["br"] = "por-br",
+        ["pb"] = "por-br",
+        ["pob"] = "por-br",
+        ["ptbr"] = "por-br",
+        ["zh-cn"] = "zho-hans",
+        ["zh-tw"] = "zho-hant",
         ["none"] = RuleKeywords.None,
-        ["any"] = RuleKeywords.Any,
-        ["und"] = "und",
-        ["mul"] = "mul"
+        ["any"] = RuleKeywords.Any
     }.ToImmutableDictionary(StringComparer.OrdinalIgnoreCase);
 
     public string Normalize(string? value)
@@ -79,24 +62,18 @@ public sealed class LanguageNormalizer : ILanguageNormalizer
             return string.Empty;
         }
 
-        var trimmed = value.Trim();
-        if (_aliases.TryGetValue(trimmed, out var mapped))
+        var normalized = value.Trim().ToLowerInvariant();
+        if (_aliases.TryGetValue(normalized, out var mapped))
         {
             return mapped;
         }
 
-        var normalized = trimmed.ToLowerInvariant();
-        if (_aliases.TryGetValue(normalized, out mapped))
+        if (Iso639.TryFind(normalized, out var language))
         {
-            return mapped;
+            return language.Code;
         }
 
-        if (normalized.Length == 2 && TryConvertIso639Alpha2To3(normalized, out mapped))
-        {
-            return mapped;
-        }
-
-        return normalized;
+        return NormalizeVariant(normalized) ?? normalized;
     }
 
     public IReadOnlyList<string> NormalizeMany(IEnumerable<string> values)
@@ -109,25 +86,99 @@ public sealed class LanguageNormalizer : ILanguageNormalizer
             .ToArray();
     }
 
-    private static bool TryConvertIso639Alpha2To3(string alpha2, out string converted)
+    public string NormalizeStream(string? language, string? title)
+    {
+        var normalized = Normalize(language);
+        if (normalized.Length == 0 ||
+            normalized is RuleKeywords.Any or RuleKeywords.None ||
+            LanguageVariants.GetVariant(normalized) is not null)
+        {
+            return normalized;
+        }
+
+        return LanguageVariants.DetectFromTitle(normalized, title) ?? normalized;
+    }
+
+    public bool IsKnown(string? value)
     {
-        converted = alpha2 switch
+        var normalized = Normalize(value);
+        if (normalized.Length == 0)
+        {
+            return false;
+        }
+
+        return normalized is RuleKeywords.Any or RuleKeywords.None ||
+            Iso639.TryFind(normalized, out _) ||
+            FindVariantBase(normalized) is not null;
+    }
+
+    public LanguageInfo? Describe(string? value)
+    {
+        // "any" is also the ISO 639-3 code of Anyin; as a rule keyword it is not a language.
+        var normalized = Normalize(value);
+        if (normalized is RuleKeywords.Any or RuleKeywords.None)
+        {
+            return null;
+        }
+
+        if (Iso639.TryFind(normalized, out var language))
+        {
+            return language;
+        }
+
+        var baseLanguage = FindVariantBase(normalized);
+        if (baseLanguage is null)
         {
-            "en" => "eng",
-            "ja" => "jpn",
-            "fr" => "fra",
-            "es" => "spa",
-            "de" => "deu",
-            "it" => "ita",
-            "ko" => "kor",
-            "zh" => "zho",
-            "pt" => "por",
-            "ru" => "rus",
-            "pl" => "pol",
-            "sv" => "swe",
-            _ => string.Empty
+            return null;
+        }
+
+        var known = LanguageVariants.Find(normalized);
+        var subtag = LanguageVariants.GetVariant(normalized)!;
+        var label = subtag.Length == 4
+            ? char.ToUpperInvariant(subtag[0]) + subtag[1..]
+            : subtag.ToUpperInvariant();
+        return baseLanguage with
+        {
+            Code = normalized,
+            Names = [known?.Name ?? $"{baseLanguage.Name} ({label})"],
+            NativeName = known?.NativeName ?? baseLanguage.NativeName
         };
+    }
+
+    /// <summary>
+    /// Reads "pt-br", "pt_BR", "zh-Hant-TW" or a known variant's name as base code plus subtag; null when the value
+    /// is not a recognised language with a well-formed region or script.
+    /// </summary>
+    private static string? NormalizeVariant(string value)
+    {
+        var known = LanguageVariants.Known.FirstOrDefault(variant =>
+            variant.Name.Equals(value, StringComparison.OrdinalIgnoreCase) ||
+            variant.NativeName.Equals(value, StringComparison.OrdinalIgnoreCase));
+        if (known is not null)
+        {
+            return known.Code;
+        }
+
+        var parts = value.Split(_subtagSeparators);
+        if (parts.Length is < 2 or > 3 ||
+            !LanguageVariants.IsValidSubtag(parts[1]) ||
+            !Iso639.TryFind(parts[0], out var language))
+        {
+            return null;
+        }
+
+        // Only the first subtag is kept; "zh-Hant-TW" is Traditional Chinese wherever it is read.
+        return $"{language.Code}-{parts[1]}";
+    }
+
+    private static LanguageInfo? FindVariantBase(string normalized)
+    {
+        var subtag = LanguageVariants.GetVariant(normalized);
+        if (subtag is null || !LanguageVariants.IsValidSubtag(subtag))
+        {
+            return null;
+        }
 
-        return !string.IsNullOrEmpty(converted);
+        return Iso639.TryFind(LanguageVariants.GetBase(normalized), out var language) ? language : null;
     }
 }
@@ -0,0 +1,127 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// A regional or script variant of a language, e.g. Brazilian Portuguese ("por-br").
+/// </summary>
+/// <param name="Code">Base code and variant subtag, lower case: "por-br", "spa-419", "zho-hant".</param>
+/// <param name="TitleKeywords">Words in a stream title that mark a track of the base language as this variant.</param>
+public sealed record LanguageVariant(string Code, string Name, string NativeName, IReadOnlyList<string> TitleKeywords)
+{
+    public string BaseCode => LanguageVariants.GetBase(Code);
+}
+
+/// <summary>
+/// Region-aware language tags. Rules may ask for "por-br" or "spa-419"; streams are tagged with the plain ISO code,
+/// so their variant is read from a regional tag when the file has one and from the track title ("Brasil", "Latino")
+/// otherwise. A regional preference falls back to the base language when no track of that variant exists.
+/// </summary>
+public static class LanguageVariants
+{
+    /// <summary>
+    /// Variants the dashboard and widget offer by name. Other subtags (e.g. "eng-au") still work in rules.
+    /// </summary>
+    public static readonly IReadOnlyList<LanguageVariant> Known =
+    [
+        new("por-br", "Portuguese (Brazil)", "português (Brasil)", ["brazil", "brasil", "pt-br", "ptbr"]),
+        new("por-pt", "Portuguese (Portugal)", "português (Portugal)", ["portugal", "european", "europeu", "pt-pt"]),
+        new("spa-419", "Spanish (Latin America)", "español (Latinoamérica)", ["latino", "latin america", "latinoam", "latam", "es-419", "mexic"]),
+        new("spa-es", "Spanish (Spain)", "español (España)", ["castilian", "castellano", "españa", "spain", "european", "es-es"]),
+        new("fra-ca", "French (Canada)", "français (Canada)", ["canad", "québec", "quebec", "vfq", "fr-ca"]),
+        new("fra-fr", "French (France)", "français (France)", ["vff", "vf2", "parisian", "fr-fr"]),
+        new("zho-hans", "Chinese (Simplified)", "中文（简体）", ["simplified", "简体", "简中", "chs", "zh-hans", "zh-cn"]),
+        new("zho-hant", "Chinese (Traditional)", "中文（繁體）", ["traditional", "繁體", "繁体", "繁中", "cht", "zh-hant", "zh-tw"]),
+        new("eng-us", "English (US)", "English (US)", ["american", "en-us"]),
+        new("eng-gb", "English (UK)", "English (UK)", ["british", "en-gb"])
+    ];
+
+    public static string GetBase(string code)
+    {
+        var separator = code.IndexOf('-', StringComparison.Ordinal);
+        return separator < 0 ? code : code[..separator];
+    }
+
+    public static string? GetVariant(string code)
+    {
+        var separator = code.IndexOf('-', StringComparison.Ordinal);
+        return separator < 0 ? null : code[(separator + 1)..];
+    }
+
+    /// <summary>
+    /// Region (two letters or three digits) or script (four letters) subtag, as in BCP 47.
+    /// </summary>
+    public static bool IsValidSubtag(string subtag)
+    {
+        return subtag.Length switch
+        {
+            2 or 4 => subtag.All(char.IsAsciiLetter),
+            3 => subtag.All(char.IsAsciiDigit),
+            _ => false
+        };
+    }
+
+    public static LanguageVariant? Find(string code)
+    {
+        return Known.FirstOrDefault(variant => variant.Code.Equals(code, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Picks the variant of <paramref name="baseCode"/> a stream title names, or null when it names none or several.
+    /// </summary>
+    public static string? DetectFromTitle(string baseCode, string? title)
+    {
+        if (string.IsNullOrWhiteSpace(title))
+        {
+            return null;
+        }
+
+        var matches = Known
+            .Where(variant => variant.BaseCode.Equals(baseCode, StringComparison.OrdinalIgnoreCase) &&
+                variant.TitleKeywords.Any(keyword => title.Contains(keyword, StringComparison.OrdinalIgnoreCase)))
+            .ToList();
+
+        // Keywords are only compared within the stream's own language ("European" is Portuguese or Spanish);
+        // a title naming two variants of it (e.g. "pt-BR/pt-PT") is ambiguous.
+        return matches.Count == 1 ? matches[0].Code : null;
+    }
+
+    /// <summary>
+    /// Whether a stream language ("por" or "por-br") satisfies a preference. A base preference accepts every variant;
+    /// a regional preference only its own.
+    /// </summary>
+    public static bool Matches(string streamLanguage, string preference)
+    {
+        if (streamLanguage.Equals(preference, StringComparison.OrdinalIgnoreCase))
+        {
+            return true;
+        }
+
+        return GetVariant(preference) is null &&
+            GetBase(streamLanguage).Equals(preference, StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// Adds the base language after the last regional preference of each language that lacks it, so
+    /// ["por-br", "eng"] becomes ["por-br", "por", "eng"] and a Portuguese track of another region still beats English.
+    /// Lists that name the base themselves keep their order.
+    /// </summary>
+    public static IReadOnlyList<string> WithBaseFallbacks(IReadOnlyList<string> preferences)
+    {
+        var expanded = preferences.ToList();
+        foreach (var baseCode in preferences.Where(preference => GetVariant(preference) is not null).Select(GetBase).Distinct().ToList())
+        {
+            if (expanded.Contains(baseCode, StringComparer.OrdinalIgnoreCase))
+            {
+                continue;
+            }
+
+            var last = expanded.FindLastIndex(preference => GetBase(preference).Equals(baseCode, StringComparison.OrdinalIgnoreCase));
+            expanded.Insert(last + 1, baseCode);
+        }
+
+        return expanded;
+    }
+}
@@ -0,0 +1,65 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using MediaBrowser.Model.Tasks;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// Scheduled task that re-links orphaned rules and logs the ones left for an administrator to clean up.
+/// </summary>
+public sealed class OrphanedRuleTask : IScheduledTask
+{
+    private readonly IOrphanedRuleService _orphanedRules;
+    private readonly ILogger<OrphanedRuleTask> _logger;
+
+    public OrphanedRuleTask(IOrphanedRuleService orphanedRules, ILogger<OrphanedRuleTask> logger)
+    {
+        _orphanedRules = orphanedRules;
+        _logger = logger;
+    }
+
+    public string Name => "Re-link orphaned Track Rules";
+
+    public string Key => "TrackRulesOrphanScan";
+
+    public string Description => "Finds Track Rules whose library, series or item no longer exists and re-links them to a re-added item with the same provider IDs.";
+
+    public string Category => "Track Rules";
+
+    public async Task ExecuteAsync(IProgress<double> progress, CancellationToken cancellationToken)
+    {
+        progress.Report(0);
+        var relinked = await _orphanedRules
+            .RelinkAsync(new RuleChangeInfo(RuleChangeSource.Maintenance, null, null), cancellationToken)
+            .ConfigureAwait(false);
+        progress.Report(50);
+
+        var remaining = await _orphanedRules.ScanAsync(cancellationToken).ConfigureAwait(false);
+        if (relinked.Count > 0 || remaining.Count > 0)
+        {
+            _logger.LogInformation(
+                "Track Rules orphan scan re-linked {Relinked} rule(s); {Remaining} rule(s) across {Users} user(s) still point at missing targets.",
+                relinked.Count,
+                remaining.Count,
+                remaining.Select(orphan => orphan.UserId).Distinct().Count());
+        }
+
+        progress.Report(100);
+    }
+
+    public IEnumerable<TaskTriggerInfo> GetDefaultTriggers()
+    {
+        return new[]
+        {
+            new TaskTriggerInfo
+            {
+                Type = TaskTriggerInfo.TriggerInterval,
+                IntervalTicks = TimeSpan.FromDays(1).Ticks
+            }
+        };
+    }
+}
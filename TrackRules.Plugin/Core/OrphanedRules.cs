@@ -0,0 +1,243 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Jellyfin.Data.Enums;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// A rule whose target no longer resolves, with the item it can be re-linked to when one was found.
+/// </summary>
+public sealed record OrphanedRule(Guid UserId, TrackRule Rule, Guid? RelinkTargetId, string? RelinkTargetName);
+
+/// <summary>
+/// Identifies one user's rule by scope and target.
+/// </summary>
+public sealed record RuleKey(Guid UserId, RuleScope Scope, Guid? TargetId);
+
+public interface IOrphanedRuleService
+{
+    /// <summary>
+    /// Records each target's current name and provider IDs on its rule so the rule can be recognised and
+    /// re-linked after the target disappears. Rules whose target is already gone keep what they had.
+    /// </summary>
+    void StampTargets(IEnumerable<TrackRule> rules);
+
+    /// <summary>
+    /// Finds rules of every user whose target no longer exists, without changing anything.
+    /// </summary>
+    Task<IReadOnlyList<OrphanedRule>> ScanAsync(CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Points every orphaned rule with exactly one match at its new target. Returns the rules that were re-linked.
+    /// </summary>
+    Task<IReadOnlyList<OrphanedRule>> RelinkAsync(RuleChangeInfo change, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Deletes the given rules across users in one atomic update. Returns how many were removed.
+    /// </summary>
+    Task<int> RemoveAsync(IReadOnlyCollection<RuleKey> rules, RuleChangeInfo change, CancellationToken cancellationToken);
+}
+
+/// <summary>
+/// Detects rules pointing at removed libraries or items and re-links them by provider ID (or library name).
+/// </summary>
+public sealed class OrphanedRuleService : IOrphanedRuleService
+{
+    private readonly IRuleStore _ruleStore;
+    private readonly ILibraryManager _libraryManager;
+    private readonly IUserManager _userManager;
+    private readonly ILogger<OrphanedRuleService> _logger;
+
+    public OrphanedRuleService(
+        IRuleStore ruleStore,
+        ILibraryManager libraryManager,
+        IUserManager userManager,
+        ILogger<OrphanedRuleService> logger)
+    {
+        _ruleStore = ruleStore;
+        _libraryManager = libraryManager;
+        _userManager = userManager;
+        _logger = logger;
+    }
+
+    public void StampTargets(IEnumerable<TrackRule> rules)
+    {
+        ArgumentNullException.ThrowIfNull(rules);
+
+        foreach (var rule in rules)
+        {
+            if (rule.Scope == RuleScope.Global || !rule.TargetId.HasValue)
+            {
+                continue;
+            }
+
+            var item = _libraryManager.GetItemById(rule.TargetId.Value);
+            if (item is null)
+            {
+                continue;
+            }
+
+            rule.TargetName = item.Name;
+            rule.TargetProviderIds = item.ProviderIds is { Count: > 0 }
+                ? new Dictionary<string, string>(item.ProviderIds, StringComparer.OrdinalIgnoreCase)
+                : null;
+        }
+    }
+
+    public async Task<IReadOnlyList<OrphanedRule>> ScanAsync(CancellationToken cancellationToken)
+    {
+        var orphans = new List<OrphanedRule>();
+        foreach (var userId in _userManager.Users.Select(user => user.Id).ToList())
+        {
+            var ruleSet = await _ruleStore.GetAsync(userId, cancellationToken).ConfigureAwait(false);
+            foreach (var rule in ruleSet.Rules.Where(IsOrphaned))
+            {
+                var match = FindReplacement(rule);
+                var duplicate = match is not null && ruleSet.Rules.Any(other => other.Scope == rule.Scope && other.TargetId == match.Id);
+
+                // Re-linking onto a target the user already has a rule for would create a duplicate; leave that choice to them.
+                orphans.Add(duplicate || match is null
+                    ? new OrphanedRule(userId, rule, null, null)
+                    : new OrphanedRule(userId, rule, match.Id, match.Name));
+            }
+        }
+
+        return orphans;
+    }
+
+    public async Task<IReadOnlyList<OrphanedRule>> RelinkAsync(RuleChangeInfo change, CancellationToken cancellationToken)
+    {
+        ArgumentNullException.ThrowIfNull(change);
+
+        var candidates = (await ScanAsync(cancellationToken).ConfigureAwait(false))
+            .Where(orphan => orphan.RelinkTargetId.HasValue)
+            .ToList();
+        if (candidates.Count == 0)
+        {
+            return candidates;
+        }
+
+        var relinked = new List<OrphanedRule>();
+        await _ruleStore.UpdateManyAsync(
+            candidates.Select(orphan => orphan.UserId),
+            ruleSet =>
+            {
+                var changed = false;
+                foreach (var orphan in candidates.Where(candidate => candidate.UserId == ruleSet.UserId))
+                {
+                    // Match on the stored rule again: the set may have changed since the scan.
+                    var rule = ruleSet.Rules.FirstOrDefault(candidate =>
+                        candidate.Scope == orphan.Rule.Scope && candidate.TargetId == orphan.Rule.TargetId);
+                    if (rule is null || ruleSet.Rules.Any(other => other.Scope == rule.Scope && other.TargetId == orphan.RelinkTargetId))
+                    {
+                        continue;
+                    }
+
+                    rule.TargetId = orphan.RelinkTargetId;
+                    StampTargets(new[] { rule });
+                    relinked.Add(orphan);
+                    changed = true;
+                }
+
+                // Rules removed or re-linked since the scan leave the user's revision and history alone.
+                return changed;
+            },
+            change,
+            cancellationToken).ConfigureAwait(false);
+
+        foreach (var orphan in relinked)
+        {
+            _logger.LogInformation(
+                "Re-linked {Scope} rule of user {UserId} from {OldTarget} to {NewTarget} ({Name}).",
+                orphan.Rule.Scope,
+                orphan.UserId,
+                orphan.Rule.TargetId,
+                orphan.RelinkTargetId,
+                orphan.RelinkTargetName);
+        }
+
+        return relinked;
+    }
+
+    public async Task<int> RemoveAsync(IReadOnlyCollection<RuleKey> rules, RuleChangeInfo change, CancellationToken cancellationToken)
+    {
+        ArgumentNullException.ThrowIfNull(rules);
+        ArgumentNullException.ThrowIfNull(change);
+
+        if (rules.Count == 0)
+        {
+            return 0;
+        }
+
+        var removed = 0;
+        await _ruleStore.UpdateManyAsync(
+            rules.Select(key => key.UserId),
+            ruleSet =>
+            {
+                var count = ruleSet.Rules.RemoveAll(rule =>
+                    rules.Contains(new RuleKey(ruleSet.UserId, rule.Scope, rule.TargetId)));
+                removed += count;
+                return count > 0;
+            },
+            change,
+            cancellationToken).ConfigureAwait(false);
+
+        return removed;
+    }
+
+    private bool IsOrphaned(TrackRule rule)
+    {
+        return rule.Scope != RuleScope.Global &&
+            rule.TargetId.HasValue &&
+            _libraryManager.GetItemById(rule.TargetId.Value) is null;
+    }
+
+    private BaseItem? FindReplacement(TrackRule rule)
+    {
+        if (rule.Scope == RuleScope.Library)
+        {
+            // Libraries have no provider IDs; a library re-created under the same name is the best match we get.
+            if (string.IsNullOrWhiteSpace(rule.TargetName))
+            {
+                return null;
+            }
+
+            var folders = _libraryManager
+                .GetVirtualFolders()
+                .Where(folder => string.Equals(folder.Name, rule.TargetName, StringComparison.OrdinalIgnoreCase))
+                .Select(folder => Guid.TryParse(folder.ItemId, out var id) ? _libraryManager.GetItemById(id) : null)
+                .OfType<BaseItem>()
+                .ToList();
+            return folders.Count == 1 ? folders[0] : null;
+        }
+
+        if (rule.TargetProviderIds is not { Count: > 0 })
+        {
+            return null;
+        }
+
+        var kinds = rule.Scope switch
+        {
+            RuleScope.Series => new[] { BaseItemKind.Series },
+            RuleScope.Season => new[] { BaseItemKind.Season },
+            RuleScope.Collection => new[] { BaseItemKind.BoxSet },
+            _ => new[] { BaseItemKind.Movie, BaseItemKind.Episode }
+        };
+
+        var matches = _libraryManager.GetItemList(new InternalItemsQuery
+        {
+            IncludeItemTypes = kinds,
+            HasAnyProviderId = new Dictionary<string, string>(rule.TargetProviderIds),
+            Recursive = true
+        });
+
+        // Several matches (e.g. the same movie in two libraries) are ambiguous; only re-link a unique match.
+        return matches.Count == 1 ? matches[0] : null;
+    }
+}
@@ -0,0 +1,51 @@
+using System.Collections.Generic;
+using MediaBrowser.Model.Entities;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// What happened to a rule while resolving one item.
+/// </summary>
+public enum RuleTraceOutcome
+{
+    Selected = 0,
+    Shadowed = 1,
+    NotMatched = 2,
+    Disabled = 3
+}
+
+/// <summary>
+/// One rule the resolver looked at.
+/// </summary>
+public sealed record RuleTrace(TrackRule Rule, bool ServerDefault, RuleTraceOutcome Outcome, string Reason);
+
+/// <summary>
+/// One audio or subtitle stream the resolver scored.
+/// </summary>
+/// <param name="PreferenceRank">1-based position of the first preference the stream matches; null when none does.</param>
+/// <param name="ScoreDetail">Human-readable breakdown of <paramref name="Score"/>.</param>
+public sealed record StreamTrace(
+    int Index,
+    MediaStreamType Type,
+    string? Language,
+    string NormalizedLanguage,
+    string? Codec,
+    string? Title,
+    int Score,
+    string ScoreDetail,
+    int? PreferenceRank,
+    bool Selected,
+    string Reason);
+
+/// <summary>
+/// Optional record of how the resolver reached its decision, for "why did this track play?" questions.
+/// Only filled when a caller passes one in; playback never pays for it.
+/// </summary>
+public sealed class ResolutionTrace
+{
+    public List<string> Steps { get; } = new();
+
+    public List<RuleTrace> Rules { get; } = new();
+
+    public List<StreamTrace> Streams { get; } = new();
+}
@@ -8,7 +8,21 @@ namespace Jellyfin.Plugin.TrackRules.Core;
 
 public interface ITrackRuleResolver
 {
-    ResolutionResult Resolve(UserRuleSet rules, ResolutionContext context);
+    /// <summary>
+    /// Picks the rule for the item and the streams it asks for. When <paramref name="trace"/> is given, it is filled
+    /// with the rules considered, every stream's score and why each one lost.
+    /// </summary>
+    ResolutionResult Resolve(UserRuleSet rules, ResolutionContext context, ResolutionTrace? trace = null);
+
+    /// <summary>
+    /// Resolves like <see cref="Resolve"/>, but walks down the ranked candidates until
+    /// <paramref name="isCompatible"/> accepts the resulting audio/subtitle pair (-1 meaning subtitles off).
+    /// </summary>
+    ResolutionResult ResolveCompatible(
+        UserRuleSet rules,
+        ResolutionContext context,
+        Func<int?, int, bool> isCompatible,
+        ResolutionTrace? trace = null);
 }
 
 /// <summary>
@@ -18,24 +32,34 @@ public sealed class ResolutionContext
 {
     public ResolutionContext(
         Guid userId,
+        Guid? itemId,
         Guid? seriesId,
+        Guid? seasonId,
         Guid? libraryId,
         IReadOnlyList<MediaStream> mediaStreams,
         int? currentAudioStreamIndex,
-        int? currentSubtitleStreamIndex)
+        int? currentSubtitleStreamIndex,
+        ItemMetadata? metadata = null)
     {
         UserId = userId;
+        ItemId = itemId;
         SeriesId = seriesId;
+        SeasonId = seasonId;
         LibraryId = libraryId;
         MediaStreams = mediaStreams ?? Array.Empty<MediaStream>();
         CurrentAudioStreamIndex = currentAudioStreamIndex;
         CurrentSubtitleStreamIndex = currentSubtitleStreamIndex;
+        Metadata = metadata ?? ItemMetadata.Empty;
     }
 
     public Guid UserId { get; }
 
+    public Guid? ItemId { get; }
+
     public Guid? SeriesId { get; }
 
+    public Guid? SeasonId { get; }
+
     public Guid? LibraryId { get; }
 
     public IReadOnlyList<MediaStream> MediaStreams { get; }
@@ -43,6 +67,11 @@ public sealed class ResolutionContext
     public int? CurrentAudioStreamIndex { get; }
 
     public int? CurrentSubtitleStreamIndex { get; }
+
+    /// <summary>
+    /// Gets the tags, genres, studios and collections matched by metadata-scoped rules.
+    /// </summary>
+    public ItemMetadata Metadata { get; }
 }
 
 /// <summary>
@@ -56,12 +85,20 @@ public sealed class ResolutionResult
         TrackRule? appliedRule,
         int? audioStreamIndex,
         int? subtitleStreamIndex,
-        RuleScope? scope)
+        RuleScope? scope,
+        bool audioFallback = false,
+        bool subtitleFallback = false,
+        bool compatibleFallback = false,
+        bool serverDefault = false)
     {
         AppliedRule = appliedRule;
         AudioStreamIndex = audioStreamIndex;
         SubtitleStreamIndex = subtitleStreamIndex;
         Scope = scope;
+        AudioFallback = audioFallback;
+        SubtitleFallback = subtitleFallback;
+        CompatibleFallback = compatibleFallback;
+        ServerDefault = serverDefault;
     }
 
     public TrackRule? AppliedRule { get; }
@@ -72,6 +109,26 @@ public sealed class ResolutionResult
 
     public RuleScope? Scope { get; }
 
+    /// <summary>
+    /// Gets a value indicating whether the top audio preference was unavailable.
+    /// </summary>
+    public bool AudioFallback { get; }
+
+    /// <summary>
+    /// Gets a value indicating whether the top subtitle preference was unavailable.
+    /// </summary>
+    public bool SubtitleFallback { get; }
+
+    /// <summary>
+    /// Gets a value indicating whether the preferred streams were replaced by a compatible alternative.
+    /// </summary>
+    public bool CompatibleFallback { get; }
+
+    /// <summary>
+    /// Gets a value indicating whether the applied rule comes from the server default template.
+    /// </summary>
+    public bool ServerDefault { get; }
+
     public bool HasChanges => AudioStreamIndex.HasValue || SubtitleStreamIndex.HasValue;
 }
 
@@ -80,96 +137,204 @@ public sealed class ResolutionResult
 /// </summary>
 public sealed class TrackRuleResolver : ITrackRuleResolver
 {
-    private static readonly IReadOnlyList<string> _codecPreference =
-    [
-        "eac3",
-        "truehd",
-        "dts",
-        "dtshd",
-        "ac3",
-        "aac",
-        "flac",
-        "opus",
-        "vorbis",
-        "pcm",
-        "mp3"
-    ];
+    // Every probe costs a PlaybackInfo simulation, so stop long before exotic files get expensive.
+    private const int MaxCompatibilityProbes = 24;
 
     private readonly ILanguageNormalizer _normalizer;
+    private readonly IRuleTemplateProvider _templateProvider;
 
-    public TrackRuleResolver(ILanguageNormalizer normalizer)
+    public TrackRuleResolver(ILanguageNormalizer normalizer, IRuleTemplateProvider templateProvider)
     {
         _normalizer = normalizer;
+        _templateProvider = templateProvider;
     }
 
-    public ResolutionResult Resolve(UserRuleSet rules, ResolutionContext context)
+    public ResolutionResult Resolve(UserRuleSet rules, ResolutionContext context, ResolutionTrace? trace = null)
     {
         ArgumentNullException.ThrowIfNull(context);
 
         if (rules is null || context.MediaStreams.Count == 0)
         {
+            trace?.Steps.Add("The item has no media streams to choose from.");
             return ResolutionResult.NoChange;
         }
 
-        var enabledRules = rules.EnabledRules.ToList();
-        if (enabledRules.Count == 0)
+        var rule = SelectRule(rules.EnabledRules.ToList(), context);
+        if (trace is not null)
         {
-            return ResolutionResult.NoChange;
+            TraceRules(trace, rules.Rules, rule, context, serverDefault: false);
+        }
+
+        var serverDefault = false;
+        if (rule is null && rules.UseServerDefaults)
+        {
+            var allDefaults = _templateProvider.GetDefaultRules();
+            rule = SelectRule(allDefaults.Where(candidate => candidate.Enabled).ToList(), context);
+            serverDefault = rule is not null;
+            if (trace is not null)
+            {
+                trace.Steps.Add("None of the user's rules match; checking the server defaults.");
+                TraceRules(trace, allDefaults, rule, context, serverDefault: true);
+            }
         }
 
-        var rule = SelectRule(enabledRules, context.SeriesId, context.LibraryId);
         if (rule is null)
         {
+            trace?.Steps.Add(rules.UseServerDefaults
+                ? "No rule matches this item, so its tracks are left alone."
+                : "None of the user's rules match and they opted out of the server defaults, so the tracks are left alone.");
             return ResolutionResult.NoChange;
         }
 
+        trace?.Steps.Add($"Applying the {(serverDefault ? "server default " : string.Empty)}{rule.Scope} rule " +
+            $"(audio: {string.Join(", ", rule.Audio)}; subtitles: {string.Join(", ", rule.Subs)}).");
+
         var normalizedAudioPrefs = NormalizeOrFallback(rule.Audio, RuleKeywords.Any);
         var normalizedSubPrefs = NormalizeOrFallback(rule.Subs, RuleKeywords.None);
         var audioStreams = context.MediaStreams.Where(s => s.Type == MediaStreamType.Audio).ToList();
         var subtitleStreams = context.MediaStreams.Where(s => s.Type == MediaStreamType.Subtitle).ToList();
 
-        MediaStream? audioCandidate = TrySelectAudioStream(audioStreams, normalizedAudioPrefs);
-        var selectedAudioLanguage = _normalizer.Normalize(audioCandidate?.Language);
+        MediaStream? audioCandidate = TrySelectAudioStream(audioStreams, normalizedAudioPrefs, rule);
+        var selectedAudioLanguage = StreamLanguage(audioCandidate);
 
         var subtitleDecision = TrySelectSubtitleStream(
             subtitleStreams,
             normalizedSubPrefs,
-            rule.SubsMode,
+            rule,
             normalizedAudioPrefs,
             selectedAudioLanguage);
 
+        if (trace is not null)
+        {
+            TraceAudio(trace, audioStreams, normalizedAudioPrefs, audioCandidate, rule);
+            TraceSubtitles(trace, subtitleStreams, normalizedSubPrefs, rule, subtitleDecision, selectedAudioLanguage);
+        }
+
         var desiredAudioIndex = ComputeAudioChange(audioCandidate, context.CurrentAudioStreamIndex);
         var desiredSubtitleIndex = ComputeSubtitleChange(
             subtitleDecision,
             context.CurrentSubtitleStreamIndex);
 
-        if (!desiredAudioIndex.HasValue && !desiredSubtitleIndex.HasValue)
-        {
-            return ResolutionResult.NoChange;
-        }
-
         return new ResolutionResult(
             rule,
             desiredAudioIndex,
             desiredSubtitleIndex,
-            rule.Scope);
+            rule.Scope,
+            IsAudioFallback(audioCandidate, normalizedAudioPrefs),
+            IsSubtitleFallback(subtitleDecision, normalizedSubPrefs, rule.SubsMode),
+            serverDefault: serverDefault);
     }
 
-    private TrackRule? SelectRule(IEnumerable<TrackRule> rules, Guid? seriesId, Guid? libraryId)
+    public ResolutionResult ResolveCompatible(
+        UserRuleSet rules,
+        ResolutionContext context,
+        Func<int?, int, bool> isCompatible,
+        ResolutionTrace? trace = null)
     {
-        var seriesRule = rules.FirstOrDefault(rule => rule.Scope == RuleScope.Series && rule.AppliesTo(seriesId));
-        if (seriesRule is not null)
+        ArgumentNullException.ThrowIfNull(isCompatible);
+
+        var preferred = Resolve(rules, context, trace);
+        if (!preferred.HasChanges || preferred.AppliedRule is null)
+        {
+            return preferred;
+        }
+
+        var currentAudio = context.CurrentAudioStreamIndex;
+        var currentSubtitle = context.CurrentSubtitleStreamIndex ?? -1;
+        if (isCompatible(preferred.AudioStreamIndex ?? currentAudio, preferred.SubtitleStreamIndex ?? currentSubtitle))
         {
-            return seriesRule;
+            trace?.Steps.Add("The picked tracks play without transcoding.");
+            return preferred;
         }
 
-        var libraryRule = rules.FirstOrDefault(rule => rule.Scope == RuleScope.Library && rule.AppliesTo(libraryId));
-        if (libraryRule is not null)
+        trace?.Steps.Add("The picked tracks would transcode on this device; trying the other tracks the rule allows.");
+
+        var rule = preferred.AppliedRule;
+        var normalizedAudioPrefs = NormalizeOrFallback(rule.Audio, RuleKeywords.Any);
+        var normalizedSubPrefs = NormalizeOrFallback(rule.Subs, RuleKeywords.None);
+        var audioStreams = context.MediaStreams.Where(s => s.Type == MediaStreamType.Audio).ToList();
+        var subtitleStreams = context.MediaStreams.Where(s => s.Type == MediaStreamType.Subtitle).ToList();
+
+        var probes = 0;
+        foreach (var audioCandidate in RankAudioCandidates(audioStreams, normalizedAudioPrefs, rule, currentAudio))
         {
-            return libraryRule;
+            var subtitleDecision = TrySelectSubtitleStream(
+                subtitleStreams,
+                normalizedSubPrefs,
+                rule,
+                normalizedAudioPrefs,
+                StreamLanguage(audioCandidate));
+
+            foreach (var subtitleCandidate in RankSubtitleCandidates(subtitleStreams, normalizedSubPrefs, rule, subtitleDecision))
+            {
+                var audioChange = ComputeAudioChange(audioCandidate, currentAudio);
+                var subtitleChange = ComputeSubtitleChange(subtitleCandidate, currentSubtitle);
+                if (!audioChange.HasValue && !subtitleChange.HasValue)
+                {
+                    continue;
+                }
+
+                if (++probes > MaxCompatibilityProbes)
+                {
+                    trace?.Steps.Add($"Stopped after {MaxCompatibilityProbes} attempts; keeping the current tracks.");
+                    return new ResolutionResult(rule, null, null, rule.Scope, compatibleFallback: true, serverDefault: preferred.ServerDefault);
+                }
+
+                if (isCompatible(audioChange ?? currentAudio, subtitleChange ?? currentSubtitle))
+                {
+                    trace?.Steps.Add(string.Format(
+                        CultureInfo.InvariantCulture,
+                        "Audio #{0} with subtitles {1} plays without transcoding.",
+                        audioChange ?? currentAudio,
+                        (subtitleChange ?? currentSubtitle) < 0 ? "off" : $"#{subtitleChange ?? currentSubtitle}"));
+                    return new ResolutionResult(
+                        rule,
+                        audioChange,
+                        subtitleChange,
+                        rule.Scope,
+                        IsAudioFallback(audioCandidate, normalizedAudioPrefs),
+                        IsSubtitleFallback(subtitleCandidate, normalizedSubPrefs, rule.SubsMode),
+                        compatibleFallback: true,
+                        serverDefault: preferred.ServerDefault);
+                }
+            }
+        }
+
+        // Nothing plays directly; keep the current streams.
+        trace?.Steps.Add("No combination the rule allows plays without transcoding; keeping the current tracks.");
+        return new ResolutionResult(rule, null, null, rule.Scope, compatibleFallback: true, serverDefault: preferred.ServerDefault);
+    }
+
+    private static TrackRule? SelectRule(IReadOnlyList<TrackRule> rules, ResolutionContext context)
+    {
+        // Within a scope the first matching rule wins, e.g. when an item carries two tags that both have rules.
+        foreach (var scope in RuleScopes.Precedence)
+        {
+            var rule = rules.FirstOrDefault(candidate => candidate.Scope == scope && AppliesTo(candidate, context));
+            if (rule is not null)
+            {
+                return rule;
+            }
         }
 
-        return rules.FirstOrDefault(rule => rule.Scope == RuleScope.Global);
+        return null;
+    }
+
+    private static bool AppliesTo(TrackRule rule, ResolutionContext context)
+    {
+        return rule.Scope switch
+        {
+            RuleScope.Item => rule.AppliesTo(context.ItemId),
+            RuleScope.Season => rule.AppliesTo(context.SeasonId),
+            RuleScope.Series => rule.AppliesTo(context.SeriesId),
+            RuleScope.Collection => rule.AppliesTo(context.Metadata.CollectionIds),
+            RuleScope.Tag => rule.AppliesTo(context.Metadata.Tags),
+            RuleScope.Genre => rule.AppliesTo(context.Metadata.Genres),
+            RuleScope.Studio => rule.AppliesTo(context.Metadata.Studios),
+            RuleScope.Library => rule.AppliesTo(context.LibraryId),
+            RuleScope.Global => true,
+            _ => false
+        };
     }
 
     private IReadOnlyList<string> NormalizeOrFallback(IEnumerable<string> values, string fallback)
@@ -186,12 +351,16 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
             return new[] { fallback };
         }
 
-        return normalized;
+        // "por-br" alone would skip a Portuguese track that is not marked Brazilian; fall back to it before moving on.
+        return LanguageVariants.WithBaseFallbacks(normalized);
     }
 
-    private MediaStream? TrySelectAudioStream(IReadOnlyList<MediaStream> audioStreams, IReadOnlyList<string> preferences)
+    private MediaStream? TrySelectAudioStream(IReadOnlyList<MediaStream> audioStreams, IReadOnlyList<string> preferences, TrackRule rule)
     {
-        if (audioStreams.Count == 0)
+        // Excluded titles (commentary, descriptive audio) are out for every preference, "any" included.
+        var titles = TitlePatterns.ForAudio(rule);
+        var candidates = audioStreams.Where(stream => !titles.IsExcluded(stream)).ToList();
+        if (candidates.Count == 0)
         {
             return null;
         }
@@ -201,15 +370,15 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
             MediaStream? candidate;
             if (preference.Equals(RuleKeywords.Any, StringComparison.OrdinalIgnoreCase))
             {
-                candidate = audioStreams
-                    .OrderByDescending(ScoreAudioStream)
+                candidate = candidates
+                    .OrderByDescending(stream => AudioScoring.Score(stream, rule))
                     .FirstOrDefault();
             }
             else
             {
-                candidate = audioStreams
-                    .Where(stream => LanguageMatches(stream.Language, preference))
-                    .OrderByDescending(ScoreAudioStream)
+                candidate = candidates
+                    .Where(stream => LanguageMatches(stream, preference))
+                    .OrderByDescending(stream => AudioScoring.Score(stream, rule))
                     .FirstOrDefault();
             }
 
@@ -222,20 +391,99 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
         return null;
     }
 
+    private IEnumerable<MediaStream?> RankAudioCandidates(
+        IReadOnlyList<MediaStream> audioStreams,
+        IReadOnlyList<string> preferences,
+        TrackRule rule,
+        int? currentIndex)
+    {
+        var titles = TitlePatterns.ForAudio(rule);
+        var candidates = audioStreams.Where(stream => !titles.IsExcluded(stream)).ToList();
+        var ranked = new List<MediaStream?>();
+        foreach (var preference in preferences)
+        {
+            var matches = preference.Equals(RuleKeywords.Any, StringComparison.OrdinalIgnoreCase)
+                ? candidates
+                : candidates.Where(stream => LanguageMatches(stream, preference));
+
+            ranked.AddRange(matches.OrderByDescending(stream => AudioScoring.Score(stream, rule)).Where(stream => !ranked.Contains(stream)).ToList());
+        }
+
+        // Keeping the current track always stays in the running so subtitles alone can still change.
+        var current = audioStreams.FirstOrDefault(stream => stream.Index == currentIndex);
+        if (current is null || !ranked.Contains(current))
+        {
+            ranked.Add(current);
+        }
+
+        return ranked;
+    }
+
+    private IEnumerable<SubtitleDecision> RankSubtitleCandidates(
+        IReadOnlyList<MediaStream> subtitleStreams,
+        IReadOnlyList<string> preferences,
+        TrackRule rule,
+        SubtitleDecision preferred)
+    {
+        yield return preferred;
+
+        if (preferred.Stream is not null)
+        {
+            var titles = TitlePatterns.ForSubtitles(rule);
+            var seen = new HashSet<int> { preferred.Stream.Index };
+            var language = LanguageVariants.GetBase(StreamLanguage(preferred.Stream));
+            var candidates = subtitleStreams.Where(stream => !titles.IsExcluded(stream)).ToList();
+
+            // Same language (any region) first, text formats before image formats, then the remaining preferences in order.
+            var sameLanguage = candidates
+                .Where(stream => LanguageMatches(stream, language))
+                .OrderByDescending(stream => stream.IsForced == preferred.Stream.IsForced)
+                .ThenByDescending(titles.IsIncluded)
+                .ThenByDescending(stream => stream.IsTextSubtitleStream)
+                .ThenByDescending(stream => SubtitleScoring.Score(stream, rule));
+
+            var otherPreferences = preferences
+                .Where(preference => !preference.Equals(RuleKeywords.None, StringComparison.OrdinalIgnoreCase))
+                .SelectMany(preference => candidates
+                    .Where(stream => preference.Equals(RuleKeywords.Any, StringComparison.OrdinalIgnoreCase) ||
+                        LanguageMatches(stream, preference))
+                    .OrderByDescending(titles.IsIncluded)
+                    .ThenByDescending(stream => stream.IsTextSubtitleStream)
+                    .ThenByDescending(stream => SubtitleScoring.Score(stream, rule)));
+
+            foreach (var stream in sameLanguage.Concat(otherPreferences))
+            {
+                if (seen.Add(stream.Index))
+                {
+                    yield return SubtitleDecision.Use(stream);
+                }
+            }
+        }
+
+        if (preferred.DisableTracks || preferred.Stream is not null)
+        {
+            yield return SubtitleDecision.NoChange();
+        }
+    }
+
     private SubtitleDecision TrySelectSubtitleStream(
         IReadOnlyList<MediaStream> subtitleStreams,
         IReadOnlyList<string> preferences,
-        SubtitleMode mode,
+        TrackRule rule,
         IReadOnlyList<string> audioPreferences,
         string? selectedAudioLanguage)
     {
+        var mode = rule.SubsMode;
         if (mode == SubtitleMode.None ||
             (preferences.Count == 1 && preferences[0].Equals(RuleKeywords.None, StringComparison.OrdinalIgnoreCase)))
         {
             return SubtitleDecision.Disable();
         }
 
-        if (subtitleStreams.Count == 0)
+        // Excluded titles are dropped up front so no mode falls back to them, not even the file's default track.
+        var titles = TitlePatterns.ForSubtitles(rule);
+        var candidates = subtitleStreams.Where(stream => !titles.IsExcluded(stream)).ToList();
+        if (candidates.Count == 0)
         {
             return SubtitleDecision.NoChange();
         }
@@ -248,64 +496,78 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
 
         return mode switch
         {
-            SubtitleMode.PreferForced => SelectPreferForced(subtitleStreams, preferences),
-            SubtitleMode.Always => SelectAlways(subtitleStreams, preferences),
-            SubtitleMode.OnlyIfAudioNotPreferred => SelectDefault(subtitleStreams, preferences),
-            _ => SelectDefault(subtitleStreams, preferences)
+            SubtitleMode.PreferForced => SelectPreferForced(candidates, preferences, rule),
+            SubtitleMode.Always => SelectAlways(candidates, preferences, rule),
+            SubtitleMode.OnlyIfAudioNotPreferred => SelectDefault(candidates, preferences, rule),
+            _ => SelectDefault(candidates, preferences, rule)
         };
     }
 
-    private SubtitleDecision SelectPreferForced(IReadOnlyList<MediaStream> subtitles, IReadOnlyList<string> preferences)
+    private SubtitleDecision SelectPreferForced(IReadOnlyList<MediaStream> subtitles, IReadOnlyList<string> preferences, TrackRule rule)
     {
-        var forced = FindByPreference(subtitles, preferences, stream => stream.IsForced);
+        var forced = FindByPreference(subtitles, preferences, rule, stream => stream.IsForced);
         if (forced is not null)
         {
             return SubtitleDecision.Use(forced);
         }
 
-        var fallbackForced = subtitles.FirstOrDefault(stream => stream.IsForced);
+        var fallbackForced = subtitles
+            .Where(stream => stream.IsForced)
+            .OrderByDescending(stream => SubtitleScoring.PreferenceScore(stream, rule))
+            .FirstOrDefault();
         if (fallbackForced is not null)
         {
             return SubtitleDecision.Use(fallbackForced);
         }
 
-        return SelectDefault(subtitles, preferences);
+        return SelectDefault(subtitles, preferences, rule);
     }
 
-    private SubtitleDecision SelectAlways(IReadOnlyList<MediaStream> subtitles, IReadOnlyList<string> preferences)
+    private SubtitleDecision SelectAlways(IReadOnlyList<MediaStream> subtitles, IReadOnlyList<string> preferences, TrackRule rule)
     {
+        var titles = TitlePatterns.ForSubtitles(rule);
         var firstPreference = preferences.FirstOrDefault(pref => !pref.Equals(RuleKeywords.None, StringComparison.OrdinalIgnoreCase));
         if (firstPreference is null)
         {
-            var firstAvailable = subtitles.OrderByDescending(ScoreSubtitleStream).FirstOrDefault();
+            var firstAvailable = subtitles
+                .OrderByDescending(titles.IsIncluded)
+                .ThenByDescending(stream => SubtitleScoring.Score(stream, rule))
+                .FirstOrDefault();
             return firstAvailable is null ? SubtitleDecision.NoChange() : SubtitleDecision.Use(firstAvailable);
         }
 
-        var match = FindByPreference(subtitles, preferences, _ => true);
+        var match = FindByPreference(subtitles, preferences, rule, _ => true);
         if (match is not null)
         {
             return SubtitleDecision.Use(match);
         }
 
-        var fallback = subtitles.OrderByDescending(ScoreSubtitleStream).FirstOrDefault();
+        var fallback = subtitles
+            .OrderByDescending(titles.IsIncluded)
+            .ThenByDescending(stream => SubtitleScoring.Score(stream, rule))
+            .FirstOrDefault();
         return fallback is null ? SubtitleDecision.NoChange() : SubtitleDecision.Use(fallback);
     }
 
-    private SubtitleDecision SelectDefault(IReadOnlyList<MediaStream> subtitles, IReadOnlyList<string> preferences)
+    private SubtitleDecision SelectDefault(IReadOnlyList<MediaStream> subtitles, IReadOnlyList<string> preferences, TrackRule rule)
     {
-        var defaultMatch = FindByPreference(subtitles.Where(s => s.IsDefault).ToList(), preferences, _ => true);
+        // With a format preference, an image track loses its default flag when its language has a text track instead.
+        var flagged = subtitles
+            .Where(stream => stream.IsDefault && !(SubtitleScoring.YieldsToText(stream, rule) && HasTextAlternative(subtitles, stream)))
+            .ToList();
+        var defaultMatch = FindByPreference(flagged, preferences, rule, _ => true);
         if (defaultMatch is not null)
         {
             return SubtitleDecision.Use(defaultMatch);
         }
 
-        var fallbackDefault = subtitles.FirstOrDefault(stream => stream.IsDefault);
+        var fallbackDefault = flagged.FirstOrDefault();
         if (fallbackDefault is not null)
         {
             return SubtitleDecision.Use(fallbackDefault);
         }
 
-        var preferred = FindByPreference(subtitles, preferences, _ => true);
+        var preferred = FindByPreference(subtitles, preferences, rule, _ => true);
         if (preferred is not null)
         {
             return SubtitleDecision.Use(preferred);
@@ -314,11 +576,17 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
         return SubtitleDecision.NoChange();
     }
 
+    /// <summary>
+    /// Picks the best stream for the first preference that has one; within a preference, streams matching an include
+    /// title pattern come first, then <see cref="SubtitleScoring"/> decides.
+    /// </summary>
     private MediaStream? FindByPreference(
         IReadOnlyList<MediaStream> candidates,
         IReadOnlyList<string> preferences,
+        TrackRule rule,
         Func<MediaStream, bool> predicate)
     {
+        var titles = TitlePatterns.ForSubtitles(rule);
         if (candidates.Count == 0)
         {
             return null;
@@ -335,7 +603,8 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
             {
                 var anyMatch = candidates
                     .Where(predicate)
-                    .OrderByDescending(ScoreSubtitleStream)
+                    .OrderByDescending(titles.IsIncluded)
+                    .ThenByDescending(stream => SubtitleScoring.Score(stream, rule))
                     .FirstOrDefault();
 
                 if (anyMatch is not null)
@@ -347,8 +616,9 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
             }
 
             var match = candidates
-                .Where(stream => predicate(stream) && LanguageMatches(stream.Language, preference))
-                .OrderByDescending(ScoreSubtitleStream)
+                .Where(stream => predicate(stream) && LanguageMatches(stream, preference))
+                .OrderByDescending(titles.IsIncluded)
+                .ThenByDescending(stream => SubtitleScoring.Score(stream, rule))
                 .FirstOrDefault();
 
             if (match is not null)
@@ -369,13 +639,50 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
 
         return audioPreferences.Any(preference =>
             !preference.Equals(RuleKeywords.Any, StringComparison.OrdinalIgnoreCase) &&
-            preference.Equals(selectedAudioLanguage, StringComparison.OrdinalIgnoreCase));
+            LanguageVariants.Matches(selectedAudioLanguage, preference));
     }
 
-    private bool LanguageMatches(string? streamLanguage, string preference)
+    private bool LanguageMatches(MediaStream stream, string preference)
     {
-        var normalized = _normalizer.Normalize(streamLanguage);
-        return normalized.Equals(preference, StringComparison.OrdinalIgnoreCase);
+        return LanguageVariants.Matches(StreamLanguage(stream), preference);
+    }
+
+    private string StreamLanguage(MediaStream? stream)
+    {
+        return stream is null ? string.Empty : _normalizer.NormalizeStream(stream.Language, stream.Title);
+    }
+
+    private bool IsAudioFallback(MediaStream? candidate, IReadOnlyList<string> preferences)
+    {
+        var top = preferences[0];
+        if (top.Equals(RuleKeywords.Any, StringComparison.OrdinalIgnoreCase))
+        {
+            return false;
+        }
+
+        return candidate is null || !LanguageMatches(candidate, top);
+    }
+
+    private bool IsSubtitleFallback(SubtitleDecision decision, IReadOnlyList<string> preferences, SubtitleMode mode)
+    {
+        if (decision.DisableTracks || mode == SubtitleMode.None)
+        {
+            return false;
+        }
+
+        var top = preferences.FirstOrDefault(pref => !pref.Equals(RuleKeywords.None, StringComparison.OrdinalIgnoreCase));
+        if (top is null)
+        {
+            return false;
+        }
+
+        if (decision.Stream is null)
+        {
+            return true;
+        }
+
+        return !top.Equals(RuleKeywords.Any, StringComparison.OrdinalIgnoreCase) &&
+            !LanguageMatches(decision.Stream, top);
     }
 
     private int? ComputeAudioChange(MediaStream? candidate, int? currentIndex)
@@ -406,32 +713,252 @@ public sealed class TrackRuleResolver : ITrackRuleResolver
         return current == desired ? null : desired;
     }
 
-    private static int ScoreAudioStream(MediaStream stream)
+    private bool HasTextAlternative(IReadOnlyList<MediaStream> subtitles, MediaStream imageStream)
+    {
+        var language = LanguageVariants.GetBase(StreamLanguage(imageStream));
+        return subtitles.Any(stream => stream.IsTextSubtitleStream && LanguageMatches(stream, language));
+    }
+
+    private static void TraceRules(
+        ResolutionTrace trace,
+        IEnumerable<TrackRule> rules,
+        TrackRule? selected,
+        ResolutionContext context,
+        bool serverDefault)
+    {
+        foreach (var rule in rules)
+        {
+            if (ReferenceEquals(rule, selected))
+            {
+                trace.Rules.Add(new RuleTrace(rule, serverDefault, RuleTraceOutcome.Selected, "Most specific rule that matches this item."));
+            }
+            else if (!rule.Enabled)
+            {
+                trace.Rules.Add(new RuleTrace(rule, serverDefault, RuleTraceOutcome.Disabled, "Rule is disabled."));
+            }
+            else if (!AppliesTo(rule, context))
+            {
+                trace.Rules.Add(new RuleTrace(rule, serverDefault, RuleTraceOutcome.NotMatched, DescribeMismatch(rule, context)));
+            }
+            else
+            {
+                var reason = selected is not null && selected.Scope == rule.Scope
+                    ? "Matches too, but an earlier rule of the same scope wins."
+                    : $"Matches too, but the {selected?.Scope} rule is more specific.";
+                trace.Rules.Add(new RuleTrace(rule, serverDefault, RuleTraceOutcome.Shadowed, reason));
+            }
+        }
+    }
+
+    private static string DescribeMismatch(TrackRule rule, ResolutionContext context)
     {
-        var channelScore = stream.Channels ?? 0;
-        var codec = (stream.Codec ?? string.Empty).ToLowerInvariant();
-        var codecScore = _codecPreference.Count - IndexOf(codec, _codecPreference);
-        var defaultScore = stream.IsDefault ? 1000 : 0;
+        return rule.Scope switch
+        {
+            RuleScope.Item => "Targets a different item.",
+            RuleScope.Season => context.SeasonId.HasValue ? "Targets a different season." : "The item is not part of a season.",
+            RuleScope.Series => context.SeriesId.HasValue ? "Targets a different series." : "The item is not part of a series.",
+            RuleScope.Collection => "The item is not in this collection.",
+            RuleScope.Tag => $"Neither the item nor its series is tagged '{rule.TargetValue}'.",
+            RuleScope.Genre => $"Neither the item nor its series has the genre '{rule.TargetValue}'.",
+            RuleScope.Studio => $"Neither the item nor its series is from the studio '{rule.TargetValue}'.",
+            RuleScope.Library => context.LibraryId.HasValue ? "Targets a different library." : "The item's library could not be determined.",
+            _ => "Does not match this item."
+        };
+    }
+
+    private void TraceAudio(
+        ResolutionTrace trace,
+        IReadOnlyList<MediaStream> streams,
+        IReadOnlyList<string> preferences,
+        MediaStream? selected,
+        TrackRule rule)
+    {
+        if (streams.Count == 0)
+        {
+            trace.Steps.Add("The item has no audio tracks.");
+            return;
+        }
+
+        trace.Steps.Add(selected is null
+            ? "No audio track matches the rule's audio preferences; audio is left as it is."
+            : $"Audio track #{selected.Index} is the best match for the rule's audio preferences.");
+
+        var titles = TitlePatterns.ForAudio(rule);
+        var selectedRank = selected is null ? null : FindPreferenceRank(selected, preferences);
+        foreach (var stream in streams)
+        {
+            var rank = FindPreferenceRank(stream, preferences);
+            var score = AudioScoring.Score(stream, rule);
+            string reason;
+            if (ReferenceEquals(stream, selected))
+            {
+                reason = rank is null
+                    ? "Highest-scoring audio track."
+                    : $"Highest-scoring track for preference '{preferences[rank.Value]}'.";
+            }
+            else if (titles.FindExclusion(stream) is { } exclusion)
+            {
+                reason = $"Title matches the exclude pattern '{exclusion}'.";
+            }
+            else if (rank is null || selected is null || selectedRank is null)
+            {
+                reason = DescribeNoMatch(stream);
+            }
+            else if (selectedRank < rank)
+            {
+                reason = $"Matches '{preferences[rank.Value]}', but the earlier preference '{preferences[selectedRank.Value]}' is available.";
+            }
+            else
+            {
+                reason = score < AudioScoring.Score(selected, rule)
+                    ? $"Also matches '{preferences[rank.Value]}', but scores lower than track #{selected.Index}."
+                    : $"Scores the same as track #{selected.Index}, which comes first.";
+            }
 
-        return defaultScore + (channelScore * 10) + codecScore;
+            trace.Streams.Add(new StreamTrace(
+                stream.Index,
+                MediaStreamType.Audio,
+                stream.Language,
+                StreamLanguage(stream),
+                stream.Codec,
+                stream.Title,
+                score,
+                AudioScoring.Describe(stream, rule),
+                rank + 1,
+                ReferenceEquals(stream, selected),
+                reason));
+        }
     }
 
-    private static int ScoreSubtitleStream(MediaStream stream)
+    private void TraceSubtitles(
+        ResolutionTrace trace,
+        IReadOnlyList<MediaStream> streams,
+        IReadOnlyList<string> preferences,
+        TrackRule rule,
+        SubtitleDecision decision,
+        string? selectedAudioLanguage)
     {
-        return (stream.IsDefault ? 10 : 0) + (stream.IsForced ? 5 : 0);
+        var mode = rule.SubsMode;
+        var titles = TitlePatterns.ForSubtitles(rule);
+        var selected = decision.Stream;
+        if (mode == SubtitleMode.None)
+        {
+            trace.Steps.Add("Subtitle mode is 'never', so subtitles are turned off.");
+        }
+        else if (preferences.Count == 1 && preferences[0].Equals(RuleKeywords.None, StringComparison.OrdinalIgnoreCase))
+        {
+            trace.Steps.Add("The only subtitle preference is 'none', so subtitles are turned off.");
+        }
+        else if (streams.Count == 0)
+        {
+            trace.Steps.Add("The item has no subtitle tracks.");
+        }
+        else if (decision.DisableTracks)
+        {
+            trace.Steps.Add($"The picked audio language '{selectedAudioLanguage}' is a preferred one, so subtitles are turned off.");
+        }
+        else
+        {
+            trace.Steps.Add(selected is null
+                ? $"No subtitle track fits the {mode} subtitle mode; subtitles are left as they are."
+                : $"The {mode} subtitle mode picked track #{selected.Index}.");
+        }
+
+        var selectedRank = selected is null ? null : FindPreferenceRank(selected, preferences);
+        foreach (var stream in streams)
+        {
+            var rank = FindPreferenceRank(stream, preferences);
+            string reason;
+            if (ReferenceEquals(stream, selected))
+            {
+                reason = $"Picked by the {mode} subtitle mode.";
+            }
+            else if (decision.DisableTracks)
+            {
+                reason = "Subtitles are turned off.";
+            }
+            else if (titles.FindExclusion(stream) is { } exclusion)
+            {
+                reason = $"Title matches the exclude pattern '{exclusion}'.";
+            }
+            else if (selected is null)
+            {
+                reason = rank is null ? DescribeNoMatch(stream) : "No track was picked.";
+            }
+            else if (mode == SubtitleMode.PreferForced && selected.IsForced && !stream.IsForced)
+            {
+                reason = "Not forced; forced tracks are preferred in this mode.";
+            }
+            else if (mode is SubtitleMode.Default or SubtitleMode.OnlyIfAudioNotPreferred && selected.IsDefault && !stream.IsDefault)
+            {
+                reason = "Not flagged as default; the file's default subtitle track wins in this mode.";
+            }
+            else if (SubtitleScoring.YieldsToText(stream, rule) && selected.IsTextSubtitleStream)
+            {
+                reason = "Image-based; the rule prefers a text track when one is available.";
+            }
+            else if (rank is null)
+            {
+                reason = DescribeNoMatch(stream);
+            }
+            else if (selectedRank.HasValue && selectedRank < rank)
+            {
+                reason = $"Matches '{preferences[rank.Value]}', but the earlier preference '{preferences[selectedRank.Value]}' is available.";
+            }
+            else
+            {
+                reason = $"Ranks below track #{selected.Index}.";
+            }
+
+            trace.Streams.Add(new StreamTrace(
+                stream.Index,
+                MediaStreamType.Subtitle,
+                stream.Language,
+                StreamLanguage(stream),
+                stream.Codec,
+                stream.Title,
+                SubtitleScoring.Score(stream, rule),
+                SubtitleScoring.Describe(stream, rule) +
+                    (titles.HasInclude && titles.IsIncluded(stream) ? ", title match" : string.Empty),
+                rank + 1,
+                ReferenceEquals(stream, selected),
+                reason));
+        }
     }
 
-    private static int IndexOf(string value, IReadOnlyList<string> list)
+    /// <summary>
+    /// Returns the 0-based index of the first preference the stream satisfies, skipping "none".
+    /// </summary>
+    private int? FindPreferenceRank(MediaStream stream, IReadOnlyList<string> preferences)
     {
-        for (var i = 0; i < list.Count; i++)
+        for (var i = 0; i < preferences.Count; i++)
         {
-            if (string.Equals(list[i], value, StringComparison.OrdinalIgnoreCase))
+            var preference = preferences[i];
+            if (preference.Equals(RuleKeywords.None, StringComparison.OrdinalIgnoreCase))
+            {
+                continue;
+            }
+
+            if (preference.Equals(RuleKeywords.Any, StringComparison.OrdinalIgnoreCase) || LanguageMatches(stream, preference))
             {
                 return i;
             }
         }
 
-        return list.Count;
+        return null;
+    }
+
+    private string DescribeNoMatch(MediaStream stream)
+    {
+        if (string.IsNullOrWhiteSpace(stream.Language))
+        {
+            return "Track has no language tag and no preference is 'any'.";
+        }
+
+        var normalized = StreamLanguage(stream);
+        return normalized.Equals(stream.Language.Trim(), StringComparison.OrdinalIgnoreCase)
+            ? $"Language '{stream.Language}' matches no preference."
+            : $"Language '{stream.Language}' (read as '{normalized}') matches no preference.";
     }
 
     private sealed record SubtitleDecision(bool DisableTracks, MediaStream? Stream)
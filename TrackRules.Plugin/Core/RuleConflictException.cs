@@ -0,0 +1,21 @@
+using System;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// Thrown when a rule set is saved against a revision that is no longer current.
+/// </summary>
+public sealed class RuleConflictException : Exception
+{
+    public RuleConflictException(UserRuleSet current)
+        : base($"Rules for user {current?.UserId:N} were changed by someone else (now at revision {current?.Revision}).")
+    {
+        ArgumentNullException.ThrowIfNull(current);
+        Current = current;
+    }
+
+    /// <summary>
+    /// Gets the rule set as currently stored.
+    /// </summary>
+    public UserRuleSet Current { get; }
+}
@@ -0,0 +1,44 @@
+using System;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// Where a rule change came from.
+/// </summary>
+public enum RuleChangeSource
+{
+    Unknown = 0,
+    Api = 1,
+    Dashboard = 2,
+    Widget = 3,
+    Import = 4,
+    Copy = 5,
+    Restore = 6,
+    Maintenance = 7
+}
+
+/// <summary>
+/// Who made a rule change and through which surface.
+/// </summary>
+public sealed record RuleChangeInfo(RuleChangeSource Source, Guid? ActorUserId, string? ActorName)
+{
+    public static readonly RuleChangeInfo Unknown = new(RuleChangeSource.Unknown, null, null);
+}
+
+/// <summary>
+/// A stored snapshot of a user's rule set as of one revision.
+/// </summary>
+public sealed class RuleRevision
+{
+    public long Revision { get; set; }
+
+    public DateTime SavedAt { get; set; }
+
+    public Guid? ActorUserId { get; set; }
+
+    public string? ActorName { get; set; }
+
+    public RuleChangeSource Source { get; set; }
+
+    public UserRuleSet Rules { get; set; } = new();
+}
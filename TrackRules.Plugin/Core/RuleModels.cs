@@ -16,13 +16,52 @@ public static class RuleSchema
 }
 
 /// <summary>
-/// Scopes used when matching rules.
+/// Scopes used when matching rules. Values are persisted, so precedence is defined by
+/// <see cref="RuleScopes.Precedence"/> rather than by the numbers.
 /// </summary>
 public enum RuleScope
 {
     Global = 0,
     Library = 1,
-    Series = 2
+    Series = 2,
+    Season = 3,
+    Item = 4,
+    Collection = 5,
+    Tag = 6,
+    Genre = 7,
+    Studio = 8
+}
+
+/// <summary>
+/// Helpers describing how each scope targets items.
+/// </summary>
+public static class RuleScopes
+{
+    /// <summary>
+    /// Scopes from most to least specific. Metadata scopes sit between Series and Library: a rule for one
+    /// series beats "everything tagged X", which in turn beats the library the item lives in.
+    /// </summary>
+    public static readonly IReadOnlyList<RuleScope> Precedence =
+    [
+        RuleScope.Item,
+        RuleScope.Season,
+        RuleScope.Series,
+        RuleScope.Collection,
+        RuleScope.Tag,
+        RuleScope.Genre,
+        RuleScope.Studio,
+        RuleScope.Library,
+        RuleScope.Global
+    ];
+
+    /// <summary>
+    /// Returns true for scopes that target a tag, genre or studio name (<see cref="TrackRule.TargetValue"/>)
+    /// instead of an item id.
+    /// </summary>
+    public static bool IsMetadata(RuleScope scope)
+    {
+        return scope is RuleScope.Tag or RuleScope.Genre or RuleScope.Studio;
+    }
 }
 
 /// <summary>
@@ -37,6 +76,44 @@ public enum SubtitleMode
     OnlyIfAudioNotPreferred = 4
 }
 
+/// <summary>
+/// How a rule weighs text subtitles (SRT, ASS) against image-based ones (PGS, VobSub), which most clients
+/// can only show by burning them in.
+/// </summary>
+public enum SubtitleFormatPreference
+{
+    None = 0,
+
+    /// <summary>
+    /// Text tracks rank above image tracks of the same language, including an image track flagged as default.
+    /// </summary>
+    PreferText = 1,
+
+    /// <summary>
+    /// Image tracks are only picked when their language has no text track, even over the file's default flag.
+    /// </summary>
+    AvoidImage = 2
+}
+
+/// <summary>
+/// Whether a rule favours sidecar or downloaded subtitle files over subtitles muxed into the file, or the reverse.
+/// </summary>
+public enum SubtitleSourcePreference
+{
+    None = 0,
+    PreferExternal = 1,
+    PreferEmbedded = 2
+}
+
+/// <summary>
+/// What to do when a dontTranscode rule would force a transcode.
+/// </summary>
+public enum TranscodeFallback
+{
+    Skip = 0,
+    Compatible = 1
+}
+
 /// <summary>
 /// A single rule entry persisted per user.
 /// </summary>
@@ -46,16 +123,87 @@ public sealed class TrackRule
 
     public Guid? TargetId { get; set; }
 
+    /// <summary>
+    /// Gets or sets the tag, genre or studio name matched by metadata scopes. Compared case-insensitively.
+    /// </summary>
+    public string? TargetValue { get; set; }
+
     public List<string> Audio { get; set; } = new() { RuleKeywords.Any };
 
     public List<string> Subs { get; set; } = new() { RuleKeywords.None };
 
     public SubtitleMode SubsMode { get; set; } = SubtitleMode.Default;
 
+    /// <summary>
+    /// Gets or sets how text and image subtitles are weighed. See <see cref="SubtitleScoring"/>.
+    /// </summary>
+    public SubtitleFormatPreference SubsFormat { get; set; } = SubtitleFormatPreference.None;
+
+    /// <summary>
+    /// Gets or sets whether external or embedded subtitles are favoured.
+    /// </summary>
+    public SubtitleSourcePreference SubsSource { get; set; } = SubtitleSourcePreference.None;
+
     public bool DontTranscode { get; set; }
 
+    public TranscodeFallback TranscodeFallback { get; set; } = TranscodeFallback.Skip;
+
+    /// <summary>
+    /// Gets or sets the audio codecs in order of preference (e.g. aac, ac3). Unlisted codecs rank below listed ones;
+    /// null keeps the built-in ranking. See <see cref="AudioScoring"/>.
+    /// </summary>
+    public List<string>? AudioCodecs { get; set; }
+
+    /// <summary>
+    /// Gets or sets the most channels an audio track should have. Tracks above it only win when nothing in the
+    /// preferred language fits.
+    /// </summary>
+    public int? MaxChannels { get; set; }
+
+    /// <summary>
+    /// Gets or sets the channel count to aim for; the closest track wins instead of the one with the most channels.
+    /// </summary>
+    public int? PreferredChannels { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether lossless tracks (TrueHD, FLAC, DTS-HD MA, PCM…) rank above lossy ones.
+    /// </summary>
+    public bool PreferLossless { get; set; }
+
+    /// <summary>
+    /// Gets or sets title patterns that make an audio track win over others of the same language, e.g. "/full/i".
+    /// See <see cref="TitlePatterns"/> for the syntax.
+    /// </summary>
+    public List<string>? AudioTitleInclude { get; set; }
+
+    /// <summary>
+    /// Gets or sets title patterns of audio tracks that are never picked, e.g. "/commentary/i".
+    /// </summary>
+    public List<string>? AudioTitleExclude { get; set; }
+
+    /// <summary>
+    /// Gets or sets title patterns that make a subtitle track win over others of the same language.
+    /// </summary>
+    public List<string>? SubsTitleInclude { get; set; }
+
+    /// <summary>
+    /// Gets or sets title patterns of subtitle tracks that are never picked, e.g. "signs".
+    /// </summary>
+    public List<string>? SubsTitleExclude { get; set; }
+
     public bool Enabled { get; set; } = true;
 
+    /// <summary>
+    /// Gets or sets the target's name as of the last save, kept so a rule stays recognisable after its target is gone.
+    /// </summary>
+    public string? TargetName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the target's provider IDs (Tvdb, Tmdb, …) as of the last save, used to re-link the rule when
+    /// the item is removed and re-added under a new id.
+    /// </summary>
+    public Dictionary<string, string>? TargetProviderIds { get; set; }
+
     public bool AppliesTo(Guid? candidate)
     {
         if (Scope == RuleScope.Global)
@@ -70,6 +218,17 @@ public sealed class TrackRule
 
         return TargetId.Value.Equals(candidate.Value);
     }
+
+    public bool AppliesTo(IReadOnlyCollection<Guid> candidates)
+    {
+        return TargetId.HasValue && candidates.Contains(TargetId.Value);
+    }
+
+    public bool AppliesTo(IReadOnlyCollection<string> values)
+    {
+        return !string.IsNullOrWhiteSpace(TargetValue) &&
+            values.Any(value => string.Equals(value, TargetValue.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
 }
 
 /// <summary>
@@ -90,8 +249,18 @@ public sealed class UserRuleSet
 
     public Guid UserId { get; set; }
 
+    /// <summary>
+    /// Gets or sets the save counter used for optimistic concurrency. Bumped by the store on every write.
+    /// </summary>
+    public long Revision { get; set; }
+
     public List<TrackRule> Rules { get; set; } = new();
 
+    /// <summary>
+    /// Gets or sets a value indicating whether the server default rules apply when none of these rules match.
+    /// </summary>
+    public bool UseServerDefaults { get; set; } = true;
+
     public IEnumerable<TrackRule> EnabledRules => Rules.Where(rule => rule.Enabled);
 
     public static UserRuleSet Create(Guid userId)
@@ -100,7 +269,8 @@ public sealed class UserRuleSet
         {
             UserId = userId,
             Version = RuleSchema.CurrentVersion,
-            Rules = new List<TrackRule>()
+            Rules = new List<TrackRule>(),
+            UseServerDefaults = true
         };
     }
 }
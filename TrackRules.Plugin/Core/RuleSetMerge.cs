@@ -0,0 +1,140 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// How incoming rules are combined with a user's existing rules.
+/// </summary>
+public enum RuleMergeMode
+{
+    Merge = 0,
+    Replace = 1
+}
+
+/// <summary>
+/// A rule whose settings differ between two rule lists.
+/// </summary>
+public sealed record RuleChange(TrackRule Before, TrackRule After);
+
+/// <summary>
+/// Differences between two rule lists, keyed by scope and target.
+/// </summary>
+public sealed record RuleSetDiff(
+    IReadOnlyList<TrackRule> Added,
+    IReadOnlyList<RuleChange> Changed,
+    IReadOnlyList<TrackRule> Removed,
+    int Unchanged)
+{
+    public bool IsEmpty => Added.Count == 0 && Changed.Count == 0 && Removed.Count == 0;
+}
+
+/// <summary>
+/// Combines and compares rule lists. A user holds at most one rule per scope and target.
+/// </summary>
+public static class RuleSetMerge
+{
+    public static bool SameTarget(TrackRule left, TrackRule right)
+    {
+        ArgumentNullException.ThrowIfNull(left);
+        ArgumentNullException.ThrowIfNull(right);
+
+        return left.Scope == right.Scope &&
+            Nullable.Equals(left.TargetId, right.TargetId) &&
+            string.Equals(left.TargetValue?.Trim(), right.TargetValue?.Trim(), StringComparison.OrdinalIgnoreCase);
+    }
+
+    public static bool SameSettings(TrackRule left, TrackRule right)
+    {
+        ArgumentNullException.ThrowIfNull(left);
+        ArgumentNullException.ThrowIfNull(right);
+
+        return SameList(left.Audio, right.Audio) &&
+            SameList(left.Subs, right.Subs) &&
+            left.SubsMode == right.SubsMode &&
+            left.SubsFormat == right.SubsFormat &&
+            left.SubsSource == right.SubsSource &&
+            left.DontTranscode == right.DontTranscode &&
+            left.TranscodeFallback == right.TranscodeFallback &&
+            SameList(left.AudioCodecs, right.AudioCodecs) &&
+            left.MaxChannels == right.MaxChannels &&
+            left.PreferredChannels == right.PreferredChannels &&
+            left.PreferLossless == right.PreferLossless &&
+            SameList(left.AudioTitleInclude, right.AudioTitleInclude) &&
+            SameList(left.AudioTitleExclude, right.AudioTitleExclude) &&
+            SameList(left.SubsTitleInclude, right.SubsTitleInclude) &&
+            SameList(left.SubsTitleExclude, right.SubsTitleExclude) &&
+            left.Enabled == right.Enabled;
+    }
+
+    /// <summary>
+    /// Merge replaces existing rules in place and appends new targets; Replace keeps only the incoming rules.
+    /// </summary>
+    public static List<TrackRule> Merge(IEnumerable<TrackRule> existing, IEnumerable<TrackRule> incoming, RuleMergeMode mode)
+    {
+        ArgumentNullException.ThrowIfNull(existing);
+        ArgumentNullException.ThrowIfNull(incoming);
+
+        if (mode == RuleMergeMode.Replace)
+        {
+            return incoming.ToList();
+        }
+
+        var merged = existing.ToList();
+        foreach (var rule in incoming)
+        {
+            var index = merged.FindIndex(candidate => SameTarget(candidate, rule));
+            if (index >= 0)
+            {
+                merged[index] = rule;
+            }
+            else
+            {
+                merged.Add(rule);
+            }
+        }
+
+        return merged;
+    }
+
+    public static RuleSetDiff Diff(IReadOnlyList<TrackRule> before, IReadOnlyList<TrackRule> after)
+    {
+        ArgumentNullException.ThrowIfNull(before);
+        ArgumentNullException.ThrowIfNull(after);
+
+        var added = new List<TrackRule>();
+        var changed = new List<RuleChange>();
+        var unchanged = 0;
+
+        foreach (var rule in after)
+        {
+            var previous = before.FirstOrDefault(candidate => SameTarget(candidate, rule));
+            if (previous is null)
+            {
+                added.Add(rule);
+            }
+            else if (SameSettings(previous, rule))
+            {
+                unchanged++;
+            }
+            else
+            {
+                changed.Add(new RuleChange(previous, rule));
+            }
+        }
+
+        var removed = before
+            .Where(rule => !after.Any(candidate => SameTarget(candidate, rule)))
+            .ToList();
+
+        return new RuleSetDiff(added, changed, removed, unchanged);
+    }
+
+    private static bool SameList(IReadOnlyCollection<string>? left, IReadOnlyCollection<string>? right)
+    {
+        var first = left ?? Array.Empty<string>();
+        var second = right ?? Array.Empty<string>();
+        return first.SequenceEqual(second, StringComparer.OrdinalIgnoreCase);
+    }
+}
@@ -1,6 +1,8 @@
 using System;
 using System.Collections.Concurrent;
+using System.Collections.Generic;
 using System.IO;
+using System.Linq;
 using System.Text.Json;
 using System.Text.Json.Serialization;
 using System.Threading;
@@ -15,6 +17,40 @@ public interface IRuleStore
     Task<UserRuleSet> GetAsync(Guid userId, CancellationToken cancellationToken);
 
     Task SaveAsync(UserRuleSet rules, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Saves only if the stored revision still equals <paramref name="expectedRevision"/>; throws
+    /// <see cref="RuleConflictException"/> otherwise. A null revision saves unconditionally.
+    /// </summary>
+    Task SaveAsync(UserRuleSet rules, long? expectedRevision, RuleChangeInfo change, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Loads, updates and saves one user's rules under the store lock, so edits to different rules never
+    /// overwrite each other. Nothing is written when <paramref name="update"/> returns false.
+    /// </summary>
+    Task<UserRuleSet> UpdateAsync(
+        Guid userId,
+        long? expectedRevision,
+        Func<UserRuleSet, bool> update,
+        RuleChangeInfo change,
+        CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Loads, updates and saves several users' rules as one unit: either every file is written or none is.
+    /// Users for whom <paramref name="update"/> returns false keep their file, revision and history untouched.
+    /// </summary>
+    Task<IReadOnlyList<UserRuleSet>> UpdateManyAsync(
+        IEnumerable<Guid> userIds,
+        Func<UserRuleSet, bool> update,
+        RuleChangeInfo change,
+        CancellationToken cancellationToken);
+
+    /// <summary>
+    /// Lists the retained revisions of a user's rules, newest first.
+    /// </summary>
+    Task<IReadOnlyList<RuleRevision>> GetHistoryAsync(Guid userId, CancellationToken cancellationToken);
+
+    Task<RuleRevision?> GetRevisionAsync(Guid userId, long revision, CancellationToken cancellationToken);
 }
 
 /// <summary>
@@ -22,8 +58,12 @@ public interface IRuleStore
 /// </summary>
 public sealed class RuleStore : IRuleStore
 {
+    // Older snapshots are pruned once a user has more than this many.
+    private const int MaxHistoryEntries = 50;
+
     private readonly ILogger<RuleStore> _logger;
     private readonly string _userStorePath;
+    private readonly string _historyPath;
     private readonly ConcurrentDictionary<Guid, SemaphoreSlim> _locks = new();
     private readonly JsonSerializerOptions _jsonOptions = new()
     {
@@ -37,6 +77,7 @@ public sealed class RuleStore : IRuleStore
         ArgumentNullException.ThrowIfNull(applicationPaths);
         _logger = logger;
         _userStorePath = Path.Combine(applicationPaths.DataPath, "TrackRules");
+        _historyPath = Path.Combine(_userStorePath, "history");
         Directory.CreateDirectory(_userStorePath);
     }
 
@@ -45,6 +86,328 @@ public sealed class RuleStore : IRuleStore
         var semaphore = GetLock(userId);
         await semaphore.WaitAsync(cancellationToken).ConfigureAwait(false);
 
+        try
+        {
+            return await ReadAsync(userId, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
+    public Task SaveAsync(UserRuleSet rules, CancellationToken cancellationToken)
+    {
+        return SaveAsync(rules, null, RuleChangeInfo.Unknown, cancellationToken);
+    }
+
+    public async Task SaveAsync(UserRuleSet rules, long? expectedRevision, RuleChangeInfo change, CancellationToken cancellationToken)
+    {
+        ArgumentNullException.ThrowIfNull(rules);
+        ArgumentNullException.ThrowIfNull(change);
+
+        var semaphore = GetLock(rules.UserId);
+        await semaphore.WaitAsync(cancellationToken).ConfigureAwait(false);
+
+        try
+        {
+            var stored = await ReadAsync(rules.UserId, cancellationToken).ConfigureAwait(false);
+            if (expectedRevision.HasValue && expectedRevision.Value != stored.Revision)
+            {
+                throw new RuleConflictException(stored);
+            }
+
+            await WriteAsync(stored, rules, change, cancellationToken).ConfigureAwait(false);
+        }
+        catch (Exception ex) when (ex is not RuleConflictException)
+        {
+            _logger.LogError(ex, "Failed to persist rules for user {UserId}", rules.UserId);
+            throw;
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
+    public async Task<UserRuleSet> UpdateAsync(
+        Guid userId,
+        long? expectedRevision,
+        Func<UserRuleSet, bool> update,
+        RuleChangeInfo change,
+        CancellationToken cancellationToken)
+    {
+        ArgumentNullException.ThrowIfNull(update);
+        ArgumentNullException.ThrowIfNull(change);
+
+        var semaphore = GetLock(userId);
+        await semaphore.WaitAsync(cancellationToken).ConfigureAwait(false);
+
+        try
+        {
+            var stored = await ReadAsync(userId, cancellationToken).ConfigureAwait(false);
+            if (expectedRevision.HasValue && expectedRevision.Value != stored.Revision)
+            {
+                throw new RuleConflictException(stored);
+            }
+
+            var rules = Clone(stored);
+            rules.UserId = userId;
+            if (!update(rules))
+            {
+                return stored;
+            }
+
+            await WriteAsync(stored, rules, change, cancellationToken).ConfigureAwait(false);
+            return rules;
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException or JsonException)
+        {
+            _logger.LogError(ex, "Failed to persist rules for user {UserId}", userId);
+            throw;
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
+    public async Task<IReadOnlyList<UserRuleSet>> UpdateManyAsync(
+        IEnumerable<Guid> userIds,
+        Func<UserRuleSet, bool> update,
+        RuleChangeInfo change,
+        CancellationToken cancellationToken)
+    {
+        ArgumentNullException.ThrowIfNull(userIds);
+        ArgumentNullException.ThrowIfNull(update);
+        ArgumentNullException.ThrowIfNull(change);
+
+        // A fixed lock order keeps two overlapping bulk updates from deadlocking each other.
+        var ordered = userIds.Distinct().OrderBy(id => id).ToList();
+        var held = new List<SemaphoreSlim>();
+
+        try
+        {
+            foreach (var userId in ordered)
+            {
+                var semaphore = GetLock(userId);
+                await semaphore.WaitAsync(cancellationToken).ConfigureAwait(false);
+                held.Add(semaphore);
+            }
+
+            var results = new List<UserRuleSet>();
+            var ruleSets = new List<UserRuleSet>();
+            var previous = new List<UserRuleSet>();
+            foreach (var userId in ordered)
+            {
+                var stored = await ReadAsync(userId, cancellationToken).ConfigureAwait(false);
+                var rules = Clone(stored);
+                rules.UserId = userId;
+                if (!update(rules))
+                {
+                    results.Add(stored);
+                    continue;
+                }
+
+                rules.Version = RuleSchema.CurrentVersion;
+                rules.Revision = stored.Revision + 1;
+                previous.Add(stored);
+                ruleSets.Add(rules);
+                results.Add(rules);
+            }
+
+            if (ruleSets.Count == 0)
+            {
+                return results;
+            }
+
+            await WriteAllAsync(ruleSets, cancellationToken).ConfigureAwait(false);
+
+            for (var i = 0; i < ruleSets.Count; i++)
+            {
+                await RecordHistoryAsync(previous[i], ruleSets[i], change, cancellationToken).ConfigureAwait(false);
+            }
+
+            return results;
+        }
+        finally
+        {
+            foreach (var semaphore in held)
+            {
+                semaphore.Release();
+            }
+        }
+    }
+
+    public async Task<IReadOnlyList<RuleRevision>> GetHistoryAsync(Guid userId, CancellationToken cancellationToken)
+    {
+        var semaphore = GetLock(userId);
+        await semaphore.WaitAsync(cancellationToken).ConfigureAwait(false);
+
+        try
+        {
+            var revisions = new List<RuleRevision>();
+            foreach (var revision in ListHistoryRevisions(userId).OrderByDescending(value => value))
+            {
+                var entry = await ReadRevisionAsync(userId, revision, cancellationToken).ConfigureAwait(false);
+                if (entry is not null)
+                {
+                    revisions.Add(entry);
+                }
+            }
+
+            return revisions;
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
+    public async Task<RuleRevision?> GetRevisionAsync(Guid userId, long revision, CancellationToken cancellationToken)
+    {
+        var semaphore = GetLock(userId);
+        await semaphore.WaitAsync(cancellationToken).ConfigureAwait(false);
+
+        try
+        {
+            return await ReadRevisionAsync(userId, revision, cancellationToken).ConfigureAwait(false);
+        }
+        finally
+        {
+            semaphore.Release();
+        }
+    }
+
+    // Callers hold the user's lock and have already read the stored rules.
+    private async Task WriteAsync(UserRuleSet stored, UserRuleSet rules, RuleChangeInfo change, CancellationToken cancellationToken)
+    {
+        rules.Version = RuleSchema.CurrentVersion;
+        rules.Revision = stored.Revision + 1;
+
+        await using (var stream = File.Create(GetUserFile(rules.UserId)))
+        {
+            await JsonSerializer.SerializeAsync(stream, rules, _jsonOptions, cancellationToken).ConfigureAwait(false);
+            await stream.FlushAsync(cancellationToken).ConfigureAwait(false);
+        }
+
+        await RecordHistoryAsync(stored, rules, change, cancellationToken).ConfigureAwait(false);
+    }
+
+    private async Task RecordHistoryAsync(
+        UserRuleSet previous,
+        UserRuleSet saved,
+        RuleChangeInfo change,
+        CancellationToken cancellationToken)
+    {
+        // History is a safety net; failing to write it must never fail the save itself.
+        try
+        {
+            var directory = GetHistoryDirectory(saved.UserId);
+            Directory.CreateDirectory(directory);
+
+            var existing = ListHistoryRevisions(saved.UserId).ToList();
+            if (existing.Count == 0 && previous.Revision > 0)
+            {
+                // Rules saved before history existed: keep them as the baseline so the first change can be undone.
+                await WriteRevisionAsync(
+                    saved.UserId,
+                    new RuleRevision
+                    {
+                        Revision = previous.Revision,
+                        SavedAt = DateTime.UtcNow,
+                        Source = RuleChangeSource.Unknown,
+                        Rules = previous
+                    },
+                    cancellationToken).ConfigureAwait(false);
+                existing.Add(previous.Revision);
+            }
+
+            await WriteRevisionAsync(
+                saved.UserId,
+                new RuleRevision
+                {
+                    Revision = saved.Revision,
+                    SavedAt = DateTime.UtcNow,
+                    ActorUserId = change.ActorUserId,
+                    ActorName = change.ActorName,
+                    Source = change.Source,
+                    Rules = saved
+                },
+                cancellationToken).ConfigureAwait(false);
+            existing.Add(saved.Revision);
+
+            foreach (var stale in existing.Distinct().OrderByDescending(value => value).Skip(MaxHistoryEntries))
+            {
+                File.Delete(GetRevisionFile(saved.UserId, stale));
+            }
+        }
+        catch (Exception ex) when (ex is IOException or UnauthorizedAccessException or JsonException)
+        {
+            _logger.LogWarning(ex, "Failed to record rule history for user {UserId}", saved.UserId);
+        }
+    }
+
+    private async Task WriteRevisionAsync(Guid userId, RuleRevision entry, CancellationToken cancellationToken)
+    {
+        await using var stream = File.Create(GetRevisionFile(userId, entry.Revision));
+        await JsonSerializer.SerializeAsync(stream, entry, _jsonOptions, cancellationToken).ConfigureAwait(false);
+    }
+
+    private async Task<RuleRevision?> ReadRevisionAsync(Guid userId, long revision, CancellationToken cancellationToken)
+    {
+        var path = GetRevisionFile(userId, revision);
+        if (!File.Exists(path))
+        {
+            return null;
+        }
+
+        try
+        {
+            await using var stream = File.OpenRead(path);
+            return await JsonSerializer.DeserializeAsync<RuleRevision>(stream, _jsonOptions, cancellationToken).ConfigureAwait(false);
+        }
+        catch (Exception ex) when (ex is IOException or JsonException)
+        {
+            _logger.LogWarning(ex, "Skipping unreadable rule history entry {Path}", path);
+            return null;
+        }
+    }
+
+    private IEnumerable<long> ListHistoryRevisions(Guid userId)
+    {
+        var directory = GetHistoryDirectory(userId);
+        if (!Directory.Exists(directory))
+        {
+            return Array.Empty<long>();
+        }
+
+        return Directory
+            .EnumerateFiles(directory, "*.json")
+            .Select(path => long.TryParse(Path.GetFileNameWithoutExtension(path), out var revision) ? revision : -1)
+            .Where(revision => revision >= 0)
+            .ToList();
+    }
+
+    private string GetHistoryDirectory(Guid userId)
+    {
+        return Path.Combine(_historyPath, userId.ToString("N"));
+    }
+
+    private string GetRevisionFile(Guid userId, long revision)
+    {
+        return Path.Combine(GetHistoryDirectory(userId), $"{revision}.json");
+    }
+
+    // The copy an update mutates; the stored set stays untouched for the history entry.
+    private UserRuleSet Clone(UserRuleSet rules)
+    {
+        var json = JsonSerializer.SerializeToUtf8Bytes(rules, _jsonOptions);
+        return JsonSerializer.Deserialize<UserRuleSet>(json, _jsonOptions)!;
+    }
+
+    private async Task<UserRuleSet> ReadAsync(Guid userId, CancellationToken cancellationToken)
+    {
         try
         {
             var path = GetUserFile(userId);
@@ -75,36 +438,83 @@ public sealed class RuleStore : IRuleStore
             _logger.LogError(ex, "Failed to load rules for user {UserId}", userId);
             return UserRuleSet.Create(userId);
         }
-        finally
-        {
-            semaphore.Release();
-        }
     }
 
-    public async Task SaveAsync(UserRuleSet rules, CancellationToken cancellationToken)
+    private async Task WriteAllAsync(IReadOnlyList<UserRuleSet> ruleSets, CancellationToken cancellationToken)
     {
-        ArgumentNullException.ThrowIfNull(rules);
+        // Stage every document next to its target first, so a serialization failure leaves nothing half-written.
+        var staged = new List<(string Temp, string Target)>();
+        try
+        {
+            foreach (var rules in ruleSets)
+            {
+                var target = GetUserFile(rules.UserId);
+                var temp = target + ".tmp";
+                staged.Add((temp, target));
 
-        var semaphore = GetLock(rules.UserId);
-        await semaphore.WaitAsync(cancellationToken).ConfigureAwait(false);
+                await using var stream = File.Create(temp);
+                await JsonSerializer.SerializeAsync(stream, rules, _jsonOptions, cancellationToken).ConfigureAwait(false);
+                await stream.FlushAsync(cancellationToken).ConfigureAwait(false);
+            }
+        }
+        catch
+        {
+            DeleteQuietly(staged.Select(entry => entry.Temp));
+            throw;
+        }
 
+        var committed = new List<(string Target, string? Backup)>();
         try
         {
-            var path = GetUserFile(rules.UserId);
-            rules.Version = RuleSchema.CurrentVersion;
-
-            await using var stream = File.Create(path);
-            await JsonSerializer.SerializeAsync(stream, rules, _jsonOptions, cancellationToken).ConfigureAwait(false);
-            await stream.FlushAsync(cancellationToken).ConfigureAwait(false);
+            foreach (var (temp, target) in staged)
+            {
+                if (File.Exists(target))
+                {
+                    var backup = target + ".bak";
+                    File.Replace(temp, target, backup);
+                    committed.Add((target, backup));
+                }
+                else
+                {
+                    File.Move(temp, target);
+                    committed.Add((target, null));
+                }
+            }
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Failed to persist rules for user {UserId}", rules.UserId);
+            _logger.LogError(ex, "Bulk rule update failed; restoring {Count} user file(s).", committed.Count);
+            foreach (var (target, backup) in committed)
+            {
+                if (backup is null)
+                {
+                    DeleteQuietly(new[] { target });
+                }
+                else
+                {
+                    File.Move(backup, target, true);
+                }
+            }
+
+            DeleteQuietly(staged.Select(entry => entry.Temp));
             throw;
         }
-        finally
+
+        DeleteQuietly(committed.Where(entry => entry.Backup is not null).Select(entry => entry.Backup!));
+    }
+
+    private void DeleteQuietly(IEnumerable<string> paths)
+    {
+        foreach (var path in paths)
         {
-            semaphore.Release();
+            try
+            {
+                File.Delete(path);
+            }
+            catch (IOException ex)
+            {
+                _logger.LogWarning(ex, "Unable to remove temporary rule file {Path}", path);
+            }
         }
     }
 
@@ -0,0 +1,30 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+public interface IRuleTemplateProvider
+{
+    /// <summary>
+    /// Gets the server-wide default rules, ranked below every rule a user owns.
+    /// </summary>
+    IReadOnlyList<TrackRule> GetDefaultRules();
+}
+
+/// <summary>
+/// Reads the default rule template from the plugin configuration.
+/// </summary>
+public sealed class PluginRuleTemplateProvider : IRuleTemplateProvider
+{
+    public IReadOnlyList<TrackRule> GetDefaultRules()
+    {
+        var entries = Plugin.Instance?.Configuration.DefaultRules;
+        if (entries is null || entries.Length == 0)
+        {
+            return Array.Empty<TrackRule>();
+        }
+
+        return entries.Select(entry => entry.ToRule()).ToList();
+    }
+}
@@ -0,0 +1,279 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.Movies;
+using MediaBrowser.Controller.Entities.TV;
+using MediaBrowser.Controller.Library;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+public enum RuleIssueSeverity
+{
+    Warning = 0,
+    Error = 1
+}
+
+/// <summary>
+/// A problem with one rule. Errors block saving; warnings are saved but reported back.
+/// </summary>
+/// <param name="Index">Position of the rule in the submitted list.</param>
+/// <param name="Field">JSON name of the offending rule field.</param>
+public sealed record RuleValidationIssue(int Index, string Field, RuleIssueSeverity Severity, string Message)
+{
+    public bool IsError => Severity == RuleIssueSeverity.Error;
+}
+
+public interface IRuleValidator
+{
+    /// <summary>
+    /// Validates a whole rule list, including duplicate scope/target pairs.
+    /// </summary>
+    IReadOnlyList<RuleValidationIssue> Validate(IReadOnlyList<TrackRule> rules);
+
+    IReadOnlyList<RuleValidationIssue> ValidateRule(TrackRule rule, int index);
+}
+
+/// <summary>
+/// Catches rules the resolver would otherwise silently ignore: missing or mistyped targets,
+/// duplicates, undefined enum values and language codes nobody's streams will carry.
+/// </summary>
+public sealed class RuleValidator : IRuleValidator
+{
+    private readonly ILibraryManager _libraryManager;
+    private readonly ILanguageNormalizer _languageNormalizer;
+
+    public RuleValidator(ILibraryManager libraryManager, ILanguageNormalizer languageNormalizer)
+    {
+        _libraryManager = libraryManager;
+        _languageNormalizer = languageNormalizer;
+    }
+
+    public IReadOnlyList<RuleValidationIssue> Validate(IReadOnlyList<TrackRule> rules)
+    {
+        ArgumentNullException.ThrowIfNull(rules);
+
+        var issues = new List<RuleValidationIssue>();
+        for (var i = 0; i < rules.Count; i++)
+        {
+            var rule = rules[i];
+            if (rule is null)
+            {
+                issues.Add(new RuleValidationIssue(i, "scope", RuleIssueSeverity.Error, "Rule is empty."));
+                continue;
+            }
+
+            issues.AddRange(ValidateRule(rule, i));
+
+            for (var earlier = 0; earlier < i; earlier++)
+            {
+                if (rules[earlier] is not null && RuleSetMerge.SameTarget(rules[earlier], rule))
+                {
+                    issues.Add(new RuleValidationIssue(
+                        i,
+                        "targetId",
+                        RuleIssueSeverity.Error,
+                        $"Rule {earlier + 1} already targets the same {DescribeScope(rule.Scope)}; keep only one of them."));
+                    break;
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    public IReadOnlyList<RuleValidationIssue> ValidateRule(TrackRule rule, int index)
+    {
+        ArgumentNullException.ThrowIfNull(rule);
+
+        var issues = new List<RuleValidationIssue>();
+        if (!Enum.IsDefined(rule.Scope))
+        {
+            issues.Add(new RuleValidationIssue(index, "scope", RuleIssueSeverity.Error, $"Unknown scope {(int)rule.Scope}."));
+        }
+        else
+        {
+            var targetIssue = ValidateTarget(rule, index);
+            if (targetIssue is not null)
+            {
+                issues.Add(targetIssue);
+            }
+        }
+
+        if (!Enum.IsDefined(rule.SubsMode))
+        {
+            issues.Add(new RuleValidationIssue(index, "subsMode", RuleIssueSeverity.Error, $"Unknown subtitle mode {(int)rule.SubsMode}."));
+        }
+
+        if (!Enum.IsDefined(rule.SubsFormat))
+        {
+            issues.Add(new RuleValidationIssue(index, "subsFormat", RuleIssueSeverity.Error, $"Unknown subtitle format preference {(int)rule.SubsFormat}."));
+        }
+
+        if (!Enum.IsDefined(rule.SubsSource))
+        {
+            issues.Add(new RuleValidationIssue(index, "subsSource", RuleIssueSeverity.Error, $"Unknown subtitle source preference {(int)rule.SubsSource}."));
+        }
+
+        if (!Enum.IsDefined(rule.TranscodeFallback))
+        {
+            issues.Add(new RuleValidationIssue(
+                index,
+                "transcodeFallback",
+                RuleIssueSeverity.Error,
+                $"Unknown transcode fallback {(int)rule.TranscodeFallback}."));
+        }
+
+        AddLanguageIssues(issues, index, "audio", rule.Audio);
+        AddLanguageIssues(issues, index, "subs", rule.Subs);
+        AddAudioFormatIssues(issues, index, rule);
+        AddTitlePatternIssues(issues, index, "audioTitleInclude", rule.AudioTitleInclude);
+        AddTitlePatternIssues(issues, index, "audioTitleExclude", rule.AudioTitleExclude);
+        AddTitlePatternIssues(issues, index, "subsTitleInclude", rule.SubsTitleInclude);
+        AddTitlePatternIssues(issues, index, "subsTitleExclude", rule.SubsTitleExclude);
+        return issues;
+    }
+
+    private static void AddTitlePatternIssues(List<RuleValidationIssue> issues, int index, string field, IReadOnlyList<string>? patterns)
+    {
+        if (patterns is { Count: > TitlePatterns.MaxPatterns })
+        {
+            issues.Add(new RuleValidationIssue(index, field, RuleIssueSeverity.Error, $"Use at most {TitlePatterns.MaxPatterns} title patterns."));
+            return;
+        }
+
+        foreach (var problem in (patterns ?? Array.Empty<string>()).Select(TitlePatterns.Validate).OfType<string>())
+        {
+            issues.Add(new RuleValidationIssue(index, field, RuleIssueSeverity.Error, problem));
+        }
+    }
+
+    private static void AddAudioFormatIssues(List<RuleValidationIssue> issues, int index, TrackRule rule)
+    {
+        if (rule.AudioCodecs is { Count: > AudioScoring.MaxCodecPreferences })
+        {
+            issues.Add(new RuleValidationIssue(
+                index,
+                "audioCodecs",
+                RuleIssueSeverity.Error,
+                $"Rank at most {AudioScoring.MaxCodecPreferences} codecs."));
+        }
+        else if (rule.AudioCodecs is { Count: > 0 })
+        {
+            var unknown = rule.AudioCodecs.Where(codec => !AudioScoring.KnownCodecs.Contains(codec)).ToList();
+            if (unknown.Count > 0)
+            {
+                issues.Add(new RuleValidationIssue(
+                    index,
+                    "audioCodecs",
+                    RuleIssueSeverity.Warning,
+                    $"Unrecognised codec(s): {string.Join(", ", unknown)}. Known codecs are {string.Join(", ", AudioScoring.KnownCodecs.Order())}."));
+            }
+        }
+
+        if (rule.MaxChannels is < 1 or > AudioScoring.MaxChannelCount)
+        {
+            issues.Add(new RuleValidationIssue(
+                index,
+                "maxChannels",
+                RuleIssueSeverity.Error,
+                $"Maximum channels must be between 1 and {AudioScoring.MaxChannelCount}."));
+        }
+
+        if (rule.PreferredChannels is < 1 or > AudioScoring.MaxChannelCount)
+        {
+            issues.Add(new RuleValidationIssue(
+                index,
+                "preferredChannels",
+                RuleIssueSeverity.Error,
+                $"Preferred channels must be between 1 and {AudioScoring.MaxChannelCount}."));
+        }
+        else if (rule.PreferredChannels > rule.MaxChannels)
+        {
+            issues.Add(new RuleValidationIssue(
+                index,
+                "preferredChannels",
+                RuleIssueSeverity.Error,
+                $"Preferred channels ({rule.PreferredChannels}) cannot exceed the maximum ({rule.MaxChannels})."));
+        }
+    }
+
+    private void AddLanguageIssues(List<RuleValidationIssue> issues, int index, string field, IReadOnlyList<string>? values)
+    {
+        var unknown = (values ?? Array.Empty<string>())
+            .Where(value => !_languageNormalizer.IsKnown(value))
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        if (unknown.Count > 0)
+        {
+            issues.Add(new RuleValidationIssue(
+                index,
+                field,
+                RuleIssueSeverity.Warning,
+                $"Unrecognised language code(s): {string.Join(", ", unknown)}. Tracks are only matched when their language tag is exactly this code."));
+        }
+    }
+
+    private RuleValidationIssue? ValidateTarget(TrackRule rule, int index)
+    {
+        if (rule.Scope == RuleScope.Global)
+        {
+            return rule.TargetId.HasValue || !string.IsNullOrWhiteSpace(rule.TargetValue)
+                ? new RuleValidationIssue(index, "targetId", RuleIssueSeverity.Error, "Global rules apply everywhere and take no target.")
+                : null;
+        }
+
+        if (RuleScopes.IsMetadata(rule.Scope))
+        {
+            if (rule.TargetId.HasValue)
+            {
+                return new RuleValidationIssue(index, "targetId", RuleIssueSeverity.Error, $"{rule.Scope} rules match by name and take no target id.");
+            }
+
+            return string.IsNullOrWhiteSpace(rule.TargetValue)
+                ? new RuleValidationIssue(index, "targetValue", RuleIssueSeverity.Error, $"Enter the {DescribeScope(rule.Scope)} this rule applies to.")
+                : null;
+        }
+
+        if (!string.IsNullOrWhiteSpace(rule.TargetValue))
+        {
+            return new RuleValidationIssue(index, "targetValue", RuleIssueSeverity.Error, "Only tag, genre and studio rules match by name.");
+        }
+
+        if (!rule.TargetId.HasValue || rule.TargetId.Value == Guid.Empty)
+        {
+            return new RuleValidationIssue(index, "targetId", RuleIssueSeverity.Error, $"Pick the {DescribeScope(rule.Scope)} this rule applies to.");
+        }
+
+        var item = _libraryManager.GetItemById(rule.TargetId.Value);
+        var matches = rule.Scope switch
+        {
+            RuleScope.Library => item is CollectionFolder,
+            RuleScope.Series => item is Series,
+            RuleScope.Season => item is Season,
+            RuleScope.Collection => item is BoxSet,
+            _ => item is not null
+        };
+
+        if (matches)
+        {
+            return null;
+        }
+
+        // A missing target is usually a library mid-rescan or a removed item; keep the rule rather than
+        // block every save of the rule set, and let the user decide.
+        return item is null
+            ? new RuleValidationIssue(
+                index,
+                "targetId",
+                RuleIssueSeverity.Warning,
+                $"The {DescribeScope(rule.Scope)} {rule.TargetId.Value:N} does not exist on this server; the rule is ignored until it does.")
+            : new RuleValidationIssue(index, "targetId", RuleIssueSeverity.Error, $"{item.Name} is not a {DescribeScope(rule.Scope)}.");
+    }
+
+    private static string DescribeScope(RuleScope scope)
+    {
+        return scope == RuleScope.Item ? "item" : scope.ToString().ToLowerInvariant();
+    }
+}
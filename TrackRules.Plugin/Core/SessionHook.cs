@@ -4,6 +4,7 @@ using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
 using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.TV;
 using MediaBrowser.Controller.Library;
 using MediaBrowser.Controller.Session;
 using MediaBrowser.Model.Entities;
@@ -24,6 +25,7 @@ public sealed class SessionHook : IHostedService, IDisposable
     private readonly IRuleStore _ruleStore;
     private readonly ITrackRuleResolver _resolver;
     private readonly ITranscodeGuard _transcodeGuard;
+    private readonly IItemMetadataReader _metadataReader;
     private bool _disposed;
 
     public SessionHook(
@@ -32,7 +34,8 @@ public sealed class SessionHook : IHostedService, IDisposable
         ILibraryManager libraryManager,
         IRuleStore ruleStore,
         ITrackRuleResolver resolver,
-        ITranscodeGuard transcodeGuard)
+        ITranscodeGuard transcodeGuard,
+        IItemMetadataReader metadataReader)
     {
         _logger = logger;
         _sessionManager = sessionManager;
@@ -40,6 +43,7 @@ public sealed class SessionHook : IHostedService, IDisposable
         _ruleStore = ruleStore;
         _resolver = resolver;
         _transcodeGuard = transcodeGuard;
+        _metadataReader = metadataReader;
     }
 
     public Task StartAsync(CancellationToken cancellationToken)
@@ -90,24 +94,28 @@ public sealed class SessionHook : IHostedService, IDisposable
 
             var userId = session.UserId;
             var ruleSet = await _ruleStore.GetAsync(userId, CancellationToken.None).ConfigureAwait(false);
-            if (ruleSet.Rules.Count == 0)
+            if (ruleSet.Rules.Count == 0 && !ruleSet.UseServerDefaults)
             {
-                _logger.LogDebug("User {UserId} has no Track Rules.", userId);
+                _logger.LogDebug("User {UserId} has no Track Rules and opted out of the server defaults.", userId);
                 return;
             }
 
             var seriesId = eventArgs.MediaInfo?.SeriesId;
+            var seasonId = ResolveSeasonId(eventArgs);
             var libraryId = ResolveLibraryId(eventArgs.Item);
 
             var streamSet = Array.AsReadOnly(mediaStreams);
 
             var context = new ResolutionContext(
                 userId,
+                eventArgs.Item?.Id,
                 seriesId,
+                seasonId,
                 libraryId,
                 streamSet,
                 session.PlayState?.AudioStreamIndex,
-                session.PlayState?.SubtitleStreamIndex);
+                session.PlayState?.SubtitleStreamIndex,
+                _metadataReader.Read(eventArgs.Item));
 
             var resolution = _resolver.Resolve(ruleSet, context);
             if (!resolution.HasChanges)
@@ -119,10 +127,22 @@ public sealed class SessionHook : IHostedService, IDisposable
             {
                 var guardContext = new TranscodeEvaluationContext(
                     session,
+                    eventArgs.Item,
+                    eventArgs.MediaSourceId,
                     resolution.AudioStreamIndex,
                     resolution.SubtitleStreamIndex);
 
                 var shouldSkip = await _transcodeGuard.ShouldSkipAsync(guardContext, CancellationToken.None).ConfigureAwait(false);
+                if (shouldSkip && resolution.AppliedRule.TranscodeFallback == TranscodeFallback.Compatible)
+                {
+                    var wouldTranscode = _transcodeGuard.CreateProbe(guardContext);
+                    resolution = _resolver.ResolveCompatible(
+                        ruleSet,
+                        context,
+                        (audio, subtitle) => !wouldTranscode(audio, subtitle));
+                    shouldSkip = !resolution.HasChanges;
+                }
+
                 if (shouldSkip)
                 {
                     _logger.LogInformation(
@@ -149,8 +169,9 @@ public sealed class SessionHook : IHostedService, IDisposable
             }
 
             _logger.LogInformation(
-                "Applied Track Rules ({Scope}) to session {SessionId}: audio={Audio}, subs={Subs}",
+                "Applied Track Rules ({Scope}{Fallback}) to session {SessionId}: audio={Audio}, subs={Subs}",
                 resolution.Scope,
+                resolution.CompatibleFallback ? ", compatible fallback" : string.Empty,
                 session.Id,
                 resolution.AudioStreamIndex?.ToString(CultureInfo.InvariantCulture) ?? "-",
                 resolution.SubtitleStreamIndex?.ToString(CultureInfo.InvariantCulture) ?? "-");
@@ -161,6 +182,17 @@ public sealed class SessionHook : IHostedService, IDisposable
         }
     }
 
+    private static Guid? ResolveSeasonId(PlaybackProgressEventArgs eventArgs)
+    {
+        if (eventArgs.Item is Episode episode)
+        {
+            var seasonId = episode.FindSeasonId();
+            return seasonId == Guid.Empty ? null : seasonId;
+        }
+
+        return eventArgs.MediaInfo?.SeasonId;
+    }
+
     private Guid? ResolveLibraryId(BaseItem? item)
     {
         if (item is null)
@@ -0,0 +1,103 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using MediaBrowser.Model.Entities;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// Ranks subtitle streams that satisfy the same language preference. Without format or source preferences only the
+/// default and forced flags count, as they always have.
+/// </summary>
+public static class SubtitleScoring
+{
+    // format > source > default flag > forced flag. Avoided image tracks sink below everything else.
+    private const int AvoidedImagePenalty = -1_000;
+    private const int TextBonus = 100;
+    private const int SourceBonus = 50;
+    private const int DefaultBonus = 10;
+    private const int ForcedBonus = 5;
+
+    public static int Score(MediaStream stream, TrackRule rule)
+    {
+        return GetParts(stream, rule).Sum(part => part.Points);
+    }
+
+    /// <summary>
+    /// Score from the rule's format and source preferences alone, for orderings where the mode already decided
+    /// on the default or forced flag.
+    /// </summary>
+    public static int PreferenceScore(MediaStream stream, TrackRule rule)
+    {
+        return GetParts(stream, rule).Where(part => part.FromPreference).Sum(part => part.Points);
+    }
+
+    /// <summary>
+    /// Explains <see cref="Score"/> part by part, e.g. "text +100, external +50, default +10".
+    /// </summary>
+    public static string Describe(MediaStream stream, TrackRule rule)
+    {
+        var parts = GetParts(stream, rule);
+        return parts.Count == 0
+            ? "no bonus"
+            : string.Join(", ", parts.Select(part => string.Format(CultureInfo.InvariantCulture, "{0} {1:+0;-0;+0}", part.Label, part.Points)));
+    }
+
+    /// <summary>
+    /// Whether the rule only wants this track when its language has no text track.
+    /// </summary>
+    public static bool IsAvoided(MediaStream stream, TrackRule rule)
+    {
+        ArgumentNullException.ThrowIfNull(stream);
+        ArgumentNullException.ThrowIfNull(rule);
+
+        return rule.SubsFormat == SubtitleFormatPreference.AvoidImage && !stream.IsTextSubtitleStream;
+    }
+
+    /// <summary>
+    /// Whether a text track of the same language beats this one under the rule's format preference, even when this
+    /// one carries the file's default flag.
+    /// </summary>
+    public static bool YieldsToText(MediaStream stream, TrackRule rule)
+    {
+        ArgumentNullException.ThrowIfNull(stream);
+        ArgumentNullException.ThrowIfNull(rule);
+
+        return rule.SubsFormat != SubtitleFormatPreference.None && !stream.IsTextSubtitleStream;
+    }
+
+    private static List<(string Label, int Points, bool FromPreference)> GetParts(MediaStream stream, TrackRule rule)
+    {
+        ArgumentNullException.ThrowIfNull(stream);
+        ArgumentNullException.ThrowIfNull(rule);
+
+        var parts = new List<(string Label, int Points, bool FromPreference)>();
+        if (IsAvoided(stream, rule))
+        {
+            parts.Add(("image", AvoidedImagePenalty, true));
+        }
+        else if (rule.SubsFormat != SubtitleFormatPreference.None && stream.IsTextSubtitleStream)
+        {
+            parts.Add(("text", TextBonus, true));
+        }
+
+        if ((rule.SubsSource == SubtitleSourcePreference.PreferExternal && stream.IsExternal) ||
+            (rule.SubsSource == SubtitleSourcePreference.PreferEmbedded && !stream.IsExternal))
+        {
+            parts.Add((stream.IsExternal ? "external" : "embedded", SourceBonus, true));
+        }
+
+        if (stream.IsDefault)
+        {
+            parts.Add(("default", DefaultBonus, false));
+        }
+
+        if (stream.IsForced)
+        {
+            parts.Add(("forced", ForcedBonus, false));
+        }
+
+        return parts;
+    }
+}
@@ -0,0 +1,185 @@
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using MediaBrowser.Model.Entities;
+
+namespace Jellyfin.Plugin.TrackRules.Core;
+
+/// <summary>
+/// A rule's include and exclude patterns for one stream type. Streams whose title matches an exclude pattern are never
+/// picked; streams matching an include pattern win over the other tracks of the same language preference.
+/// </summary>
+/// <remarks>
+/// A pattern written as <c>/commentary/i</c> is a regular expression with optional i, m, s or x flags; anything else
+/// matches as plain text anywhere in the title, ignoring case. Streams without a title match no pattern.
+/// </remarks>
+public sealed class TitlePatterns
+{
+    /// <summary>
+    /// Largest number of patterns a rule may carry per list.
+    /// </summary>
+    public const int MaxPatterns = 16;
+
+    /// <summary>
+    /// Longest pattern accepted, regular expression or plain text.
+    /// </summary>
+    public const int MaxPatternLength = 200;
+
+    public static readonly TitlePatterns None = new(null, null);
+
+    // A pathological expression must not stall playback start; a match that times out counts as no match.
+    private static readonly TimeSpan _matchTimeout = TimeSpan.FromMilliseconds(50);
+
+    private static readonly ConcurrentDictionary<string, Regex?> _cache = new(StringComparer.Ordinal);
+
+    private readonly IReadOnlyList<string> _include;
+    private readonly IReadOnlyList<string> _exclude;
+
+    public TitlePatterns(IReadOnlyList<string>? include, IReadOnlyList<string>? exclude)
+    {
+        _include = include ?? Array.Empty<string>();
+        _exclude = exclude ?? Array.Empty<string>();
+    }
+
+    public bool HasInclude => _include.Count > 0;
+
+    public static TitlePatterns ForAudio(TrackRule rule)
+    {
+        ArgumentNullException.ThrowIfNull(rule);
+        return new TitlePatterns(rule.AudioTitleInclude, rule.AudioTitleExclude);
+    }
+
+    public static TitlePatterns ForSubtitles(TrackRule rule)
+    {
+        ArgumentNullException.ThrowIfNull(rule);
+        return new TitlePatterns(rule.SubsTitleInclude, rule.SubsTitleExclude);
+    }
+
+    /// <summary>
+    /// Returns the first exclude pattern the stream's title matches, or null when the stream may be picked.
+    /// </summary>
+    public string? FindExclusion(MediaStream stream)
+    {
+        return _exclude.FirstOrDefault(pattern => Matches(pattern, stream.Title));
+    }
+
+    public bool IsExcluded(MediaStream stream) => FindExclusion(stream) is not null;
+
+    public bool IsIncluded(MediaStream stream)
+    {
+        return _include.Any(pattern => Matches(pattern, stream.Title));
+    }
+
+    /// <summary>
+    /// Checks that a pattern can be used; returns a message describing the problem otherwise.
+    /// </summary>
+    public static string? Validate(string pattern)
+    {
+        if (string.IsNullOrWhiteSpace(pattern))
+        {
+            return "Patterns cannot be empty.";
+        }
+
+        if (pattern.Length > MaxPatternLength)
+        {
+            return $"Pattern '{pattern[..20]}…' is longer than {MaxPatternLength} characters.";
+        }
+
+        if (!TryParseRegex(pattern, out var expression, out var options))
+        {
+            return null;
+        }
+
+        try
+        {
+            _ = new Regex(expression, options, _matchTimeout);
+            return null;
+        }
+        catch (ArgumentException ex)
+        {
+            return $"Pattern {pattern} is not a valid regular expression: {ex.Message}";
+        }
+    }
+
+    private static bool Matches(string pattern, string? title)
+    {
+        if (string.IsNullOrEmpty(title))
+        {
+            return false;
+        }
+
+        if (!TryParseRegex(pattern, out _, out _))
+        {
+            return title.Contains(pattern.Trim(), StringComparison.OrdinalIgnoreCase);
+        }
+
+        var regex = _cache.GetOrAdd(pattern, Compile);
+        if (regex is null)
+        {
+            return false;
+        }
+
+        try
+        {
+            return regex.IsMatch(title);
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            return false;
+        }
+    }
+
+    // Invalid expressions are cached as null so a bad rule saved before validation existed never matches.
+    private static Regex? Compile(string pattern)
+    {
+        TryParseRegex(pattern, out var expression, out var options);
+        try
+        {
+            return new Regex(expression, options, _matchTimeout);
+        }
+        catch (ArgumentException)
+        {
+            return null;
+        }
+    }
+
+    private static bool TryParseRegex(string pattern, out string expression, out RegexOptions options)
+    {
+        expression = string.Empty;
+        options = RegexOptions.CultureInvariant;
+
+        var trimmed = pattern.Trim();
+        var end = trimmed.LastIndexOf('/');
+        if (trimmed.Length < 3 || trimmed[0] != '/' || end <= 0)
+        {
+            return false;
+        }
+
+        foreach (var flag in trimmed[(end + 1)..])
+        {
+            switch (flag)
+            {
+                case 'i':
+                    options |= RegexOptions.IgnoreCase;
+                    break;
+                case 'm':
+                    options |= RegexOptions.Multiline;
+                    break;
+                case 's':
+                    options |= RegexOptions.Singleline;
+                    break;
+                case 'x':
+                    options |= RegexOptions.IgnorePatternWhitespace;
+                    break;
+                default:
+                    // "/mnt/foo" style text is not a regular expression.
+                    return false;
+            }
+        }
+
+        expression = trimmed[1..end];
+        return expression.Length > 0;
+    }
+}
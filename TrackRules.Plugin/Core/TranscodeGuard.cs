@@ -1,37 +1,214 @@
+using System;
+using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Library;
 using MediaBrowser.Controller.Session;
+using MediaBrowser.Model.Dlna;
+using MediaBrowser.Model.Dto;
+using MediaBrowser.Model.Session;
 using Microsoft.Extensions.Logging;
 
 namespace Jellyfin.Plugin.TrackRules.Core;
 
 public sealed record TranscodeEvaluationContext(
     SessionInfo Session,
+    BaseItem? Item,
+    string? MediaSourceId,
     int? AudioStreamIndex,
     int? SubtitleStreamIndex);
 
+/// <summary>
+/// Inputs for simulating playback of one stream combination against a device profile.
+/// </summary>
+public sealed record TranscodeSimulation(
+    DeviceProfile Profile,
+    BaseItem Item,
+    string? MediaSourceId,
+    string? DeviceId,
+    int? CurrentAudioStreamIndex,
+    int? CurrentSubtitleStreamIndex,
+    int? TargetAudioStreamIndex,
+    int? TargetSubtitleStreamIndex);
+
+/// <summary>
+/// Outcome of a playback simulation.
+/// </summary>
+public sealed record TranscodeAssessment(PlayMethod? CurrentMethod, PlayMethod? TargetMethod, string? Reason)
+{
+    public static readonly TranscodeAssessment Unknown = new(null, null, null);
+
+    /// <summary>
+    /// Gets a value indicating whether the target streams would turn direct play or remux into a transcode.
+    /// </summary>
+    public bool DropsToTranscode => TargetMethod == PlayMethod.Transcode && CurrentMethod != PlayMethod.Transcode;
+}
+
 public interface ITranscodeGuard
 {
     Task<bool> ShouldSkipAsync(TranscodeEvaluationContext context, CancellationToken cancellationToken);
+
+    bool WouldTranscode(TranscodeEvaluationContext context);
+
+    /// <summary>
+    /// Prepares <see cref="WouldTranscode"/> for many stream combinations of one playback: the media source is looked
+    /// up and the current streams simulated once, and each call only simulates the audio/subtitle pair it is given.
+    /// </summary>
+    Func<int?, int?, bool> CreateProbe(TranscodeEvaluationContext context);
+
+    TranscodeAssessment Assess(TranscodeSimulation simulation);
+
+    /// <summary>
+    /// Prepares <see cref="Assess"/> for many target stream pairs of one simulation; the simulation's own target
+    /// indices are ignored.
+    /// </summary>
+    Func<int?, int?, TranscodeAssessment> CreateAssessor(TranscodeSimulation simulation);
 }
 
 /// <summary>
-/// Placeholder guard used until the PlaybackInfo probing endpoint is wired in.
+/// Simulates PlaybackInfo with the client's device profile to detect stream changes that force a transcode.
 /// </summary>
 public sealed class TranscodeGuard : ITranscodeGuard
 {
     private readonly ILogger<TranscodeGuard> _logger;
+    private readonly IMediaSourceManager _mediaSourceManager;
 
-    public TranscodeGuard(ILogger<TranscodeGuard> logger)
+    public TranscodeGuard(ILogger<TranscodeGuard> logger, IMediaSourceManager mediaSourceManager)
     {
         _logger = logger;
+        _mediaSourceManager = mediaSourceManager;
     }
 
     public Task<bool> ShouldSkipAsync(TranscodeEvaluationContext context, CancellationToken cancellationToken)
     {
-        // Future implementation: simulate PlaybackInfo to determine if the new stream combination
-        // would drop from direct play/remux to transcode. For now we always allow.
-        _logger.LogDebug("Transcode guard bypassed for session {Session}", context.Session.Id);
-        return Task.FromResult(false);
+        return Task.FromResult(WouldTranscode(context));
+    }
+
+    public bool WouldTranscode(TranscodeEvaluationContext context)
+    {
+        ArgumentNullException.ThrowIfNull(context);
+        return CreateProbe(context)(context.AudioStreamIndex, context.SubtitleStreamIndex);
+    }
+
+    public Func<int?, int?, bool> CreateProbe(TranscodeEvaluationContext context)
+    {
+        ArgumentNullException.ThrowIfNull(context);
+
+        var session = context.Session;
+        var profile = session.Capabilities?.DeviceProfile;
+        var item = context.Item ?? session.FullNowPlayingItem;
+        if (profile is null || item is null)
+        {
+            _logger.LogDebug("Transcode guard has no device profile or item for session {Session}; allowing change.", session.Id);
+            return (_, _) => false;
+        }
+
+        var playState = session.PlayState;
+        var simulation = new TranscodeSimulation(
+            profile,
+            item,
+            context.MediaSourceId ?? playState?.MediaSourceId,
+            session.DeviceId,
+            playState?.AudioStreamIndex,
+            playState?.SubtitleStreamIndex,
+            TargetAudioStreamIndex: null,
+            TargetSubtitleStreamIndex: null);
+
+        // The session already knows how it is playing; prefer that over our simulation of the current streams.
+        var assess = CreateAssessor(simulation, playState?.PlayMethod);
+
+        return (audioStreamIndex, subtitleStreamIndex) =>
+        {
+            var assessment = assess(
+                audioStreamIndex ?? playState?.AudioStreamIndex,
+                subtitleStreamIndex ?? playState?.SubtitleStreamIndex);
+
+            if (assessment.DropsToTranscode)
+            {
+                _logger.LogDebug(
+                    "Session {Session} would switch from {Current} to transcode: {Reason}",
+                    session.Id,
+                    assessment.CurrentMethod,
+                    assessment.Reason);
+            }
+
+            return assessment.DropsToTranscode;
+        };
+    }
+
+    public TranscodeAssessment Assess(TranscodeSimulation simulation)
+    {
+        ArgumentNullException.ThrowIfNull(simulation);
+        return CreateAssessor(simulation)(simulation.TargetAudioStreamIndex, simulation.TargetSubtitleStreamIndex);
+    }
+
+    public Func<int?, int?, TranscodeAssessment> CreateAssessor(TranscodeSimulation simulation)
+    {
+        return CreateAssessor(simulation, null);
+    }
+
+    private Func<int?, int?, TranscodeAssessment> CreateAssessor(TranscodeSimulation simulation, PlayMethod? knownCurrentMethod)
+    {
+        ArgumentNullException.ThrowIfNull(simulation);
+
+        var mediaSources = _mediaSourceManager.GetStaticMediaSources(simulation.Item, true);
+        var source = mediaSources.FirstOrDefault(s => string.Equals(s.Id, simulation.MediaSourceId, StringComparison.OrdinalIgnoreCase))
+            ?? mediaSources.FirstOrDefault();
+
+        if (source is null)
+        {
+            return (_, _) => TranscodeAssessment.Unknown;
+        }
+
+        PlayMethod? currentMethod;
+        try
+        {
+            currentMethod = knownCurrentMethod
+                ?? Simulate(simulation, source, simulation.CurrentAudioStreamIndex, simulation.CurrentSubtitleStreamIndex)?.PlayMethod;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "PlaybackInfo simulation failed for item {ItemId}", simulation.Item.Id);
+            return (_, _) => TranscodeAssessment.Unknown;
+        }
+
+        return (audioStreamIndex, subtitleStreamIndex) =>
+        {
+            try
+            {
+                var target = Simulate(simulation, source, audioStreamIndex, subtitleStreamIndex);
+                return new TranscodeAssessment(
+                    currentMethod,
+                    target?.PlayMethod,
+                    target is null || target.TranscodeReasons == 0 ? null : target.TranscodeReasons.ToString());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "PlaybackInfo simulation failed for item {ItemId}", simulation.Item.Id);
+                return TranscodeAssessment.Unknown;
+            }
+        };
+    }
+
+    private StreamInfo? Simulate(
+        TranscodeSimulation simulation,
+        MediaSourceInfo source,
+        int? audioStreamIndex,
+        int? subtitleStreamIndex)
+    {
+        var options = new MediaOptions
+        {
+            ItemId = simulation.Item.Id,
+            MediaSources = new[] { source },
+            MediaSourceId = source.Id,
+            Profile = simulation.Profile,
+            DeviceId = simulation.DeviceId,
+            MaxBitrate = simulation.Profile.MaxStreamingBitrate,
+            AudioStreamIndex = audioStreamIndex,
+            SubtitleStreamIndex = subtitleStreamIndex
+        };
+
+        return new StreamBuilder(new FullTranscoderSupport(), _logger).GetOptimalVideoStream(options);
     }
 }
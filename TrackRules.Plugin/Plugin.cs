@@ -37,7 +37,7 @@ public class Plugin : BasePlugin<PluginConfiguration>, IHasWebPages
     public override Guid Id { get; } = Guid.Parse("f4903c07-0d28-4183-9960-f870d61d07a3");
 
     /// <inheritdoc />
-    public override string Description => "Enforce per-user audio and subtitle defaults with series/library/global scopes.";
+    public override string Description => "Enforce per-user audio and subtitle defaults with item/season/series/library/global scopes.";
 
     /// <inheritdoc />
     public IEnumerable<PluginPageInfo> GetPages()
@@ -14,6 +14,10 @@ public class PluginServiceRegistrator : IPluginServiceRegistrator
     {
         serviceCollection.AddSingleton<ILanguageNormalizer, LanguageNormalizer>();
         serviceCollection.AddSingleton<IRuleStore, RuleStore>();
+        serviceCollection.AddSingleton<IRuleTemplateProvider, PluginRuleTemplateProvider>();
+        serviceCollection.AddSingleton<IRuleValidator, RuleValidator>();
+        serviceCollection.AddSingleton<IOrphanedRuleService, OrphanedRuleService>();
+        serviceCollection.AddSingleton<IItemMetadataReader, ItemMetadataReader>();
         serviceCollection.AddSingleton<ITrackRuleResolver, TrackRuleResolver>();
         serviceCollection.AddSingleton<ITranscodeGuard, TranscodeGuard>();
         serviceCollection.AddHostedService<SessionHook>();
@@ -5,7 +5,39 @@
   const RULE_SCOPE = {
     Global: 0,
     Library: 1,
-    Series: 2
+    Series: 2,
+    Season: 3,
+    Item: 4,
+    Collection: 5,
+    Tag: 6,
+    Genre: 7,
+    Studio: 8
+  };
+
+  // Most to least specific, matching the server's resolver; scope numbers are not in this order.
+  const SCOPE_PRECEDENCE = [
+    RULE_SCOPE.Item,
+    RULE_SCOPE.Season,
+    RULE_SCOPE.Series,
+    RULE_SCOPE.Collection,
+    RULE_SCOPE.Tag,
+    RULE_SCOPE.Genre,
+    RULE_SCOPE.Studio,
+    RULE_SCOPE.Library,
+    RULE_SCOPE.Global
+  ];
+
+  // Scopes that match a tag, genre or studio name instead of an item id.
+  const METADATA_SCOPE_LABEL = {
+    6: 'Tag',
+    7: 'Genre',
+    8: 'Studio'
+  };
+
+  const ITEM_SEARCH_TYPES = {
+    item: 'Movie,Episode,Video,MusicVideo',
+    preview: 'Movie,Episode,Video,MusicVideo',
+    collection: 'BoxSet'
   };
 
   const SUBTITLE_MODE_LABEL = {
@@ -16,13 +48,144 @@
     4: 'Audio fallback'
   };
 
+  const SUBTITLE_FORMAT_LABEL = {
+    1: 'text subs',
+    2: 'no image subs'
+  };
+
+  const SUBTITLE_SOURCE_LABEL = {
+    1: 'external subs',
+    2: 'embedded subs'
+  };
+
+  const TRANSCODE_FALLBACK = {
+    Skip: 0,
+    Compatible: 1
+  };
+
+  const RULES_PER_PAGE = 25;
+  const TARGET_BATCH_SIZE = 500;
+
+  const ISSUE_SEVERITY = {
+    Warning: 0,
+    Error: 1
+  };
+
+  // Editor inputs that server validation issues are shown under, keyed by rule field name.
+  const ISSUE_FIELD_SELECTOR = {
+    scope: '.trackrules-scope',
+    audio: '.trackrules-audio',
+    subs: '.trackrules-subs',
+    subsMode: '.trackrules-subs-mode',
+    subsFormat: '.trackrules-subs-format',
+    subsSource: '.trackrules-subs-source',
+    audioCodecs: '.trackrules-audio-codecs',
+    maxChannels: '.trackrules-max-channels',
+    preferredChannels: '.trackrules-preferred-channels',
+    audioTitleInclude: '.trackrules-audio-title-include',
+    audioTitleExclude: '.trackrules-audio-title-exclude',
+    subsTitleInclude: '.trackrules-subs-title-include',
+    subsTitleExclude: '.trackrules-subs-title-exclude',
+    transcodeFallback: '.trackrules-transcode-fallback'
+  };
+
+  const TARGET_FIELD_SELECTOR = {
+    1: '.trackrules-target-library',
+    2: '.trackrules-target-series',
+    3: '.trackrules-target-season',
+    4: '.trackrules-target-item',
+    5: '.trackrules-target-collection',
+    6: '.trackrules-target-value',
+    7: '.trackrules-target-value',
+    8: '.trackrules-target-value'
+  };
+
+  const CHANGE_SOURCE_LABEL = {
+    0: 'before history',
+    1: 'API',
+    2: 'dashboard',
+    3: 'series widget',
+    4: 'import',
+    5: 'copy',
+    6: 'restore',
+    7: 'orphan cleanup'
+  };
+
+  const BULK_OUTCOME_LABEL = {
+    0: 'created',
+    1: 'updated',
+    2: 'skipped'
+  };
+
+  const BULK_OUTCOME_CLASS = {
+    0: 'trackrules-diff-added',
+    1: 'trackrules-diff-changed'
+  };
+
+  const TRACE_OUTCOME_LABEL = {
+    0: 'applies',
+    1: 'outranked',
+    2: 'does not match',
+    3: 'disabled'
+  };
+
+  // Rule keywords the language pickers show as special chips instead of languages.
+  const LANGUAGE_KEYWORDS = {
+    any: 'Any language',
+    none: 'None'
+  };
+
+  const CODEC_LABELS = {
+    aac: 'AAC',
+    ac3: 'AC3',
+    eac3: 'E-AC3',
+    truehd: 'TrueHD',
+    dts: 'DTS',
+    flac: 'FLAC',
+    opus: 'Opus',
+    vorbis: 'Vorbis',
+    mp3: 'MP3',
+    subrip: 'SRT',
+    srt: 'SRT',
+    ass: 'ASS',
+    ssa: 'SSA',
+    webvtt: 'WebVTT',
+    mov_text: 'MOV text',
+    pgssub: 'PGS',
+    hdmv_pgs_subtitle: 'PGS',
+    dvdsub: 'VobSub',
+    dvd_subtitle: 'VobSub'
+  };
+
   const state = {
     users: [],
     libraries: [],
+    languageNames: new Map(),
+    languageLookup: new Map(),
+    languageSearchTimers: {},
+    pendingLanguageEntries: new Set(),
     rules: null,
     selectedUserId: null,
     editingKey: null,
-    searchTimer: null
+    searchTimer: null,
+    itemSearchTimers: {},
+    importPayload: null,
+    importRevision: null,
+    isAdmin: false,
+    defaultRules: [],
+    history: [],
+    orphans: [],
+    targets: {},
+    bulkSeries: new Map(),
+    bulkSearchTimer: null,
+    ruleView: {
+      text: '',
+      scope: '',
+      enabled: '',
+      language: '',
+      sort: 'scope',
+      page: 0
+    }
   };
 
   document.addEventListener('viewshow', (event) => {
@@ -45,6 +208,8 @@
     const saveButton = page.querySelector('.trackrules-save');
     const resetButton = page.querySelector('.trackrules-reset-form');
     const seriesSearch = page.querySelector('.trackrules-series-search');
+    const previewButton = page.querySelector('.trackrules-preview-run');
+    const guardField = page.querySelector('.trackrules-dont-transcode');
 
     if (page._trackRulesBound) {
       return;
@@ -62,6 +227,20 @@
 
     scopeSelect.addEventListener('change', () => {
       updateTargetVisibility(page);
+      if (Number(scopeSelect.value) === RULE_SCOPE.Season) {
+        loadSeasons(page, page.querySelector('.trackrules-series-id').value);
+      }
+    });
+
+    guardField.addEventListener('change', () => {
+      updateFallbackVisibility(page);
+    });
+
+    previewButton.addEventListener('click', () => {
+      previewEditorRule(page).catch((err) => {
+        console.error('[TrackRules] Preview failed', err);
+        setStatus(page.querySelector('.trackrules-editor-status'), 'Preview failed. See server logs for details.', true);
+      });
     });
 
     saveButton.addEventListener('click', () => {
@@ -95,26 +274,255 @@
       }, 250);
     });
 
+    bindItemSearch(page, 'item');
+    bindItemSearch(page, 'preview');
+    bindItemSearch(page, 'collection');
+    bindTransfer(page);
+    bindDefaults(page);
+    bindHistory(page);
+    bindOrphans(page);
+    bindRuleFilters(page);
+    bindBulkSeries(page);
+    bindLanguagePicker(page, 'audio');
+    bindLanguagePicker(page, 'subs');
+
+    page.querySelector('.trackrules-use-defaults').addEventListener('change', (event) => {
+      updateServerDefaultsOptOut(page, event.target.checked).catch((err) => {
+        console.error('[TrackRules] Failed to update server default opt-out', err);
+        setStatus(page.querySelector('.trackrules-user-status'), 'Failed to save the server defaults setting.', true);
+      });
+    });
+
+    page.querySelector('.trackrules-copy-run').addEventListener('click', () => {
+      copyRulesToUsers(page).catch((err) => {
+        console.error('[TrackRules] Failed to copy rules', err);
+        setStatus(page.querySelector('.trackrules-copy-status'), 'Copy failed. No users were changed.', true);
+      });
+    });
+
     page._trackRulesBound = true;
   }
 
+  function bindItemSearch(page, prefix) {
+    const input = page.querySelector(`.trackrules-${prefix}-search`);
+    input.addEventListener('input', () => {
+      const term = input.value.trim();
+      if (state.itemSearchTimers[prefix]) {
+        clearTimeout(state.itemSearchTimers[prefix]);
+      }
+
+      if (term.length < 3) {
+        clearSearchResults(page, `.trackrules-${prefix}-results`);
+        return;
+      }
+
+      state.itemSearchTimers[prefix] = setTimeout(() => {
+        searchItems(page, term, prefix);
+      }, 250);
+    });
+  }
+
+  function bindTransfer(page) {
+    const exportButton = page.querySelector('.trackrules-export');
+    const fileInput = page.querySelector('.trackrules-import-file');
+    const modeSelect = page.querySelector('.trackrules-import-mode');
+    const previewButton = page.querySelector('.trackrules-import-preview');
+    const applyButton = page.querySelector('.trackrules-import-apply');
+    const statusTarget = page.querySelector('.trackrules-import-status');
+
+    exportButton.addEventListener('click', () => {
+      exportRules(page).catch((err) => {
+        console.error('[TrackRules] Export failed', err);
+        setStatus(statusTarget, 'Export failed.', true);
+      });
+    });
+
+    fileInput.addEventListener('change', () => {
+      state.importPayload = null;
+      state.importRevision = null;
+      resetImportPreview(page);
+      readImportFile(fileInput.files && fileInput.files[0]).then((payload) => {
+        state.importPayload = payload;
+        setStatus(statusTarget, `${payload.rules.length} rule(s) read from file. Preview to see what would change.`);
+      }).catch((err) => {
+        console.error('[TrackRules] Unable to read import file', err);
+        setStatus(statusTarget, err.message || 'Unable to read import file.', true);
+      });
+    });
+
+    modeSelect.addEventListener('change', () => {
+      resetImportPreview(page);
+    });
+
+    previewButton.addEventListener('click', () => {
+      submitImport(page, true).catch((err) => {
+        console.error('[TrackRules] Import preview failed', err);
+        setStatus(statusTarget, 'Import preview failed.', true);
+      });
+    });
+
+    applyButton.addEventListener('click', () => {
+      submitImport(page, false).catch((err) => {
+        console.error('[TrackRules] Import failed', err);
+        page.querySelector('.trackrules-import-apply').disabled = true;
+        setStatus(statusTarget, isConflict(err)
+          ? 'The rules changed since the preview. Preview the import again.'
+          : 'Import failed. No rules were changed.', true);
+      });
+    });
+  }
+
+  function bindHistory(page) {
+    const revisionSelect = page.querySelector('.trackrules-history-revision');
+    const compareSelect = page.querySelector('.trackrules-history-compare');
+    const statusTarget = page.querySelector('.trackrules-history-status');
+
+    [revisionSelect, compareSelect].forEach((select) => {
+      select.addEventListener('change', () => {
+        resetHistoryDiff(page);
+      });
+    });
+
+    page.querySelector('.trackrules-history-diff-run').addEventListener('click', () => {
+      compareRevisions(page).catch((err) => {
+        console.error('[TrackRules] Failed to compare revisions', err);
+        setStatus(statusTarget, 'Unable to compare these revisions.', true);
+      });
+    });
+
+    page.querySelector('.trackrules-history-restore').addEventListener('click', () => {
+      restoreRevision(page).catch((err) => {
+        console.error('[TrackRules] Failed to restore revision', err);
+        setStatus(statusTarget, isConflict(err)
+          ? 'The rules changed since the history was loaded. Review the history again before restoring.'
+          : 'Restore failed. The current rules were kept.', true);
+        loadHistory(page);
+      });
+    });
+  }
+
+  function bindRuleFilters(page) {
+    const fields = [
+      ['.trackrules-rule-filter', 'text', 'input'],
+      ['.trackrules-rule-filter-scope', 'scope', 'change'],
+      ['.trackrules-rule-filter-enabled', 'enabled', 'change'],
+      ['.trackrules-rule-filter-language', 'language', 'input'],
+      ['.trackrules-rule-sort', 'sort', 'change']
+    ];
+
+    fields.forEach(([selector, key, eventName]) => {
+      const element = page.querySelector(selector);
+      element.addEventListener(eventName, () => {
+        state.ruleView[key] = element.value.trim();
+        state.ruleView.page = 0;
+        renderRuleList(page);
+      });
+    });
+
+    page.querySelector('.trackrules-rule-prev').addEventListener('click', () => {
+      state.ruleView.page = Math.max(0, state.ruleView.page - 1);
+      renderRuleList(page);
+    });
+
+    page.querySelector('.trackrules-rule-next').addEventListener('click', () => {
+      state.ruleView.page += 1;
+      renderRuleList(page);
+    });
+  }
+
+  function bindBulkSeries(page) {
+    const search = page.querySelector('.trackrules-bulk-search');
+    search.addEventListener('input', () => {
+      const term = search.value.trim();
+      if (state.bulkSearchTimer) {
+        clearTimeout(state.bulkSearchTimer);
+      }
+
+      if (term.length < 3) {
+        clearSearchResults(page, '.trackrules-bulk-results');
+        return;
+      }
+
+      state.bulkSearchTimer = setTimeout(() => {
+        searchBulkSeries(page, term);
+      }, 250);
+    });
+
+    page.querySelector('.trackrules-bulk-preview').addEventListener('click', () => {
+      runBulkSeries(page, true).catch((err) => {
+        console.error('[TrackRules] Bulk series preview failed', err);
+        setStatus(page.querySelector('.trackrules-bulk-status'), 'Preview failed. See server logs for details.', true);
+      });
+    });
+
+    page.querySelector('.trackrules-bulk-apply').addEventListener('click', () => {
+      runBulkSeries(page, false).catch((err) => {
+        console.error('[TrackRules] Bulk series update failed', err);
+        setStatus(page.querySelector('.trackrules-bulk-status'), 'Bulk update failed. No rules were changed.', true);
+      });
+    });
+
+    page.querySelector('.trackrules-bulk-clear').addEventListener('click', () => {
+      state.bulkSeries.clear();
+      search.value = '';
+      page.querySelector('.trackrules-bulk-genres').value = '';
+      page.querySelector('.trackrules-bulk-tags').value = '';
+      clearSearchResults(page, '.trackrules-bulk-results');
+      renderBulkSelection(page);
+      resetBulkSummary(page);
+    });
+  }
+
+  function bindOrphans(page) {
+    const statusTarget = page.querySelector('.trackrules-orphans-status');
+
+    page.querySelector('.trackrules-orphans-scan').addEventListener('click', () => {
+      scanOrphans(page).catch((err) => {
+        console.error('[TrackRules] Orphan scan failed', err);
+        setStatus(statusTarget, 'Scan failed.', true);
+      });
+    });
+
+    page.querySelector('.trackrules-orphans-relink').addEventListener('click', () => {
+      relinkOrphans(page).catch((err) => {
+        console.error('[TrackRules] Failed to re-link orphaned rules', err);
+        setStatus(statusTarget, 'Re-linking failed. No rules were changed.', true);
+      });
+    });
+
+    page.querySelector('.trackrules-orphans-delete').addEventListener('click', () => {
+      deleteOrphans(page).catch((err) => {
+        console.error('[TrackRules] Failed to delete orphaned rules', err);
+        setStatus(statusTarget, 'Delete failed. No rules were changed.', true);
+      });
+    });
+  }
+
   function updateTargetVisibility(page) {
     const scope = Number(page.querySelector('.trackrules-scope').value);
     const libraryField = page.querySelector('.trackrules-target-library');
     const seriesField = page.querySelector('.trackrules-target-series');
-
-    if (scope === RULE_SCOPE.Library) {
-      libraryField.classList.remove('hide');
-      seriesField.classList.add('hide');
-    } else if (scope === RULE_SCOPE.Series) {
-      seriesField.classList.remove('hide');
-      libraryField.classList.add('hide');
-    } else {
-      libraryField.classList.add('hide');
-      seriesField.classList.add('hide');
+    const seasonField = page.querySelector('.trackrules-target-season');
+    const itemField = page.querySelector('.trackrules-target-item');
+    const collectionField = page.querySelector('.trackrules-target-collection');
+    const valueField = page.querySelector('.trackrules-target-value');
+
+    libraryField.classList.toggle('hide', scope !== RULE_SCOPE.Library);
+    seriesField.classList.toggle('hide', scope !== RULE_SCOPE.Series && scope !== RULE_SCOPE.Season);
+    seasonField.classList.toggle('hide', scope !== RULE_SCOPE.Season);
+    itemField.classList.toggle('hide', scope !== RULE_SCOPE.Item);
+    collectionField.classList.toggle('hide', scope !== RULE_SCOPE.Collection);
+    valueField.classList.toggle('hide', !METADATA_SCOPE_LABEL[scope]);
+    if (METADATA_SCOPE_LABEL[scope]) {
+      valueField.querySelector('label').textContent = METADATA_SCOPE_LABEL[scope];
     }
   }
 
+  function updateFallbackVisibility(page) {
+    const guarded = page.querySelector('.trackrules-dont-transcode').checked;
+    page.querySelector('.trackrules-transcode-fallback-field').classList.toggle('hide', !guarded);
+  }
+
   async function initialize(page) {
     const apiClient = getApiClient();
     if (!apiClient) {
@@ -124,16 +532,33 @@
 
     setStatus(page.querySelector('.trackrules-user-status'), 'Loading users…');
 
-    const [users, libraries] = await Promise.all([
+    const [users, libraries, languages] = await Promise.all([
       loadUsers(apiClient),
-      loadLibraries(apiClient)
+      loadLibraries(apiClient),
+      loadLanguages(apiClient)
     ]);
 
     state.users = users;
     state.libraries = libraries;
+    state.languageNames = new Map(languages.map((language) => [
+      (language.Code || language.code || '').toLowerCase(),
+      language.Name || language.name
+    ]));
+    indexLanguages(languages);
+    populateLanguageOptions(page, languages);
 
     populateUserSelect(page);
+    populateCopyTargets(page, null);
     populateLibrarySelect(page);
+    populateLibrarySelect(page, '.trackrules-default-library');
+    page.querySelector('.trackrules-defaults-panel').classList.toggle('hide', !state.isAdmin);
+    page.querySelector('.trackrules-orphans-panel').classList.toggle('hide', !state.isAdmin);
+    if (state.isAdmin) {
+      loadDefaultRules(page).catch((err) => {
+        console.error('[TrackRules] Failed to load server defaults', err);
+        setStatus(page.querySelector('.trackrules-default-status'), 'Unable to load server defaults.', true);
+      });
+    }
     updateTargetVisibility(page);
 
     if (!users.length) {
@@ -147,6 +572,7 @@
   async function loadUsers(apiClient) {
     const currentUser = await fetchCurrentUser(apiClient);
     const isAdmin = Boolean(currentUser && currentUser.Policy && currentUser.Policy.IsAdministrator);
+    state.isAdmin = isAdmin;
 
     if (isAdmin && typeof apiClient.getUsers === 'function') {
       try {
@@ -200,6 +626,20 @@
     return { Id: userId };
   }
 
+  async function loadLanguages(apiClient) {
+    try {
+      const languages = await apiClient.ajax({
+        type: 'GET',
+        url: apiClient.getUrl('TrackRules/languages'),
+        dataType: 'json'
+      });
+      return Array.isArray(languages) ? languages : [];
+    } catch (error) {
+      console.warn('[TrackRules] Failed to load the language catalog.', error);
+      return [];
+    }
+  }
+
   async function loadLibraries(apiClient) {
     if (!apiClient || typeof apiClient.getItems !== 'function') {
       return [];
@@ -269,8 +709,8 @@
     return (user && (user.Name || user.name)) || '';
   }
 
-  function populateLibrarySelect(page) {
-    const select = page.querySelector('.trackrules-library');
+  function populateLibrarySelect(page, selector = '.trackrules-library') {
+    const select = page.querySelector(selector);
     select.innerHTML = '';
 
     if (!state.libraries.length) {
@@ -293,9 +733,15 @@
   }
 
   function selectUser(page, userId) {
+    resetImportPreview(page);
+    populateCopyTargets(page, userId);
+
     if (!userId) {
       state.selectedUserId = null;
       state.rules = null;
+      state.history = [];
+      renderHistory(page);
+      renderServerDefaultsOptOut(page);
       state.editingKey = null;
       renderRuleList(page);
       resetForm(page);
@@ -326,222 +772,2004 @@
 
       state.rules = data || { Rules: [], UserId: userId };
       state.editingKey = null;
+      state.ruleView.page = 0;
       resetForm(page);
       renderRuleList(page);
+      renderServerDefaultsOptOut(page);
       setStatus(statusTarget, 'Rules loaded.');
+      loadHistory(page);
     } catch (error) {
       console.error('[TrackRules] Failed to load rule set', error);
       state.rules = { Rules: [], UserId: userId };
       state.editingKey = null;
       resetForm(page);
       renderRuleList(page);
+      renderServerDefaultsOptOut(page);
       setStatus(statusTarget, 'Unable to load rules for this user.', true);
     }
   }
 
   function renderRuleList(page) {
     const container = page.querySelector('.trackrules-rule-list');
+    const pager = page.querySelector('.trackrules-rule-pager');
 
     if (!state.rules || !Array.isArray(state.rules.Rules) || !state.rules.Rules.length) {
       container.innerHTML = '<p>No rules defined yet.</p>';
+      pager.classList.add('hide');
       return;
     }
 
-    const rules = state.rules.Rules.slice().sort((a, b) => {
-      const scopeA = typeof a.Scope === 'number' ? a.Scope : a.scope;
-      const scopeB = typeof b.Scope === 'number' ? b.Scope : b.scope;
-      return scopeB - scopeA;
-    });
+    resolveRuleTargets(page, state.rules.Rules);
+
+    const rules = sortRules(state.rules.Rules.filter(matchesRuleView), state.ruleView.sort);
+    const pageCount = Math.max(1, Math.ceil(rules.length / RULES_PER_PAGE));
+    state.ruleView.page = Math.min(state.ruleView.page, pageCount - 1);
+    const start = state.ruleView.page * RULES_PER_PAGE;
+
+    pager.classList.toggle('hide', rules.length <= RULES_PER_PAGE);
+    page.querySelector('.trackrules-rule-prev').disabled = state.ruleView.page === 0;
+    page.querySelector('.trackrules-rule-next').disabled = state.ruleView.page >= pageCount - 1;
+    page.querySelector('.trackrules-rule-page').textContent =
+      `Page ${state.ruleView.page + 1} of ${pageCount} · ${rules.length} of ${state.rules.Rules.length} rule(s)`;
+
+    if (!rules.length) {
+      container.innerHTML = '<p>No rules match the filters.</p>';
+      return;
+    }
 
     container.innerHTML = '';
-    rules.forEach((rule) => {
-      const scope = typeof rule.Scope === 'number' ? rule.Scope : rule.scope;
-      const card = document.createElement('div');
-      card.className = 'trackrules-rule-card';
+    rules.slice(start, start + RULES_PER_PAGE).forEach((rule) => {
+      container.appendChild(createRuleCard(page, rule));
+    });
+  }
 
-      const header = document.createElement('header');
-      const title = document.createElement('div');
-      title.innerHTML = `<strong>${describeScope(scope, rule)}</strong>`;
+  function createRuleCard(page, rule) {
+    const scope = typeof rule.Scope === 'number' ? rule.Scope : rule.scope;
+    const key = getRuleKey(rule);
+    const card = document.createElement('div');
+    card.className = 'trackrules-rule-card';
 
-      const actions = document.createElement('div');
-      actions.innerHTML = `
-        <button type="button" class="button-flat trackrules-edit" data-key="${getRuleKey(rule)}">Edit</button>
-        <button type="button" class="button-flat trackrules-delete" data-key="${getRuleKey(rule)}">Delete</button>
-      `;
+    const header = document.createElement('header');
+    const title = document.createElement('div');
+    title.className = 'trackrules-rule-title';
 
-      header.appendChild(title);
-      header.appendChild(actions);
+    const target = findTarget(rule);
+    const apiClient = getApiClient();
+    if (target && target.Exists && target.HasPrimaryImage && apiClient) {
+      const poster = document.createElement('img');
+      poster.className = 'trackrules-rule-poster';
+      poster.loading = 'lazy';
+      poster.alt = '';
+      poster.src = apiClient.getScaledImageUrl(target.Id, { type: 'Primary', maxHeight: 96 });
+      title.appendChild(poster);
+    }
 
-      const body = document.createElement('div');
-      body.innerHTML = `
-        <div>Audio: <code>${(rule.Audio || rule.audio || []).join(', ')}</code></div>
-        <div>Subtitles: <code>${(rule.Subs || rule.subs || []).join(', ')}</code></div>
-        <div>Subtitle mode: ${SUBTITLE_MODE_LABEL[rule.SubsMode ?? rule.subsMode ?? 1]}</div>
-        <div>Don't transcode: ${(rule.DontTranscode ?? rule.dontTranscode) ? 'Yes' : 'No'}</div>
-        <div>Status: ${(rule.Enabled ?? rule.enabled) === false ? 'Disabled' : 'Enabled'}</div>
-      `;
+    const name = document.createElement('strong');
+    name.textContent = describeScope(scope, rule);
+    title.appendChild(name);
 
-      card.appendChild(header);
-      card.appendChild(body);
-      container.appendChild(card);
-    });
+    if (target && !target.Exists) {
+      const missing = document.createElement('span');
+      missing.className = 'trackrules-rule-missing';
+      missing.textContent = 'Target no longer exists';
+      title.appendChild(missing);
+    }
 
-    container.querySelectorAll('.trackrules-edit').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const key = btn.getAttribute('data-key');
-        editRule(page, key);
-      });
+    const actions = document.createElement('div');
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'button-flat trackrules-edit';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => {
+      editRule(page, key);
     });
 
-    container.querySelectorAll('.trackrules-delete').forEach((btn) => {
-      btn.addEventListener('click', () => {
-        const key = btn.getAttribute('data-key');
-        deleteRule(page, key).catch((err) => {
-          console.error('[TrackRules] Failed to delete rule', err);
-          setStatus(page.querySelector('.trackrules-user-status'), 'Failed to delete rule.', true);
-        });
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'button-flat trackrules-delete';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => {
+      deleteRule(page, key).catch((err) => {
+        console.error('[TrackRules] Failed to delete rule', err);
+        setStatus(page.querySelector('.trackrules-user-status'), 'Failed to delete rule.', true);
       });
     });
+
+    actions.appendChild(editButton);
+    actions.appendChild(deleteButton);
+    header.appendChild(title);
+    header.appendChild(actions);
+
+    const body = document.createElement('div');
+    body.innerHTML = `
+      <div>Audio: <code>${(rule.Audio || rule.audio || []).join(', ')}</code></div>
+      <div>Subtitles: <code>${(rule.Subs || rule.subs || []).join(', ')}</code></div>
+      <div>Subtitle mode: ${SUBTITLE_MODE_LABEL[rule.SubsMode ?? rule.subsMode ?? 1]}</div>
+      <div>Don't transcode: ${describeGuard(rule)}</div>
+      <div>Status: ${(rule.Enabled ?? rule.enabled) === false ? 'Disabled' : 'Enabled'}</div>
+    `;
+
+    card.appendChild(header);
+    card.appendChild(body);
+    return card;
   }
 
-  function describeScope(scope, rule) {
-    if (scope === RULE_SCOPE.Series) {
-      return `Series · ${rule.TargetName || rule.SeriesName || rule.TargetId || rule.targetId || ''}`;
+  function matchesRuleView(rule) {
+    const view = state.ruleView;
+    const scope = rule.Scope ?? rule.scope;
+    if (view.scope !== '' && scope !== Number(view.scope)) {
+      return false;
     }
 
-    if (scope === RULE_SCOPE.Library) {
-      const library = state.libraries.find((lib) => lib.id === (rule.TargetId || rule.targetId));
-      return `Library · ${(library && library.name) || (rule.TargetId || rule.targetId)}`;
+    const enabled = (rule.Enabled ?? rule.enabled) !== false;
+    if ((view.enabled === 'enabled' && !enabled) || (view.enabled === 'disabled' && enabled)) {
+      return false;
     }
 
-    return 'Global';
+    if (view.language) {
+      const language = view.language.toLowerCase();
+      const languages = (rule.Audio || rule.audio || []).concat(rule.Subs || rule.subs || []);
+      if (!languages.some((code) => String(code).toLowerCase().includes(language) ||
+        describeLanguage(code).toLowerCase().includes(language))) {
+        return false;
+      }
+    }
+
+    if (view.text) {
+      const text = view.text.toLowerCase();
+      const haystack = `${describeScope(scope, rule)} ${rule.TargetId || rule.targetId || ''}`.toLowerCase();
+      if (!haystack.includes(text)) {
+        return false;
+      }
+    }
+
+    return true;
   }
 
-  function getRuleKey(rule) {
-    const scope = typeof rule.Scope === 'number' ? rule.Scope : rule.scope;
-    const target = rule.TargetId || rule.targetId || '';
-    return `${scope}:${target}`;
+  function sortRules(rules, sort) {
+    const byName = (a, b) => describeScope(a.Scope ?? a.scope, a).localeCompare(describeScope(b.Scope ?? b.scope, b), undefined, { sensitivity: 'base' });
+
+    return rules.slice().sort((a, b) => {
+      if (sort === 'name') {
+        return byName(a, b);
+      }
+
+      if (sort === 'name-desc') {
+        return byName(b, a);
+      }
+
+      return (SCOPE_PRECEDENCE.indexOf(a.Scope ?? a.scope) - SCOPE_PRECEDENCE.indexOf(b.Scope ?? b.scope)) || byName(a, b);
+    });
   }
 
-  function editRule(page, key) {
-    if (!state.rules || !Array.isArray(state.rules.Rules)) {
+  function findTarget(rule) {
+    const targetId = rule.TargetId || rule.targetId;
+    return targetId ? state.targets[normalizeTargetId(targetId)] : null;
+  }
+
+  function normalizeTargetId(targetId) {
+    return String(targetId).replace(/-/g, '').toLowerCase();
+  }
+
+  // Looks up every target we have not seen yet in batches, then re-renders with names and posters.
+  // Ids are marked as pending first so a re-render never requests them twice.
+  function resolveRuleTargets(page, rules) {
+    const pending = Array.from(new Set(rules
+      .filter((rule) => (rule.Scope ?? rule.scope) !== RULE_SCOPE.Global)
+      .map((rule) => rule.TargetId || rule.targetId)
+      .filter((targetId) => targetId && state.targets[normalizeTargetId(targetId)] === undefined)));
+    if (!pending.length) {
       return;
     }
 
-    const rule = state.rules.Rules.find((r) => getRuleKey(r) === key);
-    if (!rule) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
       return;
     }
 
-    state.editingKey = key;
-    const scopeField = page.querySelector('.trackrules-scope');
-    scopeField.value = (rule.Scope ?? rule.scope ?? 0).toString();
-
-    const audioField = page.querySelector('.trackrules-audio');
-    const subsField = page.querySelector('.trackrules-subs');
-    const subsModeField = page.querySelector('.trackrules-subs-mode');
-    const guardField = page.querySelector('.trackrules-dont-transcode');
-    const enabledField = page.querySelector('.trackrules-enabled');
-
-    audioField.value = (rule.Audio || rule.audio || []).join(',');
-    subsField.value = (rule.Subs || rule.subs || []).join(',');
-    subsModeField.value = (rule.SubsMode ?? rule.subsMode ?? 1).toString();
-    guardField.checked = !!(rule.DontTranscode ?? rule.dontTranscode);
-    enabledField.checked = (rule.Enabled ?? rule.enabled) !== false;
+    pending.forEach((targetId) => {
+      state.targets[normalizeTargetId(targetId)] = null;
+    });
 
-    if ((rule.Scope ?? rule.scope) === RULE_SCOPE.Library) {
-      const targetField = page.querySelector('.trackrules-library');
-      targetField.value = rule.TargetId || rule.targetId || '';
-    } else if ((rule.Scope ?? rule.scope) === RULE_SCOPE.Series) {
-      page.querySelector('.trackrules-series-id').value = rule.TargetId || rule.targetId || '';
-      page.querySelector('.trackrules-series-search').value = rule.TargetName || rule.SeriesName || '';
+    const batches = [];
+    for (let i = 0; i < pending.length; i += TARGET_BATCH_SIZE) {
+      batches.push(pending.slice(i, i + TARGET_BATCH_SIZE));
     }
 
-    updateTargetVisibility(page);
-    setStatus(page.querySelector('.trackrules-editor-status'), 'Editing existing rule.');
+    Promise.all(batches.map((ids) => apiClient.ajax({
+      type: 'POST',
+      url: apiClient.getUrl('TrackRules/targets'),
+      dataType: 'json',
+      contentType: 'application/json',
+      data: JSON.stringify({ ids })
+    }))).then((results) => {
+      results.forEach((targets) => {
+        (targets || []).forEach((target) => {
+          state.targets[normalizeTargetId(target.Id)] = target;
+        });
+      });
+      renderRuleList(page);
+    }).catch((err) => {
+      console.error('[TrackRules] Failed to resolve rule targets', err);
+    });
   }
 
-  async function deleteRule(page, key) {
-    if (!state.rules || !Array.isArray(state.rules.Rules)) {
-      return;
-    }
-
-    state.rules.Rules = state.rules.Rules.filter((rule) => getRuleKey(rule) !== key);
-    await saveRules();
-    renderRuleList(page);
-    setStatus(page.querySelector('.trackrules-user-status'), 'Rule deleted.');
+  function usesServerDefaults(ruleSet) {
+    return (ruleSet && (ruleSet.UseServerDefaults ?? ruleSet.useServerDefaults)) !== false;
   }
 
-  function resetForm(page) {
-    page.querySelector('.trackrules-scope').value = '0';
-    page.querySelector('.trackrules-library').selectedIndex = 0;
-    page.querySelector('.trackrules-series-search').value = '';
-    page.querySelector('.trackrules-series-id').value = '';
-    page.querySelector('.trackrules-audio').value = 'any';
-    page.querySelector('.trackrules-subs').value = 'none';
-    page.querySelector('.trackrules-subs-mode').value = '1';
-    page.querySelector('.trackrules-dont-transcode').checked = false;
-    page.querySelector('.trackrules-enabled').checked = true;
-    updateTargetVisibility(page);
-    clearSearchResults(page);
-    setStatus(page.querySelector('.trackrules-editor-status'), '');
+  function renderServerDefaultsOptOut(page) {
+    const checkbox = page.querySelector('.trackrules-use-defaults');
+    checkbox.checked = usesServerDefaults(state.rules);
+    checkbox.disabled = !state.selectedUserId || !state.rules;
   }
 
-  function normalizeList(value, fallback) {
-    if (!value) {
-      return [fallback];
+  async function updateServerDefaultsOptOut(page, enabled) {
+    if (!state.selectedUserId || !state.rules) {
+      return;
     }
 
-    const parts = value.split(',')
-      .map((part) => part.trim().toLowerCase())
-      .filter(Boolean);
-
-    if (!parts.length) {
-      return [fallback];
+    const saved = await commitRules(page, () => {
+      state.rules.UseServerDefaults = enabled;
+    });
+    renderServerDefaultsOptOut(page);
+    if (!saved) {
+      return;
     }
 
-    return parts;
+    setStatus(
+      page.querySelector('.trackrules-user-status'),
+      enabled ? 'Server default rules enabled for this user.' : 'This user no longer falls back to the server defaults.'
+    );
   }
 
-  async function persistEditorRule(page) {
-    if (!state.selectedUserId) {
-      setStatus(page.querySelector('.trackrules-editor-status'), 'Select a user first.', true);
-      return;
-    }
+  function bindDefaults(page) {
+    const scopeSelect = page.querySelector('.trackrules-default-scope');
+    const statusTarget = page.querySelector('.trackrules-default-status');
 
+    scopeSelect.addEventListener('change', () => {
+      updateDefaultTargetVisibility(page);
+    });
+
+    page.querySelector('.trackrules-default-add').addEventListener('click', () => {
+      const rule = readDefaultRule(page);
+      if (!rule) {
+        return;
+      }
+
+      const index = state.defaultRules.findIndex((existing) => getRuleKey(existing) === getRuleKey(rule));
+      if (index >= 0) {
+        state.defaultRules[index] = rule;
+      } else {
+        state.defaultRules.push(rule);
+      }
+      renderDefaultRules(page);
+      setStatus(statusTarget, 'Default staged. Save defaults to apply it.');
+    });
+
+    page.querySelector('.trackrules-default-save').addEventListener('click', () => {
+      saveDefaultRules(page).catch(async (err) => {
+        const problem = await readValidationProblem(err);
+        if (problem) {
+          renderDefaultRules(page, problem.Issues);
+          setStatus(statusTarget, problem.Message || 'Fix the marked defaults and save again.', true);
+          return;
+        }
+
+        console.error('[TrackRules] Failed to save server defaults', err);
+        setStatus(statusTarget, 'Failed to save server defaults.', true);
+      });
+    });
+  }
+
+  function updateDefaultTargetVisibility(page) {
+    const scope = Number(page.querySelector('.trackrules-default-scope').value);
+    const valueField = page.querySelector('.trackrules-default-target-value');
+    page.querySelector('.trackrules-default-target-library').classList.toggle('hide', scope !== RULE_SCOPE.Library);
+    valueField.classList.toggle('hide', !METADATA_SCOPE_LABEL[scope]);
+    if (METADATA_SCOPE_LABEL[scope]) {
+      valueField.querySelector('label').textContent = METADATA_SCOPE_LABEL[scope];
+    }
+  }
+
+  async function loadDefaultRules(page) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      return;
+    }
+
+    const data = await apiClient.ajax({
+      type: 'GET',
+      url: apiClient.getUrl('TrackRules/defaults'),
+      dataType: 'json'
+    });
+
+    state.defaultRules = (data && (data.Rules || data.rules)) || [];
+    renderDefaultRules(page);
+    resetDefaultForm(page);
+  }
+
+  function readDefaultRule(page) {
+    const scope = Number(page.querySelector('.trackrules-default-scope').value || 0);
+    let targetId = null;
+    if (scope === RULE_SCOPE.Library) {
+      targetId = page.querySelector('.trackrules-default-library').value || null;
+      if (!targetId) {
+        setStatus(page.querySelector('.trackrules-default-status'), 'Select a library.', true);
+        return null;
+      }
+    }
+
+    let targetValue = null;
+    if (METADATA_SCOPE_LABEL[scope]) {
+      targetValue = page.querySelector('.trackrules-default-value').value.trim() || null;
+      if (!targetValue) {
+        setStatus(page.querySelector('.trackrules-default-status'), `Enter the ${METADATA_SCOPE_LABEL[scope].toLowerCase()} to match.`, true);
+        return null;
+      }
+    }
+
+    return {
+      Scope: scope,
+      TargetId: targetId,
+      TargetValue: targetValue,
+      Audio: normalizeList(page.querySelector('.trackrules-default-audio').value, 'any'),
+      Subs: normalizeList(page.querySelector('.trackrules-default-subs').value, 'none'),
+      SubsMode: Number(page.querySelector('.trackrules-default-subs-mode').value || 1),
+      DontTranscode: !!page.querySelector('.trackrules-default-dont-transcode').checked,
+      Enabled: true
+    };
+  }
+
+  function resetDefaultForm(page) {
+    page.querySelector('.trackrules-default-scope').value = '0';
+    page.querySelector('.trackrules-default-library').selectedIndex = 0;
+    page.querySelector('.trackrules-default-value').value = '';
+    page.querySelector('.trackrules-default-audio').value = 'any';
+    page.querySelector('.trackrules-default-subs').value = 'none';
+    page.querySelector('.trackrules-default-subs-mode').value = '1';
+    page.querySelector('.trackrules-default-dont-transcode').checked = false;
+    updateDefaultTargetVisibility(page);
+  }
+
+  function editDefaultRule(page, rule) {
+    page.querySelector('.trackrules-default-scope').value = (rule.Scope ?? rule.scope ?? 0).toString();
+    page.querySelector('.trackrules-default-library').value = rule.TargetId || rule.targetId || '';
+    page.querySelector('.trackrules-default-value').value = rule.TargetValue || rule.targetValue || '';
+    page.querySelector('.trackrules-default-audio').value = (rule.Audio || rule.audio || []).join(',');
+    page.querySelector('.trackrules-default-subs').value = (rule.Subs || rule.subs || []).join(',');
+    page.querySelector('.trackrules-default-subs-mode').value = (rule.SubsMode ?? rule.subsMode ?? 1).toString();
+    page.querySelector('.trackrules-default-dont-transcode').checked = !!(rule.DontTranscode ?? rule.dontTranscode);
+    updateDefaultTargetVisibility(page);
+  }
+
+  function renderDefaultRules(page, issues = []) {
+    const container = page.querySelector('.trackrules-default-list');
+    container.innerHTML = '';
+
+    if (!state.defaultRules.length) {
+      container.innerHTML = '<p>No server defaults defined.</p>';
+      return;
+    }
+
+    state.defaultRules.forEach((rule, index) => {
+      const card = document.createElement('div');
+      card.className = 'trackrules-rule-card';
+
+      const header = document.createElement('header');
+      const title = document.createElement('strong');
+      title.textContent = describeScope(rule.Scope ?? rule.scope, rule);
+
+      const actions = document.createElement('div');
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.className = 'button-flat';
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => {
+        editDefaultRule(page, rule);
+      });
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'button-flat';
+      removeButton.textContent = 'Remove';
+      removeButton.addEventListener('click', () => {
+        state.defaultRules = state.defaultRules.filter((existing) => existing !== rule);
+        renderDefaultRules(page);
+        setStatus(page.querySelector('.trackrules-default-status'), 'Default removed. Save defaults to apply it.');
+      });
+
+      actions.appendChild(editButton);
+      actions.appendChild(removeButton);
+      header.appendChild(title);
+      header.appendChild(actions);
+
+      const body = document.createElement('div');
+      body.textContent = describeRuleSettings(rule);
+
+      card.appendChild(header);
+      card.appendChild(body);
+      issues
+        .filter((issue) => (issue.Index ?? issue.index) === index)
+        .forEach((issue) => {
+          const message = document.createElement('div');
+          message.className = 'trackrules-field-issue';
+          if ((issue.Severity ?? issue.severity) !== ISSUE_SEVERITY.Error) {
+            message.classList.add('trackrules-field-warning');
+          }
+
+          message.textContent = issue.Message || issue.message;
+          card.appendChild(message);
+        });
+      container.appendChild(card);
+    });
+  }
+
+  async function saveDefaultRules(page) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    const response = await apiClient.ajax({
+      type: 'PUT',
+      url: apiClient.getUrl('TrackRules/defaults'),
+      dataType: 'json',
+      contentType: 'application/json',
+      data: JSON.stringify({ rules: state.defaultRules })
+    });
+
+    state.defaultRules = (response && (response.Rules || response.rules)) || state.defaultRules;
+    renderDefaultRules(page);
+    resetDefaultForm(page);
+    setStatus(page.querySelector('.trackrules-default-status'), 'Server defaults saved.');
+  }
+
+  function populateCopyTargets(page, sourceUserId) {
+    const select = page.querySelector('.trackrules-copy-users');
+    select.innerHTML = '';
+
+    state.users
+      .filter((user) => resolveUserId(user) && resolveUserId(user) !== sourceUserId)
+      .forEach((user) => {
+        const option = document.createElement('option');
+        option.value = resolveUserId(user);
+        option.textContent = resolveUserName(user) || option.value;
+        select.appendChild(option);
+      });
+
+    select.disabled = !sourceUserId || !select.options.length;
+    setStatus(page.querySelector('.trackrules-copy-status'), '');
+  }
+
+  async function copyRulesToUsers(page) {
+    const statusTarget = page.querySelector('.trackrules-copy-status');
+    if (!state.selectedUserId) {
+      setStatus(statusTarget, 'Select the user to copy from first.', true);
+      return;
+    }
+
+    const targetUserIds = Array.from(page.querySelector('.trackrules-copy-users').selectedOptions)
+      .map((option) => option.value)
+      .filter(Boolean);
+    if (!targetUserIds.length) {
+      setStatus(statusTarget, 'Pick at least one user to copy to.', true);
+      return;
+    }
+
+    const scopeValue = page.querySelector('.trackrules-copy-scope').value;
+    const scopes = scopeValue === '' ? [] : [Number(scopeValue)];
+
+    if (!window.confirm(`Copy rules to ${targetUserIds.length} user(s)? Their rules for the same targets will be overwritten.`)) {
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    setStatus(statusTarget, 'Copying rules…');
+    const result = await apiClient.ajax({
+      type: 'POST',
+      url: apiClient.getUrl('TrackRules/copy'),
+      dataType: 'json',
+      contentType: 'application/json',
+      data: JSON.stringify({
+        sourceUserId: state.selectedUserId,
+        targetUserIds,
+        scopes
+      })
+    });
+
+    const users = (result && result.Users) || [];
+    const summary = users.map((entry) => {
+      const user = state.users.find((u) => resolveUserId(u) === entry.UserId);
+      return `${resolveUserName(user) || entry.UserId}: ${entry.Added} added, ${entry.Changed} updated`;
+    });
+
+    setStatus(statusTarget, `Copied ${result.RuleCount} rule(s). ${summary.join('; ')}`);
+  }
+
+  async function loadHistory(page) {
+    const statusTarget = page.querySelector('.trackrules-history-status');
+    const userId = state.selectedUserId;
+    const apiClient = getApiClient();
+    if (!apiClient || !userId) {
+      return;
+    }
+
+    setStatus(statusTarget, '');
+    try {
+      const history = await apiClient.ajax({
+        type: 'GET',
+        url: apiClient.getUrl(`TrackRules/user/${userId}/history`),
+        dataType: 'json'
+      });
+
+      if (userId !== state.selectedUserId) {
+        return;
+      }
+
+      state.history = Array.isArray(history) ? history : [];
+      renderHistory(page);
+      if (!state.history.length) {
+        setStatus(statusTarget, 'No changes have been recorded for this user yet.');
+      }
+    } catch (error) {
+      console.error('[TrackRules] Failed to load rule history', error);
+      state.history = [];
+      renderHistory(page);
+      setStatus(statusTarget, 'Unable to load the rule history.', true);
+    }
+  }
+
+  function renderHistory(page) {
+    const revisionSelect = page.querySelector('.trackrules-history-revision');
+    const compareSelect = page.querySelector('.trackrules-history-compare');
+    revisionSelect.innerHTML = '';
+    compareSelect.innerHTML = '';
+
+    // History comes newest first; default to comparing the previous revision with the current one.
+    state.history.forEach((entry) => {
+      [revisionSelect, compareSelect].forEach((select) => {
+        const option = document.createElement('option');
+        option.value = String(entry.Revision);
+        option.textContent = describeRevision(entry);
+        select.appendChild(option);
+      });
+    });
+
+    if (state.history.length > 1) {
+      revisionSelect.value = String(state.history[1].Revision);
+    }
+
+    const empty = !state.history.length;
+    revisionSelect.disabled = empty;
+    compareSelect.disabled = empty;
+    page.querySelector('.trackrules-history-diff-run').disabled = state.history.length < 2;
+    page.querySelector('.trackrules-history-restore').disabled = state.history.length < 2;
+    resetHistoryDiff(page);
+  }
+
+  function resetHistoryDiff(page) {
+    const container = page.querySelector('.trackrules-history-diff');
+    container.innerHTML = '';
+    container.classList.add('hide');
+  }
+
+  function describeRevision(entry) {
+    const savedAt = new Date(entry.SavedAt).toLocaleString();
+    const source = CHANGE_SOURCE_LABEL[entry.Source] || CHANGE_SOURCE_LABEL[0];
+    const actor = entry.ActorName ? ` by ${entry.ActorName}` : '';
+    const current = state.history.length && entry.Revision === state.history[0].Revision ? ' (current)' : '';
+    return `#${entry.Revision} · ${savedAt} · ${source}${actor} · ${entry.RuleCount} rule(s)${current}`;
+  }
+
+  async function compareRevisions(page) {
+    const statusTarget = page.querySelector('.trackrules-history-status');
+    const from = page.querySelector('.trackrules-history-revision').value;
+    const to = page.querySelector('.trackrules-history-compare').value;
+    if (!from || !to || from === to) {
+      setStatus(statusTarget, 'Pick two different revisions to compare.', true);
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    const diff = await apiClient.ajax({
+      type: 'GET',
+      url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}/history/diff`, { from, to }),
+      dataType: 'json'
+    });
+
+    const container = page.querySelector('.trackrules-history-diff');
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.textContent = `From #${from} to #${to}: ${describeImportCounts(diff)}.`;
+    container.appendChild(summary);
+
+    if (diff.UseServerDefaultsChanged) {
+      const note = document.createElement('p');
+      note.textContent = 'The server defaults setting also differs.';
+      container.appendChild(note);
+    }
+
+    appendDiffSection(container, 'Added', 'trackrules-diff-added', diff.Added, (rule) => describeRuleLine(rule));
+    appendDiffSection(container, 'Changed', 'trackrules-diff-changed', diff.Changed, (change) =>
+      `${describeScope(change.After.Scope, change.After)}: ${describeRuleSettings(change.Before)} → ${describeRuleSettings(change.After)}`);
+    appendDiffSection(container, 'Removed', 'trackrules-diff-removed', diff.Removed, (rule) => describeRuleLine(rule));
+    container.classList.remove('hide');
+    setStatus(statusTarget, '');
+  }
+
+  async function restoreRevision(page) {
+    const statusTarget = page.querySelector('.trackrules-history-status');
+    const revision = page.querySelector('.trackrules-history-revision').value;
+    if (!revision || !state.history.length) {
+      return;
+    }
+
+    const current = state.history[0].Revision;
+    if (Number(revision) === current) {
+      setStatus(statusTarget, 'That revision is already the current one.', true);
+      return;
+    }
+
+    if (!window.confirm(`Restore revision #${revision}? The current rules are kept in the history and can be restored later.`)) {
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    setStatus(statusTarget, 'Restoring…');
+    await apiClient.ajax({
+      type: 'POST',
+      url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}/history/${revision}/restore`),
+      headers: { 'If-Match': `"${current}"` },
+      dataType: 'json'
+    });
+
+    await loadRuleSet(page, state.selectedUserId);
+    setStatus(statusTarget, `Restored revision #${revision}.`);
+  }
+
+  async function scanOrphans(page) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    setStatus(page.querySelector('.trackrules-orphans-status'), 'Scanning…');
+    const orphans = await apiClient.ajax({
+      type: 'GET',
+      url: apiClient.getUrl('TrackRules/orphans'),
+      dataType: 'json'
+    });
+
+    state.orphans = Array.isArray(orphans) ? orphans : [];
+    renderOrphans(page);
+
+    const relinkable = state.orphans.filter((orphan) => orphan.RelinkTargetId).length;
+    setStatus(page.querySelector('.trackrules-orphans-status'), state.orphans.length
+      ? `${state.orphans.length} orphaned rule(s); ${relinkable} can be re-linked.`
+      : 'No orphaned rules.');
+  }
+
+  function renderOrphans(page) {
+    const container = page.querySelector('.trackrules-orphans-list');
+    container.innerHTML = '';
+
+    state.orphans.forEach((orphan, index) => {
+      const rule = orphan.Rule || {};
+      const label = document.createElement('label');
+      label.className = 'checkboxLabel trackrules-orphan';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'trackrules-orphan-select';
+      checkbox.dataset.index = String(index);
+      checkbox.checked = !orphan.RelinkTargetId;
+      checkbox.addEventListener('change', () => updateOrphanActions(page));
+
+      const text = document.createElement('span');
+      const relink = orphan.RelinkTargetId ? ` → re-link to ${orphan.RelinkTargetName || orphan.RelinkTargetId}` : '';
+      text.textContent = `${orphan.UserName || orphan.UserId}: ${describeScope(rule.Scope, rule)} (${describeRuleSettings(rule)})${relink}`;
+
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      container.appendChild(label);
+    });
+
+    updateOrphanActions(page);
+  }
+
+  function updateOrphanActions(page) {
+    const selected = page.querySelectorAll('.trackrules-orphan-select:checked').length;
+    page.querySelector('.trackrules-orphans-delete').disabled = !selected;
+    page.querySelector('.trackrules-orphans-relink').disabled = !state.orphans.some((orphan) => orphan.RelinkTargetId);
+  }
+
+  async function relinkOrphans(page) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    const relinked = await apiClient.ajax({
+      type: 'POST',
+      url: apiClient.getUrl('TrackRules/orphans/relink'),
+      dataType: 'json'
+    });
+
+    await scanOrphans(page);
+    setStatus(page.querySelector('.trackrules-orphans-status'), `Re-linked ${(relinked || []).length} rule(s). ${state.orphans.length} orphaned rule(s) remain.`);
+    await reloadSelectedUser(page);
+  }
+
+  async function deleteOrphans(page) {
+    const rules = Array.from(page.querySelectorAll('.trackrules-orphan-select:checked'))
+      .map((checkbox) => state.orphans[Number(checkbox.dataset.index)])
+      .filter(Boolean)
+      .map((orphan) => ({
+        userId: orphan.UserId,
+        scope: orphan.Rule.Scope,
+        targetId: orphan.Rule.TargetId
+      }));
+    if (!rules.length) {
+      return;
+    }
+
+    if (!window.confirm(`Delete ${rules.length} orphaned rule(s)? They stay in each user's history.`)) {
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    const result = await apiClient.ajax({
+      type: 'POST',
+      url: apiClient.getUrl('TrackRules/orphans/delete'),
+      dataType: 'json',
+      contentType: 'application/json',
+      data: JSON.stringify({ rules })
+    });
+
+    await scanOrphans(page);
+    setStatus(page.querySelector('.trackrules-orphans-status'), `Deleted ${(result && result.Removed) || 0} rule(s).`);
+    await reloadSelectedUser(page);
+  }
+
+  async function reloadSelectedUser(page) {
+    if (state.selectedUserId) {
+      await loadRuleSet(page, state.selectedUserId);
+    }
+  }
+
+  async function exportRules(page) {
+    const statusTarget = page.querySelector('.trackrules-import-status');
+    if (!state.selectedUserId) {
+      setStatus(statusTarget, 'Select a user first.', true);
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    const data = await apiClient.ajax({
+      type: 'GET',
+      url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}/export`),
+      dataType: 'json'
+    });
+
+    const user = state.users.find((u) => resolveUserId(u) === state.selectedUserId);
+    const userName = (resolveUserName(user) || state.selectedUserId).replace(/[^\w-]+/g, '_');
+    const date = new Date().toISOString().slice(0, 10);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `trackrules-${userName}-${date}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    const count = Array.isArray(data && data.Rules) ? data.Rules.length : 0;
+    setStatus(statusTarget, `Exported ${count} rule(s).`);
+  }
+
+  async function readImportFile(file) {
+    if (!file) {
+      throw new Error('Choose a file to import.');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    // Accept our export format, a saved rule set, or a bare array of rules.
+    const rules = Array.isArray(parsed) ? parsed : (parsed && (parsed.Rules || parsed.rules));
+    if (!Array.isArray(rules)) {
+      throw new Error('The file does not contain a list of rules.');
+    }
+
+    const version = Array.isArray(parsed) ? 1 : Number(parsed.Version ?? parsed.version ?? 1);
+    return { version, rules };
+  }
+
+  async function submitImport(page, dryRun) {
+    const statusTarget = page.querySelector('.trackrules-import-status');
+    if (!state.selectedUserId) {
+      setStatus(statusTarget, 'Select a user first.', true);
+      return;
+    }
+
+    if (!state.importPayload) {
+      setStatus(statusTarget, 'Choose a file to import.', true);
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    const mode = Number(page.querySelector('.trackrules-import-mode').value || 0);
+    setStatus(statusTarget, dryRun ? 'Comparing with the current rules…' : 'Importing…');
+
+    const result = await apiClient.ajax({
+      type: 'POST',
+      url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}/import`),
+      dataType: 'json',
+      contentType: 'application/json',
+      data: JSON.stringify({
+        version: state.importPayload.version,
+        rules: state.importPayload.rules,
+        mode,
+        dryRun,
+        // Applying checks the rules are still the ones the preview was compared with.
+        expectedRevision: dryRun ? null : state.importRevision
+      })
+    });
+
+    renderImportDiff(page, result);
+    const hasChanges = countImportChanges(result) > 0;
+
+    if (dryRun) {
+      state.importRevision = resolveRevision(result);
+      page.querySelector('.trackrules-import-apply').disabled = !hasChanges;
+      setStatus(statusTarget, hasChanges ? 'Review the changes below, then apply.' : 'Nothing would change.');
+      return;
+    }
+
+    page.querySelector('.trackrules-import-apply').disabled = true;
+    if (result && result.Applied) {
+      setStatus(statusTarget, `Imported: ${describeImportCounts(result)}.`);
+      await loadRuleSet(page, state.selectedUserId);
+    } else {
+      setStatus(statusTarget, 'Nothing was imported.');
+    }
+  }
+
+  function resetImportPreview(page) {
+    page.querySelector('.trackrules-import-apply').disabled = true;
+    const container = page.querySelector('.trackrules-import-diff');
+    container.innerHTML = '';
+    container.classList.add('hide');
+  }
+
+  function countImportChanges(result) {
+    if (!result) {
+      return 0;
+    }
+
+    return (result.Added || []).length + (result.Changed || []).length + (result.Removed || []).length;
+  }
+
+  function describeImportCounts(result) {
+    return [
+      `${(result.Added || []).length} added`,
+      `${(result.Changed || []).length} changed`,
+      `${(result.Removed || []).length} removed`,
+      `${result.Unchanged || 0} unchanged`
+    ].join(', ');
+  }
+
+  function renderImportDiff(page, result) {
+    const container = page.querySelector('.trackrules-import-diff');
+    container.innerHTML = '';
+
+    if (!result) {
+      container.classList.add('hide');
+      return;
+    }
+
+    const summary = document.createElement('p');
+    summary.textContent = describeImportCounts(result);
+    container.appendChild(summary);
+
+    appendDiffSection(container, 'Added', 'trackrules-diff-added', result.Added, (rule) => describeRuleLine(rule));
+    appendDiffSection(container, 'Changed', 'trackrules-diff-changed', result.Changed, (change) =>
+      `${describeScope(change.After.Scope, change.After)}: ${describeRuleSettings(change.Before)} → ${describeRuleSettings(change.After)}`);
+    appendDiffSection(container, 'Removed', 'trackrules-diff-removed', result.Removed, (rule) => describeRuleLine(rule));
+    appendDiffSection(container, 'Skipped', '', result.Issues, (issue) =>
+      `Rule ${issue.Index + 1}: ${issue.Message}`);
+
+    container.classList.remove('hide');
+  }
+
+  function appendDiffSection(container, title, className, entries, describe) {
+    if (!Array.isArray(entries) || !entries.length) {
+      return;
+    }
+
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${entries.length})`;
+    if (className) {
+      heading.className = className;
+    }
+
+    const list = document.createElement('ul');
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      item.textContent = describe(entry);
+      list.appendChild(item);
+    });
+
+    container.appendChild(heading);
+    container.appendChild(list);
+  }
+
+  function describeRuleLine(rule) {
+    return `${describeScope(rule.Scope ?? rule.scope, rule)}: ${describeRuleSettings(rule)}`;
+  }
+
+  function describeRuleSettings(rule) {
+    const parts = [
+      `audio ${(rule.Audio || rule.audio || []).map(describeLanguage).join(', ')}`,
+      `subs ${(rule.Subs || rule.subs || []).map(describeLanguage).join(', ')}`,
+      SUBTITLE_MODE_LABEL[rule.SubsMode ?? rule.subsMode ?? 1]
+    ];
+
+    const subsFormat = SUBTITLE_FORMAT_LABEL[rule.SubsFormat ?? rule.subsFormat ?? 0];
+    if (subsFormat) {
+      parts.push(subsFormat);
+    }
+
+    const subsSource = SUBTITLE_SOURCE_LABEL[rule.SubsSource ?? rule.subsSource ?? 0];
+    if (subsSource) {
+      parts.push(subsSource);
+    }
+
+    const codecs = rule.AudioCodecs || rule.audioCodecs || [];
+    if (codecs.length) {
+      parts.push(`codecs ${codecs.map(formatCodec).join(' > ')}`);
+    }
+
+    const maxChannels = rule.MaxChannels ?? rule.maxChannels;
+    if (maxChannels) {
+      parts.push(`max ${formatChannels(maxChannels)}`);
+    }
+
+    const preferredChannels = rule.PreferredChannels ?? rule.preferredChannels;
+    if (preferredChannels) {
+      parts.push(`prefer ${formatChannels(preferredChannels)}`);
+    }
+
+    if (rule.PreferLossless ?? rule.preferLossless) {
+      parts.push('lossless');
+    }
+
+    const audioExclude = rule.AudioTitleExclude || rule.audioTitleExclude || [];
+    const subsExclude = rule.SubsTitleExclude || rule.subsTitleExclude || [];
+    if (audioExclude.length || subsExclude.length) {
+      parts.push(`skips ${audioExclude.concat(subsExclude).join(', ')}`);
+    }
+
+    const audioInclude = rule.AudioTitleInclude || rule.audioTitleInclude || [];
+    const subsInclude = rule.SubsTitleInclude || rule.subsTitleInclude || [];
+    if (audioInclude.length || subsInclude.length) {
+      parts.push(`prefers ${audioInclude.concat(subsInclude).join(', ')}`);
+    }
+
+    if (rule.DontTranscode ?? rule.dontTranscode) {
+      parts.push('no transcode');
+    }
+
+    if ((rule.Enabled ?? rule.enabled) === false) {
+      parts.push('disabled');
+    }
+
+    return parts.join(' · ');
+  }
+
+  // Catalog name for a language code; keywords and codes the catalog lacks are shown as stored.
+  function describeLanguage(code) {
+    return state.languageNames.get(String(code).toLowerCase()) || String(code);
+  }
+
+  function describeScope(scope, rule) {
+    if (scope === RULE_SCOPE.Item) {
+      return `Item · ${describeRuleTarget(rule)}`;
+    }
+
+    if (scope === RULE_SCOPE.Season) {
+      return `Season · ${describeRuleTarget(rule)}`;
+    }
+
+    if (scope === RULE_SCOPE.Series) {
+      return `Series · ${describeRuleTarget(rule)}`;
+    }
+
+    if (scope === RULE_SCOPE.Collection) {
+      return `Collection · ${describeRuleTarget(rule)}`;
+    }
+
+    if (METADATA_SCOPE_LABEL[scope]) {
+      return `${METADATA_SCOPE_LABEL[scope]} · ${rule.TargetValue || rule.targetValue || ''}`;
+    }
+
+    if (scope === RULE_SCOPE.Library) {
+      const library = state.libraries.find((lib) => lib.id === (rule.TargetId || rule.targetId));
+      return `Library · ${(library && library.name) || describeRuleTarget(rule)}`;
+    }
+
+    return 'Global';
+  }
+
+  // Prefers the live name, then the name stored with the rule, then the bare id.
+  function describeRuleTarget(rule) {
+    const target = findTarget(rule);
+    if (target && target.Exists) {
+      return target.SeriesName ? `${target.SeriesName} · ${target.Name}` : target.Name;
+    }
+
+    return rule.TargetName || rule.targetName || rule.SeriesName || rule.TargetId || rule.targetId || '';
+  }
+
+
+  function getRuleKey(rule) {
+    const scope = typeof rule.Scope === 'number' ? rule.Scope : rule.scope;
+    const target = rule.TargetId || rule.targetId || '';
+    const value = (rule.TargetValue || rule.targetValue || '').trim().toLowerCase();
+    return `${scope}:${target}:${value}`;
+  }
+
+  function editRule(page, key) {
+    if (!state.rules || !Array.isArray(state.rules.Rules)) {
+      return;
+    }
+
+    const rule = state.rules.Rules.find((r) => getRuleKey(r) === key);
+    if (!rule) {
+      return;
+    }
+
+    state.editingKey = key;
+    const scopeField = page.querySelector('.trackrules-scope');
+    scopeField.value = (rule.Scope ?? rule.scope ?? 0).toString();
+
+    const subsModeField = page.querySelector('.trackrules-subs-mode');
+    const guardField = page.querySelector('.trackrules-dont-transcode');
+    const enabledField = page.querySelector('.trackrules-enabled');
+
+    setLanguageList(page.querySelector('.trackrules-audio'), rule.Audio || rule.audio || []);
+    setLanguageList(page.querySelector('.trackrules-subs'), rule.Subs || rule.subs || []);
+    subsModeField.value = (rule.SubsMode ?? rule.subsMode ?? 1).toString();
+    page.querySelector('.trackrules-subs-format').value = (rule.SubsFormat ?? rule.subsFormat ?? 0).toString();
+    page.querySelector('.trackrules-subs-source').value = (rule.SubsSource ?? rule.subsSource ?? 0).toString();
+    page.querySelector('.trackrules-audio-codecs').value = (rule.AudioCodecs || rule.audioCodecs || []).join(',');
+    setChannelCount(page.querySelector('.trackrules-max-channels'), rule.MaxChannels ?? rule.maxChannels);
+    setChannelCount(page.querySelector('.trackrules-preferred-channels'), rule.PreferredChannels ?? rule.preferredChannels);
+    page.querySelector('.trackrules-prefer-lossless').checked = !!(rule.PreferLossless ?? rule.preferLossless);
+    page.querySelector('.trackrules-audio-title-include').value = (rule.AudioTitleInclude || rule.audioTitleInclude || []).join('\n');
+    page.querySelector('.trackrules-audio-title-exclude').value = (rule.AudioTitleExclude || rule.audioTitleExclude || []).join('\n');
+    page.querySelector('.trackrules-subs-title-include').value = (rule.SubsTitleInclude || rule.subsTitleInclude || []).join('\n');
+    page.querySelector('.trackrules-subs-title-exclude').value = (rule.SubsTitleExclude || rule.subsTitleExclude || []).join('\n');
+    guardField.checked = !!(rule.DontTranscode ?? rule.dontTranscode);
+    page.querySelector('.trackrules-transcode-fallback').value =
+      (rule.TranscodeFallback ?? rule.transcodeFallback ?? TRANSCODE_FALLBACK.Skip).toString();
+    updateFallbackVisibility(page);
+    enabledField.checked = (rule.Enabled ?? rule.enabled) !== false;
+
+    if ((rule.Scope ?? rule.scope) === RULE_SCOPE.Library) {
+      const targetField = page.querySelector('.trackrules-library');
+      targetField.value = rule.TargetId || rule.targetId || '';
+    } else if ((rule.Scope ?? rule.scope) === RULE_SCOPE.Series) {
+      page.querySelector('.trackrules-series-id').value = rule.TargetId || rule.targetId || '';
+      page.querySelector('.trackrules-series-search').value = rule.TargetName || rule.SeriesName || '';
+    } else if ((rule.Scope ?? rule.scope) === RULE_SCOPE.Season) {
+      loadSeasonTarget(page, rule.TargetId || rule.targetId || '').catch((err) => {
+        console.error('[TrackRules] Failed to resolve season', err);
+        setStatus(page.querySelector('.trackrules-editor-status'), 'Unable to load the season for this rule.', true);
+      });
+    } else if ((rule.Scope ?? rule.scope) === RULE_SCOPE.Item) {
+      page.querySelector('.trackrules-item-id').value = rule.TargetId || rule.targetId || '';
+      loadItemTarget(page, rule.TargetId || rule.targetId || '').catch((err) => {
+        console.error('[TrackRules] Failed to resolve item', err);
+      });
+    } else if ((rule.Scope ?? rule.scope) === RULE_SCOPE.Collection) {
+      page.querySelector('.trackrules-collection-id').value = rule.TargetId || rule.targetId || '';
+      page.querySelector('.trackrules-collection-search').value = describeRuleTarget(rule);
+    } else if (METADATA_SCOPE_LABEL[rule.Scope ?? rule.scope]) {
+      page.querySelector('.trackrules-target-value-input').value = rule.TargetValue || rule.targetValue || '';
+    }
+
+    updateTargetVisibility(page);
+    setStatus(page.querySelector('.trackrules-editor-status'), 'Editing existing rule.');
+  }
+
+  async function deleteRule(page, key) {
+    if (!state.rules || !Array.isArray(state.rules.Rules)) {
+      return;
+    }
+
+    const saved = await commitRules(page, () => {
+      state.rules.Rules = state.rules.Rules.filter((rule) => getRuleKey(rule) !== key);
+    });
+    if (!saved) {
+      return;
+    }
+
+    renderRuleList(page);
+    setStatus(page.querySelector('.trackrules-user-status'), 'Rule deleted.');
+  }
+
+  function resetForm(page) {
+    page.querySelector('.trackrules-scope').value = '0';
+    page.querySelector('.trackrules-library').selectedIndex = 0;
+    page.querySelector('.trackrules-series-search').value = '';
+    page.querySelector('.trackrules-series-id').value = '';
+    page.querySelector('.trackrules-item-search').value = '';
+    page.querySelector('.trackrules-item-id').value = '';
+    page.querySelector('.trackrules-collection-search').value = '';
+    page.querySelector('.trackrules-collection-id').value = '';
+    page.querySelector('.trackrules-target-value-input').value = '';
+    resetSeasonSelect(page, 'Pick a series first');
+    setLanguageList(page.querySelector('.trackrules-audio'), ['any']);
+    setLanguageList(page.querySelector('.trackrules-subs'), ['none']);
+    page.querySelector('.trackrules-subs-mode').value = '1';
+    page.querySelector('.trackrules-subs-format').value = '0';
+    page.querySelector('.trackrules-subs-source').value = '0';
+    page.querySelector('.trackrules-audio-codecs').value = '';
+    page.querySelector('.trackrules-max-channels').value = '';
+    page.querySelector('.trackrules-preferred-channels').value = '';
+    page.querySelector('.trackrules-prefer-lossless').checked = false;
+    page.querySelector('.trackrules-audio-title-include').value = '';
+    page.querySelector('.trackrules-audio-title-exclude').value = '';
+    page.querySelector('.trackrules-subs-title-include').value = '';
+    page.querySelector('.trackrules-subs-title-exclude').value = '';
+    page.querySelector('.trackrules-dont-transcode').checked = false;
+    page.querySelector('.trackrules-transcode-fallback').value = TRANSCODE_FALLBACK.Skip.toString();
+    updateFallbackVisibility(page);
+    page.querySelector('.trackrules-enabled').checked = true;
+    updateTargetVisibility(page);
+    clearSearchResults(page);
+    clearSearchResults(page, '.trackrules-item-results');
+    clearSearchResults(page, '.trackrules-collection-results');
+    renderPreview(page, null);
+    clearFieldIssues(page);
+    setStatus(page.querySelector('.trackrules-editor-status'), '');
+  }
+
+  function normalizeList(value, fallback) {
+    if (!value) {
+      return [fallback];
+    }
+
+    const parts = value.split(',')
+      .map((part) => part.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (!parts.length) {
+      return [fallback];
+    }
+
+    return parts;
+  }
+
+  function bindLanguagePicker(page, field) {
+    const picker = page.querySelector(`.trackrules-${field}`);
+    const input = picker.querySelector('.trackrules-language-input');
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ',') {
+        event.preventDefault();
+        addLanguageEntry(picker, input.value);
+      } else if (event.key === 'Backspace' && !input.value) {
+        const codes = readLanguageChips(picker);
+        if (codes.length) {
+          setLanguageList(picker, codes.slice(0, -1));
+        }
+      }
+    });
+
+    input.addEventListener('input', (event) => {
+      if (state.languageSearchTimers[field]) {
+        clearTimeout(state.languageSearchTimers[field]);
+      }
+
+      // Picking a suggestion replaces the text with its code; add it without waiting for Enter.
+      if (event.inputType === 'insertReplacementText' || (!event.inputType && findLanguageEntry(input.value))) {
+        addLanguageEntry(picker, input.value);
+        return;
+      }
+
+      state.languageSearchTimers[field] = setTimeout(() => {
+        checkLanguageEntry(picker, input.value).catch((err) => {
+          console.warn('[TrackRules] Language lookup failed', err);
+        });
+      }, 250);
+    });
+
+    // Text left in the box when focus moves on (e.g. to Save) is added; saving waits for it in settleLanguageEntries.
+    input.addEventListener('blur', () => {
+      if (input.value.trim()) {
+        addLanguageEntry(picker, input.value);
+      }
+    });
+  }
+
+  // Waits for entries still being looked up on the server, then reports text that did not resolve to a language.
+  // Returns false (after showing why) when the editor should not be read yet.
+  async function settleLanguageEntries(page, statusTarget) {
+    await Promise.all(Array.from(state.pendingLanguageEntries));
+
+    const unresolved = ['audio', 'subs']
+      .map((field) => page.querySelector(`.trackrules-${field} .trackrules-language-input`))
+      .find((input) => input.value.trim());
+    if (unresolved) {
+      setStatus(statusTarget, `"${unresolved.value.trim()}" is not a known language. Fix or clear it first.`, true);
+      unresolved.focus();
+      return false;
+    }
+
+    return true;
+  }
+
+  // Every code and name the catalog knows a language by, for checking entries without a server round trip.
+  function indexLanguages(languages) {
+    state.languageLookup = new Map();
+    languages.forEach((language) => {
+      const code = (language.Code || language.code || '').toLowerCase();
+      if (!code) {
+        return;
+      }
+
+      [
+        code,
+        language.Part1 || language.part1,
+        language.Part2B || language.part2B,
+        language.Part2T || language.part2T,
+        language.Part3 || language.part3,
+        language.Name || language.name,
+        language.NativeName || language.nativeName
+      ].concat(language.OtherNames || language.otherNames || []).forEach((key) => {
+        // Regional variants share their base language's ISO codes; those keys belong to the base.
+        const lookupKey = key && String(key).toLowerCase();
+        if (lookupKey && !state.languageLookup.has(lookupKey)) {
+          state.languageLookup.set(lookupKey, code);
+        }
+      });
+    });
+  }
+
+  function populateLanguageOptions(page, languages) {
+    const datalist = page.querySelector('#trackrulesLanguageOptions');
+    datalist.innerHTML = '';
+    Object.keys(LANGUAGE_KEYWORDS).forEach((keyword) => {
+      appendLanguageOption(datalist, keyword, LANGUAGE_KEYWORDS[keyword]);
+    });
+
+    languages.forEach((language) => {
+      appendLanguageOption(datalist, (language.Code || language.code || '').toLowerCase(), formatLanguageOption(language));
+    });
+  }
+
+  function appendLanguageOption(datalist, code, label) {
+    if (!datalist || !code || datalist.querySelector(`option[value="${code}"]`)) {
+      return;
+    }
+
+    const option = document.createElement('option');
+    option.value = code;
+    option.label = label;
+    datalist.appendChild(option);
+  }
+
+  function formatLanguageOption(language) {
+    const name = language.Name || language.name || language.Code || language.code;
+    const nativeName = language.NativeName || language.nativeName;
+    return nativeName && nativeName !== name ? `${name} · ${nativeName}` : name;
+  }
+
+  // Keywords and catalog entries resolve locally; null means the server has to be asked.
+  function findLanguageEntry(value) {
+    const key = (value || '').trim().toLowerCase();
+    if (LANGUAGE_KEYWORDS[key]) {
+      return key;
+    }
+
+    return state.languageLookup.get(key) || null;
+  }
+
+  async function resolveLanguageEntry(value) {
+    const local = findLanguageEntry(value);
+    if (local) {
+      return local;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      return null;
+    }
+
+    try {
+      const language = await apiClient.ajax({
+        type: 'GET',
+        url: apiClient.getUrl('TrackRules/languages/resolve', { value: value.trim() }),
+        dataType: 'json'
+      });
+      const code = (language.Code || language.code || '').toLowerCase();
+      state.languageNames.set(code, language.Name || language.name || code);
+      return code || null;
+    } catch (error) {
+      if (!(error && (error.status === 404 || (error.response && error.response.status === 404)))) {
+        console.warn('[TrackRules] Language lookup failed', error);
+      }
+
+      return null;
+    }
+  }
+
+  function addLanguageEntry(picker, value) {
+    const entry = appendLanguageEntry(picker, value);
+    state.pendingLanguageEntries.add(entry);
+    return entry.finally(() => state.pendingLanguageEntries.delete(entry));
+  }
+
+  async function appendLanguageEntry(picker, value) {
+    const input = picker.querySelector('.trackrules-language-input');
+    const term = (value || '').trim();
+    if (!term) {
+      return;
+    }
+
+    // Clear first so Enter followed by blur does not add the same entry twice.
+    input.value = '';
+    const code = await resolveLanguageEntry(term);
+    if (!code) {
+      if (!input.value) {
+        input.value = term;
+      }
+
+      setLanguageHint(picker, `"${term}" is not a known language code or name.`, true);
+      return;
+    }
+
+    const codes = readLanguageChips(picker);
+    if (codes.includes(code)) {
+      setLanguageHint(picker, `${describeLanguageEntry(code)} is already in the list.`);
+      return;
+    }
+
+    // A keyword ends the list when resolving. "none" turns subtitles off, so it replaces the list; "any" becomes the
+    // last fallback after the languages. A language replaces a lone keyword (new rules start with one) and
+    // otherwise goes before the keyword that ends the list.
+    const end = codes.findIndex((entry) => LANGUAGE_KEYWORDS[entry]);
+    const languages = end < 0 ? codes : codes.slice(0, end);
+    if (code === 'none') {
+      setLanguageList(picker, [code]);
+    } else if (LANGUAGE_KEYWORDS[code]) {
+      setLanguageList(picker, languages.concat(code));
+    } else if (!languages.length) {
+      setLanguageList(picker, [code]);
+    } else {
+      setLanguageList(picker, languages.concat(code, end < 0 ? [] : codes.slice(end)));
+    }
+  }
+
+  // Runs as the user types: confirms what Enter would add, or offers close matches for a typo like "jap".
+  async function checkLanguageEntry(picker, value) {
+    const input = picker.querySelector('.trackrules-language-input');
+    const term = (value || '').trim();
+    if (!term) {
+      setLanguageHint(picker, '');
+      return;
+    }
+
+    const code = await resolveLanguageEntry(term);
+    if (input.value.trim() !== term) {
+      return;
+    }
+
+    if (code) {
+      setLanguageHint(picker, `Press Enter to add ${describeLanguageEntry(code)} (${code}).`);
+      return;
+    }
+
+    const matches = await searchLanguages(term);
+    if (input.value.trim() !== term) {
+      return;
+    }
+
+    matches.forEach((language) => {
+      appendLanguageOption(input.list, (language.Code || language.code || '').toLowerCase(), formatLanguageOption(language));
+    });
+
+    setLanguageHint(picker, matches.length
+      ? `"${term}" is not a language yet. Did you mean ${matches.slice(0, 3).map((language) => language.Name || language.name).join(', ')}?`
+      : `No language matches "${term}".`, true);
+  }
+
+  async function searchLanguages(term) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      return [];
+    }
+
+    try {
+      const languages = await apiClient.ajax({
+        type: 'GET',
+        url: apiClient.getUrl('TrackRules/languages', { search: term }),
+        dataType: 'json'
+      });
+      return Array.isArray(languages) ? languages : [];
+    } catch (error) {
+      console.warn('[TrackRules] Language search failed', error);
+      return [];
+    }
+  }
+
+  function setLanguageHint(picker, message, isInvalid) {
+    const hint = picker.querySelector('.trackrules-language-hint');
+    hint.textContent = message || '';
+    hint.classList.toggle('trackrules-language-invalid', !!isInvalid);
+  }
+
+  function describeLanguageEntry(code) {
+    return LANGUAGE_KEYWORDS[code] || describeLanguage(code);
+  }
+
+  function setLanguageList(picker, codes) {
+    const container = picker.querySelector('.trackrules-chips');
+    const list = codes.map((code) => String(code).toLowerCase());
+    container.innerHTML = '';
+    list.forEach((code, index) => {
+      const chip = document.createElement('span');
+      chip.className = 'trackrules-chip';
+      chip.classList.toggle('trackrules-chip-keyword', !!LANGUAGE_KEYWORDS[code]);
+      chip.dataset.code = code;
+      chip.title = code;
+
+      const label = document.createElement('span');
+      label.textContent = describeLanguageEntry(code);
+      chip.appendChild(label);
+
+      chip.appendChild(createChipButton('‹', 'Move earlier', index === 0, () => {
+        setLanguageList(picker, moveEntry(list, index, index - 1));
+      }));
+      chip.appendChild(createChipButton('›', 'Move later', index === list.length - 1, () => {
+        setLanguageList(picker, moveEntry(list, index, index + 1));
+      }));
+      chip.appendChild(createChipButton('×', 'Remove', false, () => {
+        setLanguageList(picker, list.filter((_, position) => position !== index));
+      }));
+      container.appendChild(chip);
+    });
+
+    picker.querySelector('.trackrules-language-input').value = '';
+    setLanguageHint(picker, list.length ? '' : `Empty lists save as "${picker.dataset.fallback}".`);
+  }
+
+  function createChipButton(text, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function moveEntry(list, from, to) {
+    const moved = list.slice();
+    const [entry] = moved.splice(from, 1);
+    moved.splice(to, 0, entry);
+    return moved;
+  }
+
+  function readLanguageChips(picker) {
+    return Array.from(picker.querySelectorAll('.trackrules-chip')).map((chip) => chip.dataset.code);
+  }
+
+  function readLanguageList(picker) {
+    const codes = readLanguageChips(picker);
+    return codes.length ? codes : [picker.dataset.fallback];
+  }
+
+  // Title patterns may contain commas (e.g. /a{1,3}/), so they are entered one per line.
+  function splitLines(value) {
+    return (value || '').split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
+  // Genre and tag names keep their case; unlike language codes they are shown to users as typed.
+  function splitNames(value) {
+    return (value || '').split(',')
+      .map((part) => part.trim())
+      .filter(Boolean);
+  }
+
+  function readEditorRule(page) {
     const scope = Number(page.querySelector('.trackrules-scope').value);
     let targetId = null;
 
-    if (scope === RULE_SCOPE.Library) {
-      targetId = page.querySelector('.trackrules-library').value || null;
-      if (!targetId) {
-        setStatus(page.querySelector('.trackrules-editor-status'), 'Choose a library.', true);
-        return;
-      }
-    } else if (scope === RULE_SCOPE.Series) {
-      targetId = page.querySelector('.trackrules-series-id').value || null;
-      if (!targetId) {
-        setStatus(page.querySelector('.trackrules-editor-status'), 'Select a series from search results.', true);
-        return;
-      }
+    if (scope === RULE_SCOPE.Library) {
+      targetId = page.querySelector('.trackrules-library').value || null;
+      if (!targetId) {
+        setStatus(page.querySelector('.trackrules-editor-status'), 'Choose a library.', true);
+        return null;
+      }
+    } else if (scope === RULE_SCOPE.Series) {
+      targetId = page.querySelector('.trackrules-series-id').value || null;
+      if (!targetId) {
+        setStatus(page.querySelector('.trackrules-editor-status'), 'Select a series from search results.', true);
+        return null;
+      }
+    } else if (scope === RULE_SCOPE.Season) {
+      targetId = page.querySelector('.trackrules-season').value || null;
+      if (!targetId) {
+        setStatus(page.querySelector('.trackrules-editor-status'), 'Select a series, then choose a season.', true);
+        return null;
+      }
+    } else if (scope === RULE_SCOPE.Item) {
+      targetId = page.querySelector('.trackrules-item-id').value || null;
+      if (!targetId) {
+        setStatus(page.querySelector('.trackrules-editor-status'), 'Select a movie or episode from search results.', true);
+        return null;
+      }
+    } else if (scope === RULE_SCOPE.Collection) {
+      targetId = page.querySelector('.trackrules-collection-id').value || null;
+      if (!targetId) {
+        setStatus(page.querySelector('.trackrules-editor-status'), 'Select a collection from search results.', true);
+        return null;
+      }
+    }
+
+    let targetValue = null;
+    if (METADATA_SCOPE_LABEL[scope]) {
+      targetValue = page.querySelector('.trackrules-target-value-input').value.trim() || null;
+      if (!targetValue) {
+        setStatus(page.querySelector('.trackrules-editor-status'), `Enter the ${METADATA_SCOPE_LABEL[scope].toLowerCase()} to match.`, true);
+        return null;
+      }
+    }
+
+    return Object.assign({ Scope: scope, TargetId: targetId, TargetValue: targetValue }, readEditorSettings(page));
+  }
+
+  // Everything the editor configures except the target; shared with bulk series rules.
+  function readEditorSettings(page) {
+    return {
+      Audio: readLanguageList(page.querySelector('.trackrules-audio')),
+      Subs: readLanguageList(page.querySelector('.trackrules-subs')),
+      SubsMode: Number(page.querySelector('.trackrules-subs-mode').value || 1),
+      SubsFormat: Number(page.querySelector('.trackrules-subs-format').value || 0),
+      SubsSource: Number(page.querySelector('.trackrules-subs-source').value || 0),
+      AudioCodecs: splitNames(page.querySelector('.trackrules-audio-codecs').value.toLowerCase()),
+      MaxChannels: readChannelCount(page.querySelector('.trackrules-max-channels')),
+      PreferredChannels: readChannelCount(page.querySelector('.trackrules-preferred-channels')),
+      PreferLossless: !!page.querySelector('.trackrules-prefer-lossless').checked,
+      AudioTitleInclude: splitLines(page.querySelector('.trackrules-audio-title-include').value),
+      AudioTitleExclude: splitLines(page.querySelector('.trackrules-audio-title-exclude').value),
+      SubsTitleInclude: splitLines(page.querySelector('.trackrules-subs-title-include').value),
+      SubsTitleExclude: splitLines(page.querySelector('.trackrules-subs-title-exclude').value),
+      DontTranscode: !!page.querySelector('.trackrules-dont-transcode').checked,
+      TranscodeFallback: Number(page.querySelector('.trackrules-transcode-fallback').value || TRANSCODE_FALLBACK.Skip),
+      Enabled: !!page.querySelector('.trackrules-enabled').checked
+    };
+  }
+
+  function readChannelCount(select) {
+    return select.value ? Number(select.value) : null;
+  }
+
+  // Rules saved through the API may use counts the select does not list; add them so editing keeps the value.
+  function setChannelCount(select, value) {
+    const text = value ? value.toString() : '';
+    if (text && !Array.from(select.options).some((option) => option.value === text)) {
+      const option = document.createElement('option');
+      option.value = text;
+      option.textContent = `${text} channels`;
+      select.appendChild(option);
+    }
+
+    select.value = text;
+  }
+
+  async function persistEditorRule(page) {
+    if (!state.selectedUserId) {
+      setStatus(page.querySelector('.trackrules-editor-status'), 'Select a user first.', true);
+      return;
+    }
+
+    if (!await settleLanguageEntries(page, page.querySelector('.trackrules-editor-status'))) {
+      return;
+    }
+
+    const rule = readEditorRule(page);
+    if (!rule) {
+      return;
+    }
+
+    clearFieldIssues(page);
+
+    // Mirrors upsertRule, so validation issue indexes line up with what is sent.
+    const currentRules = (state.rules && state.rules.Rules) || [];
+    const existingIndex = currentRules.findIndex((existing) => getRuleKey(existing) === getRuleKey(rule));
+    const ruleIndex = existingIndex >= 0 ? existingIndex : currentRules.length;
+    const sentRules = currentRules.slice();
+    sentRules[ruleIndex] = rule;
+
+    let saved;
+    try {
+      saved = await commitRules(page, () => {
+        upsertRule(rule);
+      });
+    } catch (error) {
+      const problem = await readValidationProblem(error);
+      if (!problem) {
+        throw error;
+      }
+
+      showRuleIssues(page, problem.Issues, ruleIndex, sentRules);
+      setStatus(page.querySelector('.trackrules-editor-status'), problem.Message || 'Fix the highlighted fields and save again.', true);
+      return;
+    }
+
+    if (!saved) {
+      return;
+    }
+
+    const warnings = (state.rules && state.rules.Issues) || [];
+    renderRuleList(page);
+    resetForm(page);
+    state.editingKey = null;
+    setStatus(page.querySelector('.trackrules-user-status'), warnings.length
+      ? `Rule saved with warnings: ${warnings.map((issue) => issue.Message).join(' ')}`
+      : 'Rule saved.');
+  }
+
+  // A 400 from rule validation carries per-rule issues; anything else is not ours to interpret.
+  async function readValidationProblem(error) {
+    const response = error && typeof error.json === 'function' ? error : error && error.response;
+    if (!response || response.status !== 400 || typeof response.json !== 'function') {
+      return null;
+    }
+
+    try {
+      const body = await response.json();
+      const issues = body && (body.Issues || body.issues);
+      return Array.isArray(issues) ? { Message: body.Message || body.message, Issues: issues } : null;
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  function showRuleIssues(page, issues, ruleIndex, sentRules) {
+    const otherIssues = [];
+    issues.forEach((issue) => {
+      const index = issue.Index ?? issue.index;
+      if (index !== ruleIndex || !showFieldIssue(page, issue)) {
+        otherIssues.push(issue);
+      }
+    });
+
+    const errors = otherIssues.filter((issue) => (issue.Severity ?? issue.severity) === ISSUE_SEVERITY.Error);
+    if (errors.length) {
+      setStatus(page.querySelector('.trackrules-user-status'), errors.map((issue) => {
+        const rule = sentRules[issue.Index ?? issue.index];
+        return `${rule ? describeScope(rule.Scope, rule) : 'Rule'}: ${issue.Message || issue.message}`;
+      }).join(' '), true);
+    }
+  }
+
+  function showFieldIssue(page, issue) {
+    const field = issue.Field || issue.field;
+    const selector = field === 'targetId' || field === 'targetValue'
+      ? TARGET_FIELD_SELECTOR[Number(page.querySelector('.trackrules-scope').value)] || ISSUE_FIELD_SELECTOR.scope
+      : ISSUE_FIELD_SELECTOR[field];
+    const input = selector && page.querySelector(selector);
+    const container = input && (input.classList.contains('trackrules-field') ? input : input.closest('.trackrules-field'));
+    if (!container) {
+      return false;
+    }
+
+    const message = document.createElement('div');
+    message.className = 'trackrules-field-issue';
+    if ((issue.Severity ?? issue.severity) !== ISSUE_SEVERITY.Error) {
+      message.classList.add('trackrules-field-warning');
+    }
+
+    message.textContent = issue.Message || issue.message;
+    container.appendChild(message);
+    return true;
+  }
+
+  function clearFieldIssues(page) {
+    page.querySelectorAll('.trackrules-field-issue').forEach((element) => element.remove());
+  }
+
+  async function previewEditorRule(page) {
+    const statusTarget = page.querySelector('.trackrules-editor-status');
+    if (!state.selectedUserId) {
+      setStatus(statusTarget, 'Select a user first.', true);
+      return;
+    }
+
+    const itemId = page.querySelector('.trackrules-preview-id').value;
+    if (!itemId) {
+      setStatus(statusTarget, 'Pick a movie or episode to preview against.', true);
+      return;
+    }
+
+    if (!await settleLanguageEntries(page, statusTarget)) {
+      return;
+    }
+
+    const rule = readEditorRule(page);
+    if (!rule) {
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    setStatus(statusTarget, 'Requesting preview…');
+    const result = await apiClient.ajax({
+      type: 'POST',
+      url: apiClient.getUrl('TrackRules/preview'),
+      dataType: 'json',
+      contentType: 'application/json',
+      data: JSON.stringify({
+        userId: state.selectedUserId,
+        itemId,
+        overrideRule: rule,
+        includeTrace: true
+      })
+    });
+
+    const messages = [];
+    if (result && result.Reason) {
+      messages.push(result.Reason);
+    }
+
+    const transcode = describeTranscodeRisk(result, rule);
+    if (transcode) {
+      messages.push(transcode);
+    }
+
+    setStatus(statusTarget, messages.join(' · '), !!(result && result.TranscodeRisk && !result.CompatibleFallback));
+    renderPreview(page, result);
+  }
+
+  function describeGuard(rule) {
+    if (!(rule.DontTranscode ?? rule.dontTranscode)) {
+      return 'No';
+    }
+
+    return (rule.TranscodeFallback ?? rule.transcodeFallback) === TRANSCODE_FALLBACK.Compatible
+      ? 'Yes, fall back to a compatible track'
+      : 'Yes, skip the change';
+  }
+
+  function describeTranscodeRisk(result, rule) {
+    if (!result) {
+      return '';
+    }
+
+    if (!result.TranscodeRisk) {
+      return result.TranscodeRiskReason || '';
+    }
+
+    const device = result.TranscodeDevice ? ` on ${result.TranscodeDevice}` : '';
+    const reason = result.TranscodeRiskReason ? ` (${result.TranscodeRiskReason})` : '';
+    if (!rule.DontTranscode) {
+      return `Warning: this change will force a transcode${device}${reason}.`;
+    }
+
+    if (result.CompatibleFallback) {
+      return `The preferred tracks would force a transcode${device}${reason}; showing the compatible fallback.`;
+    }
+
+    return `This change would force a transcode${device}${reason}, so it will be skipped.`;
+  }
+
+  function renderPreview(page, result) {
+    const container = page.querySelector('.trackrules-preview');
+    container.innerHTML = '';
+
+    if (!result || (!result.CurrentAudio && !result.Audio && !result.CurrentSubtitle && !result.Subtitle)) {
+      container.classList.add('hide');
+      return;
     }
 
-    const rule = {
-      Scope: scope,
-      TargetId: targetId,
-      Audio: normalizeList(page.querySelector('.trackrules-audio').value, 'any'),
-      Subs: normalizeList(page.querySelector('.trackrules-subs').value, 'none'),
-      SubsMode: Number(page.querySelector('.trackrules-subs-mode').value || 1),
-      DontTranscode: !!page.querySelector('.trackrules-dont-transcode').checked,
-      Enabled: !!page.querySelector('.trackrules-enabled').checked
+    container.appendChild(createPreviewRow('Audio', result.CurrentAudio, result.Audio));
+    container.appendChild(createPreviewRow('Subtitles', result.CurrentSubtitle, result.Subtitle));
+    if (result.Trace) {
+      container.appendChild(createTraceDetails(result.Trace));
+    }
+
+    container.classList.remove('hide');
+  }
+
+  // Collapsed "Why?" section listing the resolver's steps, the rules it weighed and how each stream scored.
+  function createTraceDetails(trace) {
+    const details = document.createElement('details');
+    details.className = 'trackrules-trace';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Why these tracks?';
+    details.appendChild(summary);
+
+    appendTraceList(details, 'Steps', (trace.Steps || []).map((step) => ({ text: step })));
+    appendTraceList(details, 'Rules', (trace.Rules || []).map((entry) => ({
+      text: `${describeScope(entry.Rule.Scope, entry.Rule)}${entry.ServerDefault ? ' (server default)' : ''}: ` +
+        `${TRACE_OUTCOME_LABEL[entry.Outcome] || ''} · ${entry.Reason}`,
+      selected: entry.Outcome === 0
+    })));
+    appendTraceList(details, 'Audio tracks', (trace.Audio || []).map(describeStreamTrace));
+    appendTraceList(details, 'Subtitle tracks', (trace.Subtitles || []).map(describeStreamTrace));
+    return details;
+  }
+
+  function describeStreamTrace(stream) {
+    const language = stream.Language
+      ? (stream.NormalizedLanguage && stream.NormalizedLanguage !== stream.Language
+        ? `${stream.Language} → ${stream.NormalizedLanguage}`
+        : stream.Language)
+      : 'no language';
+    const title = stream.Title ? ` "${stream.Title}"` : '';
+    return {
+      text: `#${stream.Index} ${language}${title} · score ${stream.Score} (${stream.ScoreDetail}) · ${stream.Reason}`,
+      selected: stream.Selected
     };
+  }
 
-    upsertRule(rule);
-    await saveRules();
-    renderRuleList(page);
-    resetForm(page);
-    state.editingKey = null;
-    setStatus(page.querySelector('.trackrules-user-status'), 'Rule saved.');
+  function appendTraceList(details, heading, entries) {
+    if (!entries.length) {
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.className = 'trackrules-trace-heading';
+    title.textContent = heading;
+    details.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'trackrules-trace-list';
+    entries.forEach((entry) => {
+      const line = document.createElement('li');
+      line.textContent = entry.text;
+      if (entry.selected) {
+        line.className = 'trackrules-trace-selected';
+      }
+
+      list.appendChild(line);
+    });
+    details.appendChild(list);
+  }
+
+  function createPreviewRow(labelText, current, next) {
+    const row = document.createElement('div');
+    row.className = 'trackrules-preview-row';
+
+    const label = document.createElement('div');
+    label.className = 'trackrules-preview-kind';
+    label.textContent = labelText;
+    row.appendChild(label);
+
+    const changed = (current ? current.Index : null) !== (next ? next.Index : null);
+    row.appendChild(createStreamCard('Current default', current, false));
+
+    const arrow = document.createElement('span');
+    arrow.className = 'trackrules-preview-arrow';
+    arrow.textContent = '→';
+    row.appendChild(arrow);
+
+    row.appendChild(createStreamCard(changed ? 'With this rule' : 'Unchanged', next, changed));
+    return row;
+  }
+
+  function createStreamCard(caption, stream, highlight) {
+    const card = document.createElement('div');
+    card.className = highlight ? 'trackrules-stream-card trackrules-stream-changed' : 'trackrules-stream-card';
+
+    const heading = document.createElement('div');
+    heading.className = 'trackrules-stream-caption';
+    heading.textContent = caption;
+    card.appendChild(heading);
+
+    const summary = document.createElement('div');
+    summary.textContent = stream ? formatStream(stream) : 'Off';
+    card.appendChild(summary);
+
+    if (stream && stream.Title) {
+      const title = document.createElement('div');
+      title.className = 'trackrules-stream-title';
+      title.textContent = stream.Title;
+      card.appendChild(title);
+    }
+
+    return card;
+  }
+
+  function formatStream(stream) {
+    const parts = [stream.LanguageName || (stream.Language || '').toUpperCase() || 'Unknown language'];
+    const format = [formatCodec(stream.Codec), formatChannels(stream.Channels)].filter(Boolean).join(' ');
+    if (format) {
+      parts.push(format);
+    }
+
+    const flags = [];
+    if (stream.IsDefault) {
+      flags.push('default');
+    }
+
+    if (stream.IsForced) {
+      flags.push('forced');
+    }
+
+    if (stream.IsExternal) {
+      flags.push('external');
+    }
+
+    const text = parts.join(' · ');
+    return flags.length ? `${text} (${flags.join(', ')})` : text;
+  }
+
+  function formatCodec(codec) {
+    if (!codec) {
+      return '';
+    }
+
+    return CODEC_LABELS[codec.toLowerCase()] || codec.toUpperCase();
+  }
+
+  function formatChannels(channels) {
+    switch (channels) {
+      case 1:
+        return '1.0';
+      case 2:
+        return '2.0';
+      case 6:
+        return '5.1';
+      case 8:
+        return '7.1';
+      default:
+        return channels > 0 ? `${channels}ch` : '';
+    }
   }
 
   function upsertRule(rule) {
@@ -553,9 +2781,13 @@
       state.rules.Rules = [];
     }
 
-    const key = `${rule.Scope}:${rule.TargetId || ''}`;
-    state.rules.Rules = state.rules.Rules.filter((existing) => getRuleKey(existing) !== key);
-    state.rules.Rules.push(rule);
+    // Replace in place: among tag, genre and studio rules the first match wins, so position matters.
+    const index = state.rules.Rules.findIndex((existing) => getRuleKey(existing) === getRuleKey(rule));
+    if (index >= 0) {
+      state.rules.Rules[index] = rule;
+    } else {
+      state.rules.Rules.push(rule);
+    }
   }
 
   async function saveRules() {
@@ -566,13 +2798,15 @@
 
     const payload = {
       version: resolveVersion(state.rules),
+      revision: resolveRevision(state.rules),
       userId: state.selectedUserId,
-      rules: state.rules.Rules
+      rules: state.rules.Rules,
+      useServerDefaults: usesServerDefaults(state.rules)
     };
 
     const response = await apiClient.ajax({
       type: 'PUT',
-      url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}`),
+      url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}`, { source: 'dashboard' }),
       dataType: 'json',
       contentType: 'application/json',
       data: JSON.stringify(payload)
@@ -581,6 +2815,58 @@
     state.rules = response || payload;
   }
 
+  // Applies an edit to the loaded rules and saves them. When someone else saved in between, the
+  // server answers 409; offer to reload their version and re-apply this edit on top of it.
+  async function commitRules(page, applyEdit) {
+    const loaded = state.rules ? { ...state.rules, Rules: (state.rules.Rules || []).slice() } : null;
+    applyEdit();
+
+    try {
+      await saveRules();
+      loadHistory(page);
+      return true;
+    } catch (error) {
+      if (!isConflict(error)) {
+        // Keep showing what is actually stored, not the rejected edit.
+        state.rules = loaded;
+        throw error;
+      }
+    }
+
+    const reapply = window.confirm(
+      'These rules were changed in another window or by another administrator since you loaded them.\n\n' +
+      'Reload the latest rules and re-apply your change? Cancel discards your change.'
+    );
+
+    const apiClient = getApiClient();
+    state.rules = await apiClient.ajax({
+      type: 'GET',
+      url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}`),
+      dataType: 'json'
+    }) || { Rules: [], UserId: state.selectedUserId };
+
+    if (!reapply) {
+      renderRuleList(page);
+      renderServerDefaultsOptOut(page);
+      setStatus(page.querySelector('.trackrules-user-status'), 'Reloaded the latest rules; your change was discarded.');
+      return false;
+    }
+
+    applyEdit();
+    await saveRules();
+    loadHistory(page);
+    return true;
+  }
+
+  function isConflict(error) {
+    return !!error && (error.status === 409 || (error.response && error.response.status === 409));
+  }
+
+  function resolveRevision(ruleSet) {
+    const revision = ruleSet && (ruleSet.Revision ?? ruleSet.revision);
+    return typeof revision === 'number' ? revision : null;
+  }
+
   function resolveVersion(ruleSet) {
     if (!ruleSet) {
       return 1;
@@ -644,6 +2930,9 @@
         page.querySelector('.trackrules-series-id').value = item.Id;
         page.querySelector('.trackrules-series-search').value = item.Name;
         clearSearchResults(page);
+        if (Number(page.querySelector('.trackrules-scope').value) === RULE_SCOPE.Season) {
+          loadSeasons(page, item.Id);
+        }
       });
       container.appendChild(entry);
     });
@@ -651,8 +2940,311 @@
     container.classList.remove('hide');
   }
 
-  function clearSearchResults(page) {
-    const container = page.querySelector('.trackrules-series-results');
+  async function searchBulkSeries(page, term) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      return;
+    }
+
+    try {
+      const response = await apiClient.getItems(apiClient.getCurrentUserId(), {
+        searchTerm: term,
+        includeItemTypes: 'Series',
+        recursive: true,
+        limit: 30
+      });
+
+      renderBulkResults(page, response.Items || []);
+    } catch (error) {
+      console.error('[TrackRules] Series search failed', error);
+      clearSearchResults(page, '.trackrules-bulk-results');
+    }
+  }
+
+  // Unlike the editor's single pick, results stay open so several series can be ticked in a row.
+  function renderBulkResults(page, items) {
+    const container = page.querySelector('.trackrules-bulk-results');
+    container.innerHTML = '';
+
+    if (!items.length) {
+      container.classList.add('hide');
+      return;
+    }
+
+    items.forEach((item) => {
+      const label = document.createElement('label');
+      label.className = 'checkboxLabel trackrules-series-result';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.id = item.Id;
+      checkbox.checked = state.bulkSeries.has(item.Id);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          state.bulkSeries.set(item.Id, item.Name);
+        } else {
+          state.bulkSeries.delete(item.Id);
+        }
+
+        renderBulkSelection(page);
+      });
+
+      const text = document.createElement('span');
+      text.textContent = item.ProductionYear ? `${item.Name} (${item.ProductionYear})` : item.Name;
+
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      container.appendChild(label);
+    });
+
+    container.classList.remove('hide');
+  }
+
+  function renderBulkSelection(page) {
+    const container = page.querySelector('.trackrules-bulk-selected');
+    container.innerHTML = '';
+
+    state.bulkSeries.forEach((name, id) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'trackrules-badge';
+      chip.title = 'Remove';
+      chip.textContent = `${name} ×`;
+      chip.addEventListener('click', () => {
+        state.bulkSeries.delete(id);
+        renderBulkSelection(page);
+        const checkbox = page.querySelector(`.trackrules-bulk-results input[data-id="${id}"]`);
+        if (checkbox) {
+          checkbox.checked = false;
+        }
+      });
+      container.appendChild(chip);
+    });
+  }
+
+  async function runBulkSeries(page, dryRun) {
+    const statusTarget = page.querySelector('.trackrules-bulk-status');
+    if (!state.selectedUserId) {
+      setStatus(statusTarget, 'Select a user first.', true);
+      return;
+    }
+
+    if (!await settleLanguageEntries(page, statusTarget)) {
+      return;
+    }
+
+    const request = {
+      seriesIds: Array.from(state.bulkSeries.keys()),
+      genres: splitNames(page.querySelector('.trackrules-bulk-genres').value),
+      tags: splitNames(page.querySelector('.trackrules-bulk-tags').value),
+      rule: Object.assign({ Scope: RULE_SCOPE.Series, TargetId: null }, readEditorSettings(page)),
+      overwriteExisting: !!page.querySelector('.trackrules-bulk-overwrite').checked,
+      dryRun
+    };
+
+    if (!request.seriesIds.length && !request.genres.length && !request.tags.length) {
+      setStatus(statusTarget, 'Tick some series or enter a genre or tag.', true);
+      return;
+    }
+
+    if (!dryRun && !window.confirm('Create or update series rules for every matching series?')) {
+      return;
+    }
+
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      throw new Error('Jellyfin API is unavailable.');
+    }
+
+    setStatus(statusTarget, dryRun ? 'Checking series…' : 'Saving rules…');
+    let result;
+    try {
+      result = await apiClient.ajax({
+        type: 'POST',
+        url: apiClient.getUrl(`TrackRules/user/${state.selectedUserId}/bulk/series`, { source: 'dashboard' }),
+        dataType: 'json',
+        contentType: 'application/json',
+        data: JSON.stringify(request)
+      });
+    } catch (error) {
+      const problem = await readValidationProblem(error);
+      if (!problem) {
+        throw error;
+      }
+
+      resetBulkSummary(page);
+      setStatus(statusTarget, (problem.Issues || []).map((issue) => issue.Message).join(' ') || problem.Message, true);
+      return;
+    }
+
+    renderBulkSummary(page, result);
+    const counts = `${result.Created} created, ${result.Updated} updated, ${result.Skipped} skipped`;
+    setStatus(statusTarget, dryRun ? `Would apply to ${result.Series.length} series: ${counts}.` : `Series rules saved: ${counts}.`);
+
+    if (!dryRun) {
+      await loadRuleSet(page, state.selectedUserId);
+    }
+  }
+
+  function renderBulkSummary(page, result) {
+    const container = page.querySelector('.trackrules-bulk-summary');
+    container.innerHTML = '';
+
+    (result.Series || []).forEach((entry) => {
+      const line = document.createElement('li');
+      const outcome = BULK_OUTCOME_LABEL[entry.Outcome] || '';
+      line.className = BULK_OUTCOME_CLASS[entry.Outcome] || '';
+      line.textContent = `${entry.Name || entry.SeriesId}: ${outcome}${entry.Reason ? ` (${entry.Reason})` : ''}`;
+      container.appendChild(line);
+    });
+
+    container.classList.toggle('hide', !container.children.length);
+  }
+
+  function resetBulkSummary(page) {
+    const container = page.querySelector('.trackrules-bulk-summary');
+    container.innerHTML = '';
+    container.classList.add('hide');
+    setStatus(page.querySelector('.trackrules-bulk-status'), '');
+  }
+
+  async function searchItems(page, term, prefix) {
+    const apiClient = getApiClient();
+    if (!apiClient) {
+      return;
+    }
+
+    try {
+      const response = await apiClient.getItems(apiClient.getCurrentUserId(), {
+        searchTerm: term,
+        includeItemTypes: ITEM_SEARCH_TYPES[prefix],
+        recursive: true,
+        limit: 12
+      });
+
+      renderItemResults(page, response.Items || [], prefix);
+    } catch (error) {
+      console.error('[TrackRules] Item search failed', error);
+      clearSearchResults(page, `.trackrules-${prefix}-results`);
+    }
+  }
+
+  function renderItemResults(page, items, prefix) {
+    const container = page.querySelector(`.trackrules-${prefix}-results`);
+    container.innerHTML = '';
+
+    if (!items.length) {
+      container.classList.add('hide');
+      return;
+    }
+
+    items.forEach((item) => {
+      const entry = document.createElement('div');
+      entry.className = 'trackrules-series-result';
+      entry.textContent = describeItem(item);
+      entry.dataset.id = item.Id;
+      entry.addEventListener('click', () => {
+        page.querySelector(`.trackrules-${prefix}-id`).value = item.Id;
+        page.querySelector(`.trackrules-${prefix}-search`).value = describeItem(item);
+        clearSearchResults(page, `.trackrules-${prefix}-results`);
+      });
+      container.appendChild(entry);
+    });
+
+    container.classList.remove('hide');
+  }
+
+  function describeItem(item) {
+    if (item.Type === 'Episode' && item.SeriesName) {
+      return `${item.SeriesName} · ${item.Name}`;
+    }
+
+    return item.ProductionYear ? `${item.Name} (${item.ProductionYear})` : item.Name;
+  }
+
+  async function loadItemTarget(page, itemId) {
+    const apiClient = getApiClient();
+    if (!apiClient || !itemId) {
+      return;
+    }
+
+    const item = await apiClient.getItem(apiClient.getCurrentUserId(), itemId);
+    if (item) {
+      page.querySelector('.trackrules-item-search').value = describeItem(item);
+    }
+  }
+
+  async function loadSeasonTarget(page, seasonId) {
+    const apiClient = getApiClient();
+    if (!apiClient || !seasonId) {
+      return;
+    }
+
+    const season = await apiClient.getItem(apiClient.getCurrentUserId(), seasonId);
+    if (!season) {
+      return;
+    }
+
+    page.querySelector('.trackrules-series-id').value = season.SeriesId || '';
+    page.querySelector('.trackrules-series-search').value = season.SeriesName || '';
+    await loadSeasons(page, season.SeriesId, seasonId);
+  }
+
+  async function loadSeasons(page, seriesId, selectedSeasonId) {
+    const apiClient = getApiClient();
+    if (!apiClient || !seriesId) {
+      resetSeasonSelect(page, 'Pick a series first');
+      return;
+    }
+
+    resetSeasonSelect(page, 'Loading seasons…');
+
+    try {
+      const response = await apiClient.getItems(apiClient.getCurrentUserId(), {
+        parentId: seriesId,
+        includeItemTypes: 'Season',
+        sortBy: 'IndexNumber'
+      });
+
+      const seasons = response && Array.isArray(response.Items) ? response.Items : [];
+      if (!seasons.length) {
+        resetSeasonSelect(page, 'No seasons found');
+        return;
+      }
+
+      const select = page.querySelector('.trackrules-season');
+      select.innerHTML = '';
+      seasons.forEach((season) => {
+        const option = document.createElement('option');
+        option.value = season.Id;
+        option.textContent = season.Name;
+        select.appendChild(option);
+      });
+
+      if (selectedSeasonId) {
+        select.value = selectedSeasonId;
+      }
+
+      select.disabled = false;
+    } catch (error) {
+      console.error('[TrackRules] Failed to load seasons', error);
+      resetSeasonSelect(page, 'Unable to load seasons');
+    }
+  }
+
+  function resetSeasonSelect(page, message) {
+    const select = page.querySelector('.trackrules-season');
+    select.innerHTML = '';
+
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = message;
+    select.appendChild(option);
+    select.disabled = true;
+  }
+
+  function clearSearchResults(page, selector = '.trackrules-series-results') {
+    const container = page.querySelector(selector);
     container.classList.add('hide');
     container.innerHTML = '';
   }
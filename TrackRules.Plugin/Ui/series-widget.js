@@ -1,10 +1,29 @@
 (() => {
   const SERIES_SCOPE = 2;
+  const SEASON_SCOPE = 3;
+  const ITEM_SCOPE = 4;
+  // Everything below a series in precedence, as named in "already inherits …" messages.
+  const SHARED_INHERITS = 'collection/tag/genre/studio/library/global';
   const AUDIO_ANY = 'any';
   const SUB_NONE = 'none';
   const SUB_ANY = 'any';
   const SUBTITLE_MODE_DEFAULT = 1;
+  const ISSUE_SEVERITY_ERROR = 1;
   const WIDGET_CLASS = 'trackrules-series-defaults';
+  const STYLE_ID = 'trackrules-widget-styles';
+  const CHANNEL_COUNTS = [
+    { value: '1', label: 'Mono' },
+    { value: '2', label: 'Stereo' },
+    { value: '6', label: '5.1' },
+    { value: '8', label: '7.1' },
+  ];
+  const SCOPE_NAMES = ['Global', 'Library', 'Series', 'Season', 'Item', 'Collection', 'Tag', 'Genre', 'Studio'];
+  const TRACE_OUTCOME_LABEL = {
+    0: 'applies',
+    1: 'outranked',
+    2: 'does not match',
+    3: 'disabled',
+  };
 
   const SUBTITLE_MODES = [
     { value: 1, label: 'Match server default' },
@@ -14,6 +33,47 @@
     { value: 0, label: 'Never enable subtitles' },
   ];
 
+  const SUBTITLE_FORMATS = [
+    { value: 0, label: 'Any subtitle format' },
+    { value: 1, label: 'Prefer text subtitles (SRT, ASS)' },
+    { value: 2, label: 'Avoid image subtitles (PGS, VobSub)' },
+  ];
+
+  const SUBTITLE_SOURCES = [
+    { value: 0, label: 'Embedded or external' },
+    { value: 1, label: 'Prefer external subtitle files' },
+    { value: 2, label: 'Prefer embedded subtitles' },
+  ];
+
+  const CODEC_LABELS = {
+    aac: 'AAC',
+    ac3: 'AC3',
+    eac3: 'E-AC3',
+    truehd: 'TrueHD',
+    dts: 'DTS',
+    flac: 'FLAC',
+    opus: 'Opus',
+    vorbis: 'Vorbis',
+    mp3: 'MP3',
+    subrip: 'SRT',
+    srt: 'SRT',
+    ass: 'ASS',
+    ssa: 'SSA',
+    webvtt: 'WebVTT',
+    mov_text: 'MOV text',
+    pgssub: 'PGS',
+    hdmv_pgs_subtitle: 'PGS',
+    dvdsub: 'VobSub',
+    dvd_subtitle: 'VobSub',
+  };
+
+  const ITEM_NOUNS = {
+    Movie: 'movie',
+    Episode: 'episode',
+    Video: 'video',
+    MusicVideo: 'music video',
+  };
+
   document.addEventListener('viewshow', onViewShow);
 
   function onViewShow(event) {
@@ -41,12 +101,13 @@
 
     apiClient.getItem(userId, itemId)
       .then((item) => {
-        if (!item || item.Type !== 'Series') {
+        const mode = item ? resolveWidgetMode(item) : null;
+        if (!mode) {
           removeWidget(view);
           return;
         }
 
-        renderWidget(view, item, userId);
+        renderWidget(view, item, userId, mode);
       })
       .catch((err) => {
         console.error('[TrackRules] Unable to inspect item', err);
@@ -54,6 +115,35 @@
       });
   }
 
+  function resolveWidgetMode(item) {
+    if (item.Type === 'Series') {
+      return {
+        scope: SERIES_SCOPE,
+        noun: 'series',
+        heading: 'Series playback defaults',
+        hint: 'Choose the audio and subtitle defaults you want applied when this series starts. Individual seasons can override them.',
+        inherits: SHARED_INHERITS,
+        missingPreview: 'Preview unavailable until an episode has media info.',
+        languagesPath: `TrackRules/series/${item.Id}/languages`,
+      };
+    }
+
+    const noun = ITEM_NOUNS[item.Type];
+    if (!noun) {
+      return null;
+    }
+
+    return {
+      scope: ITEM_SCOPE,
+      noun,
+      heading: 'Playback defaults',
+      hint: `Choose the audio and subtitle defaults you want applied when this ${noun} starts.`,
+      inherits: item.Type === 'Episode' ? `season/series/${SHARED_INHERITS}` : SHARED_INHERITS,
+      missingPreview: `Preview unavailable until this ${noun} has media info.`,
+      languagesPath: `TrackRules/item/${item.Id}/languages`,
+    };
+  }
+
   function isItemDetailView(view) {
     return !!(view && view.classList && view.classList.contains('itemDetailPage'));
   }
@@ -62,7 +152,7 @@
     return window.ApiClient;
   }
 
-  function renderWidget(view, series, userId) {
+  function renderWidget(view, item, userId, mode) {
     const anchor = view.querySelector('.trackSelections');
     if (!anchor || !anchor.parentElement) {
       return;
@@ -72,16 +162,16 @@
 
     const section = document.createElement('section');
     section.className = `${WIDGET_CLASS} detailSection`;
-    section.dataset.seriesId = (series.Id || '').toString();
+    section.dataset.itemId = (item.Id || '').toString();
 
     const heading = document.createElement('h3');
     heading.className = 'sectionTitle';
-    heading.textContent = 'Series playback defaults';
+    heading.textContent = mode.heading;
     section.appendChild(heading);
 
     const hint = document.createElement('p');
     hint.className = 'sectionSubtitle';
-    hint.textContent = 'Choose the audio and subtitle defaults you want applied when this series starts.';
+    hint.textContent = mode.hint;
     section.appendChild(hint);
 
     const form = document.createElement('form');
@@ -89,8 +179,14 @@
     form.addEventListener('submit', (e) => e.preventDefault());
     section.appendChild(form);
 
-    const audioField = createTrackSelect('Audio', 'trackrules-audio');
-    const subtitleField = createTrackSelect('Subtitles', 'trackrules-subs');
+    const targetField = createTrackSelect('Applies to', 'trackrules-target');
+    if (mode.scope !== SERIES_SCOPE) {
+      targetField.container.classList.add('hide');
+    }
+    form.appendChild(targetField.container);
+
+    const audioField = createPriorityEditor('Audio', 'trackrules-audio');
+    const subtitleField = createPriorityEditor('Subtitles', 'trackrules-subs');
     form.appendChild(audioField.container);
     form.appendChild(subtitleField.container);
 
@@ -98,45 +194,93 @@
     behaviorField.container.classList.add('trackrules-submode-field');
     form.appendChild(behaviorField.container);
 
-    const guardField = createGuardField();
+    const subsFormatField = createTrackSelect('Subtitle format', 'trackrules-subs-format');
+    const subsSourceField = createTrackSelect('Subtitle source', 'trackrules-subs-source');
+    subsFormatField.container.classList.add('trackrules-submode-field');
+    subsSourceField.container.classList.add('trackrules-submode-field');
+    form.appendChild(subsFormatField.container);
+    form.appendChild(subsSourceField.container);
+
+    const maxChannelsField = createTrackSelect('Maximum audio channels', 'trackrules-max-channels');
+    const preferredChannelsField = createTrackSelect('Preferred audio channels', 'trackrules-preferred-channels');
+    const codecField = createTextField('Audio codec ranking (e.g. aac,ac3)', 'trackrules-audio-codecs');
+    const losslessField = createToggleField('Prefer lossless audio', 'trackrules-prefer-lossless');
+    form.appendChild(maxChannelsField.container);
+    form.appendChild(preferredChannelsField.container);
+    form.appendChild(codecField.container);
+    form.appendChild(losslessField.container);
+
+    const guardField = createToggleField("Don't transcode when enforcing this rule", 'trackrules-dont-transcode');
     form.appendChild(guardField.container);
 
     const actions = createActionRow();
+    if (mode.scope !== SERIES_SCOPE) {
+      actions.matrixButton.classList.add('hide');
+    }
     form.appendChild(actions.container);
 
     const status = document.createElement('div');
     status.className = 'trackrules-status';
     form.appendChild(status);
 
+    const preview = document.createElement('div');
+    preview.className = 'trackrules-preview hide';
+    form.appendChild(preview);
+
+    const matrix = document.createElement('div');
+    matrix.className = 'trackrules-matrix hide';
+    form.appendChild(matrix);
+
+    ensureStyles();
     anchor.parentElement.insertBefore(section, anchor.nextSibling);
 
     section._trackRules = {
       elements: {
         root: section,
         form: form,
-        audioSelect: audioField.select,
-        subtitleSelect: subtitleField.select,
+        targetSelect: targetField.select,
+        audioEditor: audioField,
+        subtitleEditor: subtitleField,
         subsModeSelect: behaviorField.select,
+        subsFormatSelect: subsFormatField.select,
+        subsSourceSelect: subsSourceField.select,
+        maxChannelsSelect: maxChannelsField.select,
+        preferredChannelsSelect: preferredChannelsField.select,
+        codecInput: codecField.input,
+        losslessToggle: losslessField.checkbox,
         guardToggle: guardField.checkbox,
         previewButton: actions.previewButton,
+        matrixButton: actions.matrixButton,
         saveButton: actions.saveButton,
         resetButton: actions.resetButton,
         status,
+        preview,
+        matrix,
       },
       state: {
-        seriesId: section.dataset.seriesId,
+        itemId: section.dataset.itemId,
         userId,
+        mode,
+        scope: mode.scope,
+        targetId: section.dataset.itemId,
+        seasons: [],
         languages: null,
+        catalog: [],
         userRules: null,
+        defaultPreviewItemId: null,
         previewItemId: null,
         currentRule: null,
+        busy: false,
+        dragIndex: null,
+        options: { audio: [], subs: [] },
+        priorities: { audio: [AUDIO_ANY], subs: [SUB_NONE] },
       },
     };
 
-    attachEventHandlers(section, series);
-    initializeWidget(section, series).catch((err) => {
-      console.error('[TrackRules] Failed to initialize series defaults', err);
-      setStatus(section, 'Unable to load playback defaults for this series.', true);
+    attachEventHandlers(section);
+    initializeWidget(section).catch((err) => {
+      console.error('[TrackRules] Failed to initialize playback defaults', err);
+      setStatus(section, `Unable to load playback defaults for this ${mode.noun}.`, true);
       setBusy(section, false);
     });
   }
@@ -155,16 +299,59 @@
     return { container, select };
   }
 
-  function createGuardField() {
+  function createPriorityEditor(labelText, className) {
+    const container = document.createElement('div');
+    container.className = `trackrules-priority-field ${className}`;
+
+    const label = document.createElement('div');
+    label.className = 'trackrules-priority-label';
+    label.textContent = `${labelText} priority`;
+    container.appendChild(label);
+
+    const list = document.createElement('ol');
+    list.className = 'trackrules-priority-list';
+    container.appendChild(list);
+
+    const addContainer = document.createElement('div');
+    addContainer.className = 'selectContainer trackSelectionFieldContainer';
+
+    const addSelect = document.createElement('select');
+    addSelect.setAttribute('is', 'emby-select');
+    addSelect.className = 'detailTrackSelect trackrules-priority-add';
+    addSelect.setAttribute('label', `Add ${labelText.toLowerCase()} language`);
+    addSelect.disabled = true;
+
+    addContainer.appendChild(addSelect);
+    container.appendChild(addContainer);
+
+    return { container, list, addSelect };
+  }
+
+  function createTextField(labelText, className) {
+    const container = document.createElement('div');
+    container.className = 'inputContainer';
+
+    const input = document.createElement('input');
+    input.setAttribute('is', 'emby-input');
+    input.type = 'text';
+    input.className = className;
+    input.setAttribute('label', labelText);
+    input.disabled = true;
+
+    container.appendChild(input);
+    return { container, input };
+  }
+
+  function createToggleField(labelText, className) {
     const container = document.createElement('label');
     container.className = 'trackrules-guard-toggle';
 
     const checkbox = document.createElement('input');
     checkbox.type = 'checkbox';
-    checkbox.className = 'trackrules-dont-transcode';
+    checkbox.className = className;
 
     const span = document.createElement('span');
-    span.textContent = "Don't transcode when enforcing this rule";
+    span.textContent = labelText;
 
     container.appendChild(checkbox);
     container.appendChild(span);
@@ -177,14 +364,16 @@
     container.className = 'trackrules-actions';
 
     const previewButton = createButton('Preview', 'trackrules-btn-preview');
+    const matrixButton = createButton('Preview all episodes', 'trackrules-btn-matrix');
     const saveButton = createButton('Save defaults', 'trackrules-btn-save');
     const resetButton = createButton('Reset to inherit', 'trackrules-btn-reset button-flat');
 
     container.appendChild(previewButton);
+    container.appendChild(matrixButton);
     container.appendChild(saveButton);
     container.appendChild(resetButton);
 
-    return { container, previewButton, saveButton, resetButton };
+    return { container, previewButton, matrixButton, saveButton, resetButton };
   }
 
   function createButton(text, className) {
@@ -196,25 +385,49 @@
     return button;
   }
 
-  function attachEventHandlers(section, series) {
+  function attachEventHandlers(section) {
     const {
+      targetSelect,
+      audioEditor,
+      subtitleEditor,
       previewButton,
+      matrixButton,
       saveButton,
       resetButton,
     } = section._trackRules.elements;
 
+    targetSelect.addEventListener('change', () => {
+      selectTarget(section, targetSelect.value);
+    });
+
+    audioEditor.addSelect.addEventListener('change', () => {
+      addPriority(section, 'audio', audioEditor.addSelect.value);
+    });
+
+    subtitleEditor.addSelect.addEventListener('change', () => {
+      addPriority(section, 'subs', subtitleEditor.addSelect.value);
+    });
+
     previewButton.addEventListener('click', () => {
-      handlePreview(section, series).catch((err) => {
+      handlePreview(section).catch((err) => {
         console.error('[TrackRules] Preview failed', err);
         setStatus(section, 'Preview failed. See server logs for details.', true);
         setBusy(section, false);
       });
     });
 
+    matrixButton.addEventListener('click', () => {
+      handleMatrixPreview(section).catch((err) => {
+        console.error('[TrackRules] Series preview failed', err);
+        setStatus(section, 'Series preview failed. See server logs for details.', true);
+        setBusy(section, false);
+      });
+    });
+
     saveButton.addEventListener('click', () => {
-      handleSave(section, series).catch((err) => {
+      handleSave(section).catch((err) => {
         console.error('[TrackRules] Save failed', err);
-        setStatus(section, 'Failed to save series defaults.', true);
+        setStatus(section, `Failed to save ${describeTarget(section._trackRules.state)} defaults.`, true);
         setBusy(section, false);
       });
     });
@@ -228,17 +441,17 @@
     });
   }
 
-  async function initializeWidget(section, series) {
+  async function initializeWidget(section) {
     setBusy(section, true);
     setStatus(section, 'Loading available tracks…');
 
     const apiClient = getApiClient();
     const state = section._trackRules.state;
 
-    const [languages, rules] = await Promise.all([
+    const [languages, rules, catalog] = await Promise.all([
       apiClient.ajax({
         type: 'GET',
-        url: apiClient.getUrl(`TrackRules/series/${series.Id}/languages`),
+        url: apiClient.getUrl(state.mode.languagesPath),
         dataType: 'json',
       }),
       apiClient.ajax({
@@ -246,6 +459,15 @@
         url: apiClient.getUrl(`TrackRules/user/${state.userId}`),
         dataType: 'json',
       }),
+      // Only extends the pickers beyond the item's own languages; the widget works without it.
+      apiClient.ajax({
+        type: 'GET',
+        url: apiClient.getUrl('TrackRules/languages'),
+        dataType: 'json',
+      }).catch((err) => {
+        console.warn('[TrackRules] Failed to load the language catalog', err);
+        return [];
+      }),
     ]);
 
     if (!section.isConnected) {
@@ -254,63 +476,305 @@
 
     state.languages = languages || {};
     state.userRules = rules || { Rules: [] };
-    state.previewItemId = (languages && (languages.PreviewItemId || languages.previewItemId)) || null;
-    state.currentRule = findSeriesRule(state.userRules, state.seriesId);
+    state.catalog = Array.isArray(catalog) ? catalog : [];
+    state.defaultPreviewItemId = (languages && (languages.PreviewItemId || languages.previewItemId)) || null;
+    state.seasons = (languages && (languages.Seasons || languages.seasons)) || [];
 
+    setBusy(section, false);
+    selectTarget(section, '');
+  }
+
+  function selectTarget(section, seasonId) {
+    const state = section._trackRules.state;
+    const season = seasonId
+      ? state.seasons.find((entry) => normalizeId(entry.SeasonId || entry.seasonId) === normalizeId(seasonId))
+      : null;
+
+    state.scope = season ? SEASON_SCOPE : state.mode.scope;
+    state.targetId = season ? (season.SeasonId || season.seasonId) : state.itemId;
+    state.previewItemId = (season && (season.PreviewItemId || season.previewItemId)) || state.defaultPreviewItemId;
+    state.currentRule = findRule(state.userRules, state.scope, state.targetId);
+
+    populateTargetOptions(section, state);
     populateOptions(section, state);
+    showTargetStatus(section);
+    renderPreview(section, null);
+    renderMatrix(section, null);
+  }
+
+  function populateTargetOptions(section, state) {
+    const { targetSelect } = section._trackRules.elements;
+    const options = [{
+      value: '',
+      label: findRule(state.userRules, state.mode.scope, state.itemId) ? 'Entire series (override)' : 'Entire series',
+    }];
+
+    state.seasons.forEach((season) => {
+      const id = season.SeasonId || season.seasonId;
+      const name = season.Name || season.name || 'Season';
+      options.push({
+        value: id,
+        label: findRule(state.userRules, SEASON_SCOPE, id) ? `${name} (override)` : name,
+      });
+    });
+
+    populateSelect(targetSelect, options);
+    targetSelect.value = state.scope === SEASON_SCOPE ? state.targetId : '';
+    targetSelect.disabled = state.busy || !state.seasons.length;
+  }
+
+  function showTargetStatus(section) {
+    const state = section._trackRules.state;
 
     if (!state.previewItemId) {
-      setStatus(section, 'Preview unavailable until an episode has media info.', true);
+      setStatus(section, state.mode.missingPreview, true);
     } else if (state.currentRule) {
-      setStatus(section, 'Per-series defaults are active.');
+      setStatus(section, `Per-${describeTarget(state)} defaults are active.`);
     } else {
-      setStatus(section, 'Using library/global defaults. Pick tracks and save to override.');
+      setStatus(section, `Using ${describeInheritance(state)} defaults. Pick tracks and save to override this ${describeTarget(state)}.`);
     }
 
-    setBusy(section, false);
+    section._trackRules.elements.previewButton.disabled = state.busy || !state.previewItemId;
+  }
 
-    if (!state.previewItemId) {
-      section._trackRules.elements.previewButton.disabled = true;
-    }
+  function describeTarget(state) {
+    return state.scope === SEASON_SCOPE ? 'season' : state.mode.noun;
+  }
+
+  function describeInheritance(state) {
+    return state.scope === SEASON_SCOPE ? `series/${SHARED_INHERITS}` : state.mode.inherits;
+  }
+
+  function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
   }
 
   function populateOptions(section, state) {
     const {
-      audioSelect,
-      subtitleSelect,
       subsModeSelect,
+      subsFormatSelect,
+      subsSourceSelect,
+      maxChannelsSelect,
+      preferredChannelsSelect,
+      codecInput,
+      losslessToggle,
       guardToggle,
     } = section._trackRules.elements;
 
-    const audioOptions = buildAudioOptions(state.languages && state.languages.Audio ? state.languages.Audio : state.languages?.audio);
-    const subtitleOptions = buildSubtitleOptions(state.languages && state.languages.Subtitles ? state.languages.Subtitles : state.languages?.subtitles);
+    state.options.audio = appendCatalogOptions(
+      buildAudioOptions(state.languages && state.languages.Audio ? state.languages.Audio : state.languages?.audio),
+      state.catalog,
+    );
+    state.options.subs = appendCatalogOptions(
+      buildSubtitleOptions(state.languages && state.languages.Subtitles ? state.languages.Subtitles : state.languages?.subtitles),
+      state.catalog,
+    );
 
-    populateSelect(audioSelect, audioOptions, AUDIO_ANY);
-    populateSelect(subtitleSelect, subtitleOptions, SUB_NONE);
     populateSelect(subsModeSelect, buildSubtitleModeOptions(), SUBTITLE_MODE_DEFAULT);
+    populateSelect(subsFormatSelect, SUBTITLE_FORMATS);
+    populateSelect(subsSourceSelect, SUBTITLE_SOURCES);
+    populateSelect(maxChannelsSelect, [{ value: '', label: 'No limit' }].concat(CHANNEL_COUNTS));
+    populateSelect(preferredChannelsSelect, [{ value: '', label: 'As many as possible' }].concat(CHANNEL_COUNTS));
 
     const current = state.currentRule;
-    const audioValue = normalizeLanguageValue(
-      getRuleListValue(current, 'Audio', AUDIO_ANY),
-      AUDIO_ANY);
-    const subtitleValue = normalizeLanguageValue(
-      getRuleListValue(current, 'Subs', SUB_NONE),
-      SUB_NONE);
+    state.priorities.audio = normalizeLanguageList(getRuleList(current, 'Audio'), AUDIO_ANY);
+    state.priorities.subs = normalizeLanguageList(getRuleList(current, 'Subs'), SUB_NONE);
     const subsModeValue = Number(getRuleField(current, 'SubsMode', SUBTITLE_MODE_DEFAULT));
     const dontTranscode = !!getRuleField(current, 'DontTranscode', false);
 
-    ensureOption(audioSelect, audioValue);
-    ensureOption(subtitleSelect, subtitleValue);
     ensureOption(subsModeSelect, subsModeValue.toString());
 
-    audioSelect.value = audioValue;
-    subtitleSelect.value = subtitleValue;
     subsModeSelect.value = subsModeValue.toString();
+    subsFormatSelect.value = Number(getRuleField(current, 'SubsFormat', 0)).toString();
+    subsSourceSelect.value = Number(getRuleField(current, 'SubsSource', 0)).toString();
+    setChannelCount(maxChannelsSelect, getRuleField(current, 'MaxChannels', null));
+    setChannelCount(preferredChannelsSelect, getRuleField(current, 'PreferredChannels', null));
+    codecInput.value = getRuleList(current, 'AudioCodecs').join(',');
+    losslessToggle.checked = !!getRuleField(current, 'PreferLossless', false);
     guardToggle.checked = dontTranscode;
 
-    audioSelect.disabled = false;
-    subtitleSelect.disabled = false;
     subsModeSelect.disabled = false;
+    subsFormatSelect.disabled = false;
+    subsSourceSelect.disabled = false;
+    maxChannelsSelect.disabled = false;
+    preferredChannelsSelect.disabled = false;
+    codecInput.disabled = false;
+
+    renderPriorityEditor(section, 'audio');
+    renderPriorityEditor(section, 'subs');
+  }
+
+  function setChannelCount(select, value) {
+    const text = value ? value.toString() : '';
+    if (text && !Array.from(select.options).some((option) => option.value === text)) {
+      const option = document.createElement('option');
+      option.value = text;
+      option.textContent = `${text} channels`;
+      select.appendChild(option);
+    }
+
+    select.value = text;
+  }
+
+  function readChannelCount(select) {
+    return select.value ? Number(select.value) : null;
+  }
+
+  function getPriorityEditor(section, key) {
+    const { audioEditor, subtitleEditor } = section._trackRules.elements;
+    return key === 'audio' ? audioEditor : subtitleEditor;
+  }
+
+  function renderPriorityEditor(section, key) {
+    const state = section._trackRules.state;
+    const { list, addSelect } = getPriorityEditor(section, key);
+    const values = state.priorities[key];
+    const options = state.options[key];
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    values.forEach((value, index) => {
+      list.appendChild(createPriorityItem(section, key, value, index, values.length));
+    });
+
+    const remaining = options.filter((opt) => !values.includes(opt.value));
+    populateSelect(addSelect, [{ value: '', label: 'Add language…' }].concat(remaining));
+    addSelect.value = '';
+    addSelect.disabled = state.busy || remaining.length === 0;
+  }
+
+  function createPriorityItem(section, key, value, index, count) {
+    const state = section._trackRules.state;
+    const item = document.createElement('li');
+    item.className = 'trackrules-priority-item';
+    item.draggable = !state.busy;
+    item.dataset.index = index.toString();
+
+    const label = document.createElement('span');
+    label.className = 'trackrules-priority-name';
+    label.textContent = `${index + 1}. ${resolveOptionLabel(state.options[key], value)}`;
+    item.appendChild(label);
+
+    const upButton = createIconButton('keyboard_arrow_up', 'Move up');
+    upButton.disabled = state.busy || index === 0;
+    upButton.addEventListener('click', () => movePriority(section, key, index, index - 1));
+    item.appendChild(upButton);
+
+    const downButton = createIconButton('keyboard_arrow_down', 'Move down');
+    downButton.disabled = state.busy || index === count - 1;
+    downButton.addEventListener('click', () => movePriority(section, key, index, index + 1));
+    item.appendChild(downButton);
+
+    const removeButton = createIconButton('close', 'Remove');
+    removeButton.disabled = state.busy;
+    removeButton.addEventListener('click', () => removePriority(section, key, index));
+    item.appendChild(removeButton);
+
+    item.addEventListener('dragstart', (e) => {
+      state.dragIndex = { key, index };
+      item.classList.add('trackrules-dragging');
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', index.toString());
+      }
+    });
+
+    item.addEventListener('dragend', () => {
+      state.dragIndex = null;
+      item.classList.remove('trackrules-dragging');
+    });
+
+    item.addEventListener('dragover', (e) => {
+      if (state.dragIndex && state.dragIndex.key === key) {
+        e.preventDefault();
+      }
+    });
+
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const drag = state.dragIndex;
+      state.dragIndex = null;
+      if (drag && drag.key === key) {
+        movePriority(section, key, drag.index, index);
+      }
+    });
+
+    return item;
+  }
+
+  function createIconButton(icon, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.setAttribute('is', 'paper-icon-button-light');
+    button.className = 'trackrules-priority-btn';
+    button.title = title;
+
+    const glyph = document.createElement('span');
+    glyph.className = `material-icons ${icon}`;
+    glyph.setAttribute('aria-hidden', 'true');
+    button.appendChild(glyph);
+
+    return button;
+  }
+
+  function addPriority(section, key, value) {
+    if (!value) {
+      return;
+    }
+
+    const state = section._trackRules.state;
+    let values = state.priorities[key].slice();
+
+    if (key === 'subs' && value === SUB_NONE) {
+      // "Off" cannot be combined with other subtitle languages.
+      values = [value];
+    } else if (value === AUDIO_ANY) {
+      // "Best available" is the fallback after the listed languages, so it always goes last.
+      values = values.filter((existing) => existing !== SUB_NONE && existing !== value);
+      values.push(value);
+    } else {
+      values = values.filter((existing) => existing !== SUB_NONE && existing !== value);
+      const fallback = values.indexOf(AUDIO_ANY);
+      if (values.length === 1 && fallback === 0) {
+        // New rules start with only "Best available"; the first language replaces it.
+        values = [value];
+      } else if (fallback >= 0) {
+        values.splice(fallback, 0, value);
+      } else {
+        values.push(value);
+      }
+    }
+
+    state.priorities[key] = values;
+    renderPriorityEditor(section, key);
+  }
+
+  function movePriority(section, key, from, to) {
+    const state = section._trackRules.state;
+    const values = state.priorities[key].slice();
+    if (from === to || to < 0 || to >= values.length) {
+      return;
+    }
+
+    const [moved] = values.splice(from, 1);
+    values.splice(to, 0, moved);
+    state.priorities[key] = values;
+    renderPriorityEditor(section, key);
+  }
+
+  function removePriority(section, key, index) {
+    const state = section._trackRules.state;
+    const values = state.priorities[key].slice();
+    values.splice(index, 1);
+    state.priorities[key] = values.length ? values : [key === 'audio' ? AUDIO_ANY : SUB_NONE];
+    renderPriorityEditor(section, key);
+  }
+
+  function resolveOptionLabel(options, value) {
+    const match = (options || []).find((opt) => opt.value === value);
+    return match ? match.label : value.toUpperCase();
   }
 
   function buildAudioOptions(languageOptions) {
@@ -350,6 +814,27 @@
     return options;
   }
 
+  // The item's own languages come first; every other ISO 639 language follows by name so rules can
+  // name languages this item lacks (e.g. for later episodes).
+  function appendCatalogOptions(options, catalog) {
+    const known = new Set(options.map((option) => option.value));
+    const extra = (catalog || [])
+      .filter((language) => language && (language.Code || language.code) && !known.has((language.Code || language.code).toLowerCase()))
+      .map((language) => ({
+        value: (language.Code || language.code).toLowerCase(),
+        label: formatCatalogLabel(language),
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+
+    return options.concat(extra);
+  }
+
+  function formatCatalogLabel(language) {
+    const name = language.Name || language.name || language.Code || language.code;
+    const nativeName = language.NativeName || language.nativeName;
+    return nativeName && nativeName !== name ? `${name} (${nativeName})` : name;
+  }
+
   function buildSubtitleModeOptions() {
     return SUBTITLE_MODES.map((mode) => ({
       value: mode.value.toString(),
@@ -413,19 +898,27 @@
     return value.toString().trim().toLowerCase() || fallback;
   }
 
-  function getRuleListValue(rule, property, fallback) {
+  function normalizeLanguageList(values, fallback) {
+    const normalized = [];
+    (values || []).forEach((value) => {
+      const code = normalizeLanguageValue(value, '');
+      if (code && !normalized.includes(code)) {
+        normalized.push(code);
+      }
+    });
+
+    return normalized.length ? normalized : [fallback];
+  }
+
+  function getRuleList(rule, property) {
     if (!rule) {
-      return fallback;
+      return [];
     }
 
     const direct = rule[property];
     const lower = rule[property.charAt(0).toLowerCase() + property.slice(1)];
     const source = Array.isArray(direct) ? direct : Array.isArray(lower) ? lower : null;
-    if (!source || source.length === 0) {
-      return fallback;
-    }
-
-    return source[0];
+    return source || [];
   }
 
   function getRuleField(rule, property, fallback) {
@@ -445,7 +938,7 @@
     return fallback;
   }
 
-  async function handlePreview(section, series) {
+  async function handlePreview(section) {
     const state = section._trackRules.state;
     if (!state.previewItemId) {
       setStatus(section, 'No preview item available yet.', true);
@@ -455,7 +948,7 @@
     setBusy(section, true);
     setStatus(section, 'Requesting preview…');
 
-    const overrideRule = buildRuleFromSelection(section, series.Id);
+    const overrideRule = buildRuleFromSelection(section);
     const apiClient = getApiClient();
 
     const response = await apiClient.ajax({
@@ -467,6 +960,7 @@
         userId: state.userId,
         itemId: state.previewItemId,
         overrideRule,
+        includeTrace: true,
       }),
     });
 
@@ -475,77 +969,244 @@
     }
 
     setBusy(section, false);
-    setStatus(section, describePreview(response));
+    setStatus(
+      section,
+      describePreview(response, overrideRule),
+      !!(response && response.TranscodeRisk && !response.CompatibleFallback),
+    );
+    renderPreview(section, response);
   }
 
-  async function handleSave(section, series) {
+  async function handleMatrixPreview(section) {
     const state = section._trackRules.state;
     setBusy(section, true);
-    setStatus(section, 'Saving series defaults…');
-
-    const nextRule = buildRuleFromSelection(section, series.Id);
-    const nextRules = buildRuleCollection(state, nextRule);
-    const payload = {
-      version: resolveVersion(state.userRules),
-      userId: state.userId,
-      rules: nextRules,
-    };
+    setStatus(section, 'Resolving every episode…');
 
     const apiClient = getApiClient();
     const response = await apiClient.ajax({
-      type: 'PUT',
-      url: apiClient.getUrl(`TrackRules/user/${state.userId}`),
+      type: 'POST',
+      url: apiClient.getUrl('TrackRules/preview/series'),
       dataType: 'json',
       contentType: 'application/json',
-      data: JSON.stringify(payload),
+      data: JSON.stringify({
+        userId: state.userId,
+        seriesId: state.itemId,
+        overrideRule: buildRuleFromSelection(section),
+      }),
     });
 
     if (!section.isConnected) {
       return;
     }
 
-    state.userRules = response || payload;
-    state.currentRule = findSeriesRule(state.userRules, state.seriesId);
+    setBusy(section, false);
+    renderMatrix(section, response);
+  }
+
+  async function handleSave(section) {
+    const state = section._trackRules.state;
+    setBusy(section, true);
+    setStatus(section, `Saving ${describeTarget(state)} defaults…`);
+
+    const nextRule = buildRuleFromSelection(section);
+    clearFieldIssues(section);
+
+    // buildRuleCollection appends the edited rule, so issues for it carry the last index.
+    const ruleIndex = buildRuleCollection(state, nextRule).length - 1;
+    let response;
+    try {
+      response = await putRules(section, nextRule);
+    } catch (error) {
+      const problem = await readValidationProblem(error);
+      if (!problem || !section.isConnected) {
+        throw error;
+      }
+
+      const unplaced = problem.Issues.filter((issue) =>
+        (issue.Index ?? issue.index) !== ruleIndex || !showFieldIssue(section, issue));
+      setBusy(section, false);
+      setStatus(
+        section,
+        [problem.Message || 'Fix the highlighted fields and save again.']
+          .concat(unplaced.map((issue) => issue.Message || issue.message))
+          .join(' '),
+        true,
+      );
+      return;
+    }
+
+    if (!section.isConnected) {
+      return;
+    }
+
+    if (!response) {
+      showDiscardedEdit(section);
+      return;
+    }
+
+    state.userRules = response;
+    state.currentRule = findRule(state.userRules, state.scope, state.targetId);
+
+    const warnings = (response.Issues || []).filter((issue) => (issue.Index ?? issue.index) === ruleIndex);
+    warnings.forEach((issue) => showFieldIssue(section, issue));
 
     setBusy(section, false);
-    setStatus(section, 'Series defaults saved.');
+    populateTargetOptions(section, state);
+    setStatus(section, warnings.length
+      ? `${capitalize(describeTarget(state))} defaults saved with warnings.`
+      : `${capitalize(describeTarget(state))} defaults saved.`);
+  }
+
+  // A 400 from rule validation carries per-rule issues; anything else is left to the caller.
+  async function readValidationProblem(error) {
+    const response = error && typeof error.json === 'function' ? error : error && error.response;
+    if (!response || response.status !== 400 || typeof response.json !== 'function') {
+      return null;
+    }
+
+    try {
+      const body = await response.json();
+      const issues = body && (body.Issues || body.issues);
+      return Array.isArray(issues) ? { Message: body.Message || body.message, Issues: issues } : null;
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  function showFieldIssue(section, issue) {
+    const elements = section._trackRules.elements;
+    const containers = {
+      scope: elements.targetSelect.parentElement,
+      targetId: elements.targetSelect.parentElement,
+      audio: elements.audioEditor.container,
+      subs: elements.subtitleEditor.container,
+      subsMode: elements.subsModeSelect.parentElement,
+      subsFormat: elements.subsFormatSelect.parentElement,
+      subsSource: elements.subsSourceSelect.parentElement,
+      maxChannels: elements.maxChannelsSelect.parentElement,
+      preferredChannels: elements.preferredChannelsSelect.parentElement,
+      audioCodecs: elements.codecInput.parentElement,
+      transcodeFallback: elements.guardToggle.parentElement,
+    };
+
+    const container = containers[issue.Field || issue.field];
+    if (!container || container.classList.contains('hide')) {
+      return false;
+    }
+
+    const message = document.createElement('div');
+    message.className = 'trackrules-field-issue';
+    if ((issue.Severity ?? issue.severity) !== ISSUE_SEVERITY_ERROR) {
+      message.classList.add('trackrules-field-warning');
+    }
+
+    message.textContent = issue.Message || issue.message;
+    container.appendChild(message);
+    return true;
+  }
+
+  function clearFieldIssues(section) {
+    section.querySelectorAll('.trackrules-field-issue').forEach((element) => element.remove());
   }
 
   async function handleReset(section) {
     const state = section._trackRules.state;
     if (!state.currentRule) {
-      setStatus(section, 'Series already inherits library/global rules.');
+      setStatus(section, `${capitalize(describeTarget(state))} already inherits ${describeInheritance(state)} rules.`);
       return;
     }
 
     setBusy(section, true);
-    setStatus(section, 'Removing series override…');
+    clearFieldIssues(section);
+    setStatus(section, `Removing ${describeTarget(state)} override…`);
+
+    const response = await putRules(section, null);
+
+    if (!section.isConnected) {
+      return;
+    }
+
+    if (!response) {
+      showDiscardedEdit(section);
+      return;
+    }
+
+    state.userRules = response;
+    state.currentRule = null;
+    populateOptions(section, state);
+    setBusy(section, false);
+    populateTargetOptions(section, state);
+    setStatus(section, `Reverted to ${describeInheritance(state)} defaults.`);
+  }
+
+  // Saves the loaded rules with nextRule applied (null removes the current target's rule). A 409 means
+  // the rules were saved elsewhere since we loaded them: offer to reload and re-apply this edit.
+  // Resolves to null when the user discards the edit instead.
+  async function putRules(section, nextRule) {
+    const state = section._trackRules.state;
+    const apiClient = getApiClient();
+
+    try {
+      return await sendRules(apiClient, state, nextRule);
+    } catch (error) {
+      if (!isConflict(error)) {
+        throw error;
+      }
+    }
+
+    const reapply = window.confirm(
+      'Your Track Rules were changed in another window since this page loaded.\n\n' +
+      `Reload them and re-apply your ${describeTarget(state)} change? Cancel discards your change.`,
+    );
+
+    state.userRules = await apiClient.ajax({
+      type: 'GET',
+      url: apiClient.getUrl(`TrackRules/user/${state.userId}`),
+      dataType: 'json',
+    }) || { Rules: [] };
+
+    if (!reapply) {
+      return null;
+    }
 
-    const nextRules = buildRuleCollection(state, null);
+    return sendRules(apiClient, state, nextRule);
+  }
+
+  async function sendRules(apiClient, state, nextRule) {
     const payload = {
       version: resolveVersion(state.userRules),
+      revision: resolveRevision(state.userRules),
       userId: state.userId,
-      rules: nextRules,
+      rules: buildRuleCollection(state, nextRule),
     };
 
-    const apiClient = getApiClient();
     const response = await apiClient.ajax({
       type: 'PUT',
-      url: apiClient.getUrl(`TrackRules/user/${state.userId}`),
+      url: apiClient.getUrl(`TrackRules/user/${state.userId}`, { source: 'widget' }),
       dataType: 'json',
       contentType: 'application/json',
       data: JSON.stringify(payload),
     });
 
-    if (!section.isConnected) {
-      return;
-    }
+    return response || payload;
+  }
 
-    state.userRules = response || payload;
-    state.currentRule = null;
+  function showDiscardedEdit(section) {
+    const state = section._trackRules.state;
+    state.currentRule = findRule(state.userRules, state.scope, state.targetId);
     populateOptions(section, state);
     setBusy(section, false);
-    setStatus(section, 'Reverted to library/global defaults.');
+    populateTargetOptions(section, state);
+    setStatus(section, 'Reloaded the latest rules; your change was discarded.');
+  }
+
+  function isConflict(error) {
+    return !!error && (error.status === 409 || (error.response && error.response.status === 409));
+  }
+
+  function resolveRevision(ruleSet) {
+    const revision = ruleSet && (ruleSet.Revision ?? ruleSet.revision);
+    return typeof revision === 'number' ? revision : null;
   }
 
   function buildRuleCollection(state, nextRule) {
@@ -557,15 +1218,14 @@
         : [];
     const existingRules = baseRules.slice();
 
-    const seriesId = (state.seriesId || '').toString().toLowerCase();
+    const targetId = normalizeId(state.targetId);
     const filtered = existingRules.filter((rule) => {
       const scope = typeof rule.Scope === 'number' ? rule.Scope : rule.scope;
-      if (scope !== SERIES_SCOPE) {
+      if (scope !== state.scope) {
         return true;
       }
 
-      const target = (rule.TargetId || rule.targetId || '').toString().toLowerCase();
-      return target !== seriesId;
+      return normalizeId(rule.TargetId || rule.targetId) !== targetId;
     });
 
     if (nextRule) {
@@ -591,26 +1251,43 @@
     return 1;
   }
 
-  function buildRuleFromSelection(section, seriesId) {
+  function buildRuleFromSelection(section) {
     const {
-      audioSelect,
-      subtitleSelect,
       subsModeSelect,
+      subsFormatSelect,
+      subsSourceSelect,
+      maxChannelsSelect,
+      preferredChannelsSelect,
+      codecInput,
+      losslessToggle,
       guardToggle,
     } = section._trackRules.elements;
+    const { priorities, scope, targetId, currentRule } = section._trackRules.state;
 
     return {
-      Scope: SERIES_SCOPE,
-      TargetId: seriesId,
-      Audio: [normalizeLanguageValue(audioSelect.value, AUDIO_ANY)],
-      Subs: [normalizeLanguageValue(subtitleSelect.value, SUB_NONE)],
+      Scope: scope,
+      TargetId: targetId,
+      Audio: normalizeLanguageList(priorities.audio, AUDIO_ANY),
+      Subs: normalizeLanguageList(priorities.subs, SUB_NONE),
       SubsMode: Number(subsModeSelect.value || SUBTITLE_MODE_DEFAULT),
+      SubsFormat: Number(subsFormatSelect.value || 0),
+      SubsSource: Number(subsSourceSelect.value || 0),
+      AudioCodecs: codecInput.value.split(',').map((codec) => codec.trim().toLowerCase()).filter(Boolean),
+      MaxChannels: readChannelCount(maxChannelsSelect),
+      PreferredChannels: readChannelCount(preferredChannelsSelect),
+      PreferLossless: !!losslessToggle.checked,
       DontTranscode: !!guardToggle.checked,
+      // The fallback mode and title patterns are edited on the dashboard; keep whatever the rule already has.
+      TranscodeFallback: Number(getRuleField(currentRule, 'TranscodeFallback', 0)),
+      AudioTitleInclude: getRuleList(currentRule, 'AudioTitleInclude'),
+      AudioTitleExclude: getRuleList(currentRule, 'AudioTitleExclude'),
+      SubsTitleInclude: getRuleList(currentRule, 'SubsTitleInclude'),
+      SubsTitleExclude: getRuleList(currentRule, 'SubsTitleExclude'),
       Enabled: true,
     };
   }
 
-  function findSeriesRule(ruleSet, seriesId) {
+  function findRule(ruleSet, scope, targetId) {
     if (!ruleSet) {
       return null;
     }
@@ -620,35 +1297,54 @@
       return null;
     }
 
-    const target = (seriesId || '').toString().toLowerCase();
+    const target = normalizeId(targetId);
     return rules.find((rule) => {
-      const scope = typeof rule.Scope === 'number' ? rule.Scope : rule.scope;
-      if (scope !== SERIES_SCOPE) {
+      const ruleScope = typeof rule.Scope === 'number' ? rule.Scope : rule.scope;
+      if (ruleScope !== scope) {
         return false;
       }
 
-      const id = (rule.TargetId || rule.targetId || '').toString().toLowerCase();
-      return id === target;
+      return normalizeId(rule.TargetId || rule.targetId) === target;
     }) || null;
   }
 
+  function normalizeId(value) {
+    return (value || '').toString().replace(/-/g, '').toLowerCase();
+  }
+
   function setBusy(section, busy) {
     const {
-      audioSelect,
-      subtitleSelect,
+      targetSelect,
       subsModeSelect,
+      subsFormatSelect,
+      subsSourceSelect,
+      maxChannelsSelect,
+      preferredChannelsSelect,
+      codecInput,
+      losslessToggle,
       guardToggle,
       previewButton,
+      matrixButton,
       saveButton,
       resetButton,
     } = section._trackRules.elements;
 
+    section._trackRules.state.busy = !!busy;
+    renderPriorityEditor(section, 'audio');
+    renderPriorityEditor(section, 'subs');
+
     const inputs = [
-      audioSelect,
-      subtitleSelect,
+      targetSelect,
       subsModeSelect,
+      subsFormatSelect,
+      subsSourceSelect,
+      maxChannelsSelect,
+      preferredChannelsSelect,
+      codecInput,
+      losslessToggle,
       guardToggle,
       previewButton,
+      matrixButton,
       saveButton,
       resetButton,
     ];
@@ -670,33 +1366,338 @@
     status.style.color = isError ? '#d32f2f' : '';
   }
 
-  function describePreview(result) {
+  function describePreview(result, rule) {
     if (!result) {
       return 'Preview failed.';
     }
 
-    if (result.Reason && !result.AudioStreamIndex && !result.SubtitleStreamIndex) {
-      return result.Reason;
-    }
-
     const parts = [];
     if (result.Reason) {
       parts.push(result.Reason);
     }
 
-    if (typeof result.AudioStreamIndex === 'number') {
-      parts.push(`Audio → #${result.AudioStreamIndex}`);
+    if (typeof result.AudioStreamIndex !== 'number' && typeof result.SubtitleStreamIndex !== 'number') {
+      parts.push('No changes will be sent for this selection.');
     }
 
-    if (typeof result.SubtitleStreamIndex === 'number') {
-      parts.push(result.SubtitleStreamIndex < 0 ? 'Subtitles → Off' : `Subtitles → #${result.SubtitleStreamIndex}`);
+    const transcode = describeTranscodeRisk(result, rule);
+    if (transcode) {
+      parts.push(transcode);
     }
 
-    if (!parts.length) {
-      return 'No changes will be sent for this selection.';
+    return parts.join(' · ');
+  }
+
+  function describeTranscodeRisk(result, rule) {
+    const device = result.TranscodeDevice ? ` on ${result.TranscodeDevice}` : '';
+    if (!result.TranscodeRisk) {
+      return result.TranscodeRiskReason || '';
     }
 
-    return parts.join(' · ');
+    const reason = result.TranscodeRiskReason ? ` (${result.TranscodeRiskReason})` : '';
+    if (!rule.DontTranscode) {
+      return `Warning: this change will force a transcode${device}${reason}.`;
+    }
+
+    if (result.CompatibleFallback) {
+      return `The preferred tracks would force a transcode${device}${reason}; showing the compatible fallback.`;
+    }
+
+    return `This change would force a transcode${device}${reason}, so it will be skipped.`;
+  }
+
+  function renderPreview(section, result) {
+    const container = section._trackRules.elements.preview;
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    if (!result || (!result.CurrentAudio && !result.Audio && !result.CurrentSubtitle && !result.Subtitle)) {
+      container.classList.add('hide');
+      return;
+    }
+
+    container.appendChild(createPreviewRow('Audio', result.CurrentAudio, result.Audio));
+    container.appendChild(createPreviewRow('Subtitles', result.CurrentSubtitle, result.Subtitle));
+    if (result.Trace) {
+      container.appendChild(createTraceDetails(result.Trace));
+    }
+
+    container.classList.remove('hide');
+  }
+
+  function createTraceDetails(trace) {
+    const details = document.createElement('details');
+    details.className = 'trackrules-trace';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Why these tracks?';
+    details.appendChild(summary);
+
+    appendTraceList(details, 'Steps', (trace.Steps || []).map((step) => ({ text: step })));
+    appendTraceList(details, 'Rules', (trace.Rules || []).map((entry) => ({
+      text: `${describeTraceRule(entry.Rule)}${entry.ServerDefault ? ' (server default)' : ''}: ` +
+        `${TRACE_OUTCOME_LABEL[entry.Outcome] || ''} · ${entry.Reason}`,
+      selected: entry.Outcome === 0,
+    })));
+    appendTraceList(details, 'Audio tracks', (trace.Audio || []).map(describeStreamTrace));
+    appendTraceList(details, 'Subtitle tracks', (trace.Subtitles || []).map(describeStreamTrace));
+    return details;
+  }
+
+  function describeTraceRule(rule) {
+    const name = SCOPE_NAMES[rule.Scope] || 'Rule';
+    const target = rule.TargetValue || rule.TargetName || rule.TargetId;
+    return target ? `${name} · ${target}` : name;
+  }
+
+  function describeStreamTrace(stream) {
+    const language = stream.Language
+      ? (stream.NormalizedLanguage && stream.NormalizedLanguage !== stream.Language
+        ? `${stream.Language} → ${stream.NormalizedLanguage}`
+        : stream.Language)
+      : 'no language';
+    const title = stream.Title ? ` "${stream.Title}"` : '';
+    return {
+      text: `#${stream.Index} ${language}${title} · score ${stream.Score} (${stream.ScoreDetail}) · ${stream.Reason}`,
+      selected: stream.Selected,
+    };
+  }
+
+  function appendTraceList(details, heading, entries) {
+    if (!entries.length) {
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.className = 'trackrules-trace-heading';
+    title.textContent = heading;
+    details.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'trackrules-trace-list';
+    entries.forEach((entry) => {
+      const line = document.createElement('li');
+      line.textContent = entry.text;
+      if (entry.selected) {
+        line.className = 'trackrules-trace-selected';
+      }
+
+      list.appendChild(line);
+    });
+    details.appendChild(list);
+  }
+
+  function createPreviewRow(labelText, current, next) {
+    const row = document.createElement('div');
+    row.className = 'trackrules-preview-row';
+
+    const label = document.createElement('div');
+    label.className = 'trackrules-preview-kind';
+    label.textContent = labelText;
+    row.appendChild(label);
+
+    const changed = (current ? current.Index : null) !== (next ? next.Index : null);
+    row.appendChild(createStreamCard('Current default', current, false));
+
+    const arrow = document.createElement('span');
+    arrow.className = 'trackrules-preview-arrow';
+    arrow.textContent = '→';
+    row.appendChild(arrow);
+
+    row.appendChild(createStreamCard(changed ? 'With this rule' : 'Unchanged', next, changed));
+    return row;
+  }
+
+  function createStreamCard(caption, stream, highlight) {
+    const card = document.createElement('div');
+    card.className = highlight ? 'trackrules-stream-card trackrules-stream-changed' : 'trackrules-stream-card';
+
+    const heading = document.createElement('div');
+    heading.className = 'trackrules-stream-caption';
+    heading.textContent = caption;
+    card.appendChild(heading);
+
+    const summary = document.createElement('div');
+    summary.className = 'trackrules-stream-summary';
+    summary.textContent = stream ? formatStream(stream) : 'Off';
+    card.appendChild(summary);
+
+    if (stream && stream.Title) {
+      const title = document.createElement('div');
+      title.className = 'trackrules-stream-title';
+      title.textContent = stream.Title;
+      card.appendChild(title);
+    }
+
+    return card;
+  }
+
+  function formatStream(stream) {
+    const parts = [stream.LanguageName || (stream.Language || '').toUpperCase() || 'Unknown language'];
+    const format = [formatCodec(stream.Codec), formatChannels(stream.Channels)].filter(Boolean).join(' ');
+    if (format) {
+      parts.push(format);
+    }
+
+    const flags = [];
+    if (stream.IsDefault) {
+      flags.push('default');
+    }
+
+    if (stream.IsForced) {
+      flags.push('forced');
+    }
+
+    if (stream.IsExternal) {
+      flags.push('external');
+    }
+
+    const text = parts.join(' · ');
+    return flags.length ? `${text} (${flags.join(', ')})` : text;
+  }
+
+  function formatCodec(codec) {
+    if (!codec) {
+      return '';
+    }
+
+    return CODEC_LABELS[codec.toLowerCase()] || codec.toUpperCase();
+  }
+
+  function formatChannels(channels) {
+    switch (channels) {
+      case 1:
+        return '1.0';
+      case 2:
+        return '2.0';
+      case 6:
+        return '5.1';
+      case 8:
+        return '7.1';
+      default:
+        return channels > 0 ? `${channels}ch` : '';
+    }
+  }
+
+  function renderMatrix(section, result) {
+    const container = section._trackRules.elements.matrix;
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    const seasons = (result && result.Seasons) || [];
+    if (!seasons.length) {
+      container.classList.add('hide');
+      if (result) {
+        setStatus(section, 'No episodes with media info were found.', true);
+      }
+
+      return;
+    }
+
+    let total = 0;
+    let fallbacks = 0;
+
+    seasons.forEach((season) => {
+      const row = document.createElement('div');
+      row.className = 'trackrules-matrix-row';
+
+      const label = document.createElement('div');
+      label.className = 'trackrules-matrix-season';
+      label.textContent = season.Name || 'Season';
+      row.appendChild(label);
+
+      const cells = document.createElement('div');
+      cells.className = 'trackrules-matrix-cells';
+      (season.Episodes || []).forEach((episode) => {
+        total++;
+        if (episode.AudioFallback || episode.SubtitleFallback) {
+          fallbacks++;
+        }
+
+        cells.appendChild(createMatrixCell(episode));
+      });
+
+      row.appendChild(cells);
+      container.appendChild(row);
+    });
+
+    const legend = document.createElement('div');
+    legend.className = 'trackrules-matrix-legend';
+    legend.textContent = 'A = audio falls back · S = subtitles fall back · hover an episode for details.';
+    container.appendChild(legend);
+    container.classList.remove('hide');
+
+    setStatus(section, fallbacks
+      ? `${fallbacks} of ${total} episodes can't meet the top preference and fall back.`
+      : `All ${total} episodes meet the top preference.`, fallbacks > 0);
+  }
+
+  function createMatrixCell(episode) {
+    const cell = document.createElement('div');
+    const flags = [];
+    if (episode.AudioFallback) {
+      flags.push('A');
+    }
+
+    if (episode.SubtitleFallback) {
+      flags.push('S');
+    }
+
+    cell.className = flags.length ? 'trackrules-matrix-cell trackrules-matrix-fallback' : 'trackrules-matrix-cell';
+    const number = typeof episode.IndexNumber === 'number' ? `E${episode.IndexNumber}` : '?';
+    cell.textContent = flags.length ? `${number} ${flags.join('')}` : number;
+
+    const details = [episode.Name || number];
+    details.push(`Audio: ${episode.Audio ? formatStream(episode.Audio) : 'none'}${episode.AudioFallback ? ' (fallback)' : ''}`);
+    details.push(`Subtitles: ${episode.Subtitle ? formatStream(episode.Subtitle) : 'Off'}${episode.SubtitleFallback ? ' (fallback)' : ''}`);
+    if (episode.Reason) {
+      details.push(episode.Reason);
+    }
+
+    cell.title = details.join('\n');
+    return cell;
+  }
+
+  function ensureStyles() {
+    if (document.getElementById(STYLE_ID)) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = `
+      .trackrules-priority-field { margin-bottom: 1em; }
+      .trackrules-priority-label { font-weight: 600; margin-bottom: 0.3em; }
+      .trackrules-priority-list { list-style: none; margin: 0 0 0.4em; padding: 0; }
+      .trackrules-priority-item { display: flex; align-items: center; gap: 0.2em; padding: 0.15em 0.5em; margin-bottom: 0.25em; border-radius: 4px; background: rgba(255, 255, 255, 0.06); cursor: grab; }
+      .trackrules-priority-item.trackrules-dragging { opacity: 0.5; }
+      .trackrules-priority-name { flex: 1 1 auto; }
+      .trackrules-preview { margin-top: 0.8em; }
+      .trackrules-preview-row { display: flex; flex-wrap: wrap; align-items: stretch; gap: 0.6em; margin-bottom: 0.6em; }
+      .trackrules-preview-kind { flex: 0 0 6em; font-weight: 600; align-self: center; }
+      .trackrules-preview-arrow { align-self: center; }
+      .trackrules-stream-card { flex: 1 1 12em; padding: 0.4em 0.7em; border-radius: 6px; border: 1px solid rgba(255, 255, 255, 0.12); background: rgba(255, 255, 255, 0.03); }
+      .trackrules-stream-card.trackrules-stream-changed { border-color: #00a4dc; }
+      .trackrules-stream-caption { font-size: 0.8em; opacity: 0.7; }
+      .trackrules-stream-title { font-size: 0.85em; opacity: 0.8; }
+      .trackrules-trace { margin-top: 0.4em; }
+      .trackrules-trace summary { cursor: pointer; }
+      .trackrules-trace-heading { margin-top: 0.5em; font-weight: 600; }
+      .trackrules-trace-list { margin: 0.2em 0; padding-left: 1.4em; font-size: 0.9em; }
+      .trackrules-trace-selected { color: #00a4dc; }
+      .trackrules-matrix { margin-top: 0.8em; }
+      .trackrules-matrix-row { display: flex; align-items: flex-start; gap: 0.6em; margin-bottom: 0.4em; }
+      .trackrules-matrix-season { flex: 0 0 8em; font-weight: 600; }
+      .trackrules-matrix-cells { display: flex; flex-wrap: wrap; gap: 0.25em; }
+      .trackrules-matrix-cell { min-width: 2.6em; padding: 0.15em 0.35em; text-align: center; border-radius: 4px; font-size: 0.85em; background: rgba(76, 175, 80, 0.35); cursor: default; }
+      .trackrules-matrix-cell.trackrules-matrix-fallback { background: rgba(211, 47, 47, 0.55); }
+      .trackrules-matrix-legend { font-size: 0.8em; opacity: 0.7; }
+      .trackrules-field-issue { margin-top: 0.3em; font-size: 0.9em; color: #d32f2f; }
+      .trackrules-field-issue.trackrules-field-warning { color: #ff9800; }
+    `;
+    document.head.appendChild(style);
   }
 
   function removeWidget(view) {